@@ -0,0 +1,59 @@
+// Amount strings from real recipes and what parseIngredientAmount should read from them.
+// min and max are left out where the amount has no quantity.
+export const AMOUNT_CORPUS = [
+  // Whole numbers and decimals
+  { amount: '2 cups', expected: { value: 2, unit: 'cup', min: 2, max: 2 } },
+  { amount: '1.5 kg', expected: { value: 1.5, unit: 'kg', min: 1.5, max: 1.5 } },
+  { amount: '.5 cup', expected: { value: 0.5, unit: 'cup', min: 0.5, max: 0.5 } },
+  { amount: '1,5 kg', expected: { value: 1.5, unit: 'kg', min: 1.5, max: 1.5 } },
+  { amount: '1,500 g', expected: { value: 1500, unit: 'g', min: 1500, max: 1500 } },
+  { amount: '200g', expected: { value: 200, unit: 'g', min: 200, max: 200 } },
+  { amount: '3 tbsp.', expected: { value: 3, unit: 'tbsp', min: 3, max: 3 } },
+  { amount: '8 fl oz', expected: { value: 8, unit: 'fl oz', min: 8, max: 8 } },
+  { amount: '1 l', expected: { value: 1, unit: 'l', min: 1, max: 1 } },
+  { amount: '2 cloves', expected: { value: 2, unit: 'clove', min: 2, max: 2 } },
+  { amount: '2 large', expected: { value: 2, unit: 'piece', min: 2, max: 2 } },
+
+  // Fractions and mixed numbers
+  { amount: '3/4 cup', expected: { value: 0.75, unit: 'cup', min: 0.75, max: 0.75 } },
+  { amount: '1⁄2 cup', expected: { value: 0.5, unit: 'cup', min: 0.5, max: 0.5 } },
+  { amount: '1 1/2 cups', expected: { value: 1.5, unit: 'cup', min: 1.5, max: 1.5 } },
+  { amount: '1-1/2 cups', expected: { value: 1.5, unit: 'cup', min: 1.5, max: 1.5 } },
+  { amount: '2-3/4 cups', expected: { value: 2.75, unit: 'cup', min: 2.75, max: 2.75 } },
+
+  // Unicode fractions
+  { amount: '½ tsp', expected: { value: 0.5, unit: 'tsp', min: 0.5, max: 0.5 } },
+  { amount: '1½ lb', expected: { value: 1.5, unit: 'lb', min: 1.5, max: 1.5 } },
+  { amount: '1 ½ cups', expected: { value: 1.5, unit: 'cup', min: 1.5, max: 1.5 } },
+  { amount: '¾ cup', expected: { value: 0.75, unit: 'cup', min: 0.75, max: 0.75 } },
+
+  // Ranges count as their upper bound
+  { amount: '2-3 cloves', expected: { value: 3, unit: 'clove', min: 2, max: 3 } },
+  { amount: '2 to 3 tbsp', expected: { value: 3, unit: 'tbsp', min: 2, max: 3 } },
+  { amount: '1–2 cans', expected: { value: 2, unit: 'can', min: 1, max: 2 } },
+  { amount: '1/2-3/4 cup', expected: { value: 0.75, unit: 'cup', min: 0.5, max: 0.75 } },
+  { amount: '4 or 5 slices', expected: { value: 5, unit: 'slice', min: 4, max: 5 } },
+
+  // Word numbers
+  { amount: 'two eggs', expected: { value: 2, unit: 'piece', min: 2, max: 2 } },
+  { amount: 'a dozen', expected: { value: 12, unit: 'piece', min: 12, max: 12 } },
+  { amount: '2 dozen', expected: { value: 24, unit: 'piece', min: 24, max: 24 } },
+  { amount: 'one and a half cups', expected: { value: 1.5, unit: 'cup', min: 1.5, max: 1.5 } },
+  { amount: '2 and a half cups', expected: { value: 2.5, unit: 'cup', min: 2.5, max: 2.5 } },
+  { amount: 'one and a quarter lb', expected: { value: 1.25, unit: 'lb', min: 1.25, max: 1.25 } },
+  { amount: 'half a cup', expected: { value: 0.5, unit: 'cup', min: 0.5, max: 0.5 } },
+  { amount: 'a pinch', expected: { value: 1, unit: 'pinch', min: 1, max: 1 } },
+
+  // Package sizes describe the package, not the unit
+  { amount: '1 (14 oz) can', expected: { value: 1, unit: 'can', min: 1, max: 1 } },
+  { amount: '2 12-oz cans', expected: { value: 2, unit: 'can', min: 2, max: 2 } },
+  { amount: '1 (500 g) package', expected: { value: 1, unit: 'package', min: 1, max: 1 } },
+
+  // Approximations and amounts without a quantity
+  { amount: 'about 200 g', expected: { value: 200, unit: 'g', min: 200, max: 200 } },
+  { amount: '~1 cup', expected: { value: 1, unit: 'cup', min: 1, max: 1 } },
+  { amount: 'to taste', expected: { value: 0, unit: 'to taste' } },
+  { amount: 'salt as needed', expected: { value: 0, unit: 'to taste' } },
+  { amount: 'pinch', expected: { value: 1, unit: 'pinch' } },
+  { amount: '', expected: { value: 1, unit: 'piece' } }
+];
@@ -0,0 +1,34 @@
+import { createServer } from 'vite';
+import { AMOUNT_CORPUS } from './amount-corpus.js';
+
+// Runs the amount corpus through parseIngredientAmount: npm run check:amounts
+// The parser is loaded through Vite so it resolves imports the way the app does.
+const checkAmounts = async () => {
+  const server = await createServer({ server: { middlewareMode: true }, appType: 'custom', logLevel: 'error' });
+  const failures = [];
+
+  try {
+    const { parseIngredientAmount } = await server.ssrLoadModule('/src/lib/ingredients.js');
+    AMOUNT_CORPUS.forEach(({ amount, expected }) => {
+      const parsed = parseIngredientAmount(amount);
+      const wrong = Object.keys({ min: undefined, max: undefined, ...expected }).filter(key => {
+        const want = expected[key];
+        const got = parsed[key];
+        return typeof want === 'number' ? !(Math.abs(got - want) < 1e-9) : got !== want;
+      });
+      if (wrong.length > 0) {
+        failures.push(`  "${amount}": ${wrong.map(key => `${key} ${JSON.stringify(parsed[key])}, expected ${JSON.stringify(expected[key])}`).join('; ')}`);
+      }
+    });
+  } finally {
+    await server.close();
+  }
+
+  if (failures.length > 0) {
+    console.error(`${failures.length} of ${AMOUNT_CORPUS.length} amounts parsed wrong:\n${failures.join('\n')}`);
+    process.exit(1);
+  }
+  console.log(`All ${AMOUNT_CORPUS.length} amounts parsed as expected.`);
+};
+
+checkAmounts();
@@ -9,6 +9,7 @@ import { CookingModeProvider } from './contexts/CookingModeContext';
 import { RatingProvider } from './contexts/RatingContext';
 import { SettingsProvider } from './contexts/SettingsContext';
 import { RewardsProvider } from './contexts/RewardsContext';
+import { HouseholdProvider } from './contexts/HouseholdContext';
 import Landing from './pages/Landing';
 import Dashboard from './pages/Dashboard';
 import Scheduler from './pages/Scheduler';
@@ -17,49 +18,53 @@ import ShoppingList from './pages/ShoppingList';
 import AdminPanel from './pages/AdminPanel';
 import Settings from './pages/Settings';
 import Rewards from './pages/Rewards';
+import MealPrep from './pages/MealPrep';
 import CookingTimer from './components/CookingTimer';
 
 function App() {
   return (
     <AuthProvider>
       <SettingsProvider>
-        <GamificationProvider>
-          <RecipeProvider>
-            <RatingProvider>
-              <MealPlanProvider>
-                <CookingModeProvider>
-                  <RewardsProvider>
-                    <Router>
-                      <div className="min-h-screen bg-gradient-to-br from-orange-50 to-green-50">
-                        <Routes>
-                          <Route path="/" element={<Landing />} />
-                          <Route path="/dashboard" element={<Dashboard />} />
-                          <Route path="/scheduler" element={<Scheduler />} />
-                          <Route path="/recipes" element={<Recipes />} />
-                          <Route path="/shopping-list" element={<ShoppingList />} />
-                          <Route path="/admin" element={<AdminPanel />} />
-                          <Route path="/settings" element={<Settings />} />
-                          <Route path="/rewards" element={<Rewards />} />
-                        </Routes>
-                        <CookingTimer />
-                        <Toaster
-                          position="top-right"
-                          toastOptions={{
-                            duration: 3000,
-                            style: {
-                              background: '#363636',
-                              color: '#fff',
-                            },
-                          }}
-                        />
-                      </div>
-                    </Router>
-                  </RewardsProvider>
-                </CookingModeProvider>
-              </MealPlanProvider>
-            </RatingProvider>
-          </RecipeProvider>
-        </GamificationProvider>
+        <HouseholdProvider>
+          <GamificationProvider>
+            <RecipeProvider>
+              <RatingProvider>
+                <MealPlanProvider>
+                  <CookingModeProvider>
+                    <RewardsProvider>
+                      <Router>
+                        <div className="min-h-screen bg-gradient-to-br from-orange-50 to-green-50">
+                          <Routes>
+                            <Route path="/" element={<Landing />} />
+                            <Route path="/dashboard" element={<Dashboard />} />
+                            <Route path="/scheduler" element={<Scheduler />} />
+                            <Route path="/recipes" element={<Recipes />} />
+                            <Route path="/shopping-list" element={<ShoppingList />} />
+                            <Route path="/meal-prep" element={<MealPrep />} />
+                            <Route path="/admin" element={<AdminPanel />} />
+                            <Route path="/settings" element={<Settings />} />
+                            <Route path="/rewards" element={<Rewards />} />
+                          </Routes>
+                          <CookingTimer />
+                          <Toaster
+                            position="top-right"
+                            toastOptions={{
+                              duration: 3000,
+                              style: {
+                                background: '#363636',
+                                color: '#fff',
+                              },
+                            }}
+                          />
+                        </div>
+                      </Router>
+                    </RewardsProvider>
+                  </CookingModeProvider>
+                </MealPlanProvider>
+              </RatingProvider>
+            </RecipeProvider>
+          </GamificationProvider>
+        </HouseholdProvider>
       </SettingsProvider>
     </AuthProvider>
   );
@@ -0,0 +1,40 @@
+import React from 'react';
+import { formatCost } from '../lib/groceryCost';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiAlertTriangle } = FiIcons;
+
+// A week's estimated grocery cost against the budget from Settings
+const BudgetMeter = ({ total, budget, currency, label = 'This week', className = '' }) => {
+  const over = budget !== null && total > budget;
+  const percent = budget ? Math.min(100, (total / budget) * 100) : null;
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-semibold text-gray-700">{label}</span>
+        <span className={over ? 'text-red-600 font-bold' : 'text-gray-700 font-semibold'}>
+          {formatCost(total, currency)}
+          {budget !== null && ` / ${formatCost(budget, currency)}`}
+        </span>
+      </div>
+      {percent !== null && (
+        <div className="h-2 bg-gray-100 rounded-full overflow-hidden mt-1">
+          <div
+            className={`h-full rounded-full ${over ? 'bg-red-500' : percent >= 85 ? 'bg-amber-400' : 'bg-green-500'}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+      {over && (
+        <p className="text-xs text-red-600 font-semibold mt-1 flex items-center">
+          <SafeIcon icon={FiAlertTriangle} className="mr-1" />
+          {formatCost(total - budget, currency)} over your weekly budget
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BudgetMeter;
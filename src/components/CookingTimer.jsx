@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useCookingMode } from '../contexts/CookingModeContext';
 import { useGamification } from '../contexts/GamificationContext';
+import { getIngredientLabel } from '../lib/ingredients';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
@@ -816,7 +817,7 @@ const CookingTimer = () => {
                       <div className="space-y-2">
                         {currentRecipe.ingredients.map((ingredient, index) => (
                           <div key={index} className="flex items-center justify-between text-sm">
-                            <span className="text-gray-700">{ingredient.name}</span>
+                            <span className="text-gray-700">{getIngredientLabel(ingredient)}</span>
                             <span className="text-gray-500 font-medium">{ingredient.amount}</span>
                           </div>
                         ))}
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { CURRENCIES, normalizePrices, upsertPrice, formatCost } from '../lib/groceryCost';
+import IngredientPriceForm from './IngredientPriceForm';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiDollarSign, FiPlus, FiEdit2, FiTrash2 } = FiIcons;
+
+// Weekly budget, currency, preferred store and saved ingredient prices;
+// saved with the other preferences
+const GroceryBudgetSettings = ({ weeklyBudget, currency = 'USD', preferredStore = '', prices, onChange }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const savedPrices = normalizePrices(prices)
+    .sort((a, b) => a.ingredient.localeCompare(b.ingredient) || a.store.localeCompare(b.store));
+
+  const handleSavePrice = (entry) => {
+    onChange('ingredientPrices', upsertPrice(prices, entry));
+    setEditingId(null);
+    setAdding(false);
+  };
+
+  const handleRemovePrice = (id) => {
+    onChange('ingredientPrices', normalizePrices(prices).filter(entry => entry.id !== id));
+  };
+
+  return (
+    <div className="p-6 bg-gradient-to-r from-emerald-50 to-teal-50 rounded-xl border border-emerald-200">
+      <h3 className="font-semibold text-gray-900 flex items-center">
+        <SafeIcon icon={FiDollarSign} className="mr-2 text-emerald-600" />
+        Grocery Budget & Prices
+      </h3>
+      <p className="text-sm text-gray-600 mt-1 mb-4">
+        Prices estimate what recipes and planned weeks cost. The Scheduler and Shopping List warn you when a week goes over budget.
+      </p>
+
+      <div className="grid md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label htmlFor="weekly-budget" className="block text-sm font-semibold text-gray-700 mb-2">
+            Weekly budget
+          </label>
+          <input
+            id="weekly-budget"
+            type="number"
+            min="0"
+            step="0.01"
+            value={weeklyBudget ?? ''}
+            onChange={(e) => onChange('weeklyBudget', e.target.value)}
+            placeholder="No budget"
+            className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+          />
+        </div>
+        <div>
+          <label htmlFor="budget-currency" className="block text-sm font-semibold text-gray-700 mb-2">
+            Currency
+          </label>
+          <select
+            id="budget-currency"
+            value={currency}
+            onChange={(e) => onChange('currency', e.target.value)}
+            className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+          >
+            {CURRENCIES.map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="preferred-store" className="block text-sm font-semibold text-gray-700 mb-2">
+            Preferred store
+          </label>
+          <input
+            id="preferred-store"
+            type="text"
+            value={preferredStore}
+            onChange={(e) => onChange('preferredStore', e.target.value)}
+            placeholder="Used first when prices differ"
+            maxLength={40}
+            className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-semibold text-gray-700">
+          Saved prices ({savedPrices.length})
+        </p>
+        {!adding && (
+          <button
+            type="button"
+            onClick={() => setAdding(true)}
+            className="text-primary-600 hover:text-primary-700 font-semibold text-sm flex items-center space-x-1"
+          >
+            <SafeIcon icon={FiPlus} />
+            <span>Add price</span>
+          </button>
+        )}
+      </div>
+
+      {adding && (
+        <div className="bg-white/70 rounded-lg p-3 mb-2">
+          <IngredientPriceForm
+            defaultStore={preferredStore}
+            currency={currency}
+            onSave={handleSavePrice}
+            onCancel={() => setAdding(false)}
+          />
+        </div>
+      )}
+
+      {savedPrices.length === 0 && !adding ? (
+        <p className="text-sm text-gray-500">
+          No prices yet. Add them here or straight from the Shopping List.
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-80 overflow-y-auto">
+          {savedPrices.map(entry => (
+            <li key={entry.id} className="bg-white/70 rounded-lg p-3">
+              {editingId === entry.id ? (
+                <IngredientPriceForm
+                  initialPrice={entry}
+                  currency={currency}
+                  onSave={handleSavePrice}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : (
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{entry.ingredient}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatCost(entry.price, currency)} for {entry.quantity} {entry.unit}
+                      {entry.store && ` · ${entry.store}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center">
+                    <motion.button
+                      type="button"
+                      whileHover={{ scale: 1.1 }}
+                      whileTap={{ scale: 0.9 }}
+                      onClick={() => setEditingId(entry.id)}
+                      className="p-2 text-gray-500 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                      aria-label={`Edit ${entry.ingredient} price`}
+                    >
+                      <SafeIcon icon={FiEdit2} className="text-sm" />
+                    </motion.button>
+                    <motion.button
+                      type="button"
+                      whileHover={{ scale: 1.1 }}
+                      whileTap={{ scale: 0.9 }}
+                      onClick={() => handleRemovePrice(entry.id)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      aria-label={`Remove ${entry.ingredient} price`}
+                    >
+                      <SafeIcon icon={FiTrash2} className="text-sm" />
+                    </motion.button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GroceryBudgetSettings;
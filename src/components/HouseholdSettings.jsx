@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import { useHousehold } from '../contexts/HouseholdContext';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const { FiHome, FiUserPlus, FiUserX, FiLogOut, FiCheck, FiX, FiStar, FiMail } = FiIcons;
+
+const HouseholdSettings = () => {
+  const { user } = useAuth();
+  const {
+    household,
+    invitations,
+    loading,
+    isOwner,
+    createHousehold,
+    inviteMember,
+    respondToInvitation,
+    removeMember,
+    leaveHousehold
+  } = useHousehold();
+  const [householdName, setHouseholdName] = useState('');
+  const [inviteUsername, setInviteUsername] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // Run a household action, surfacing validation messages the context doesn't toast itself
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      if (!result.success && result.message) {
+        toast.error(result.message);
+      }
+      return result;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const result = await runAction(() => createHousehold(householdName));
+    if (result.success) setHouseholdName('');
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const result = await runAction(() => inviteMember(inviteUsername));
+    if (result.success) setInviteUsername('');
+  };
+
+  const handleLeave = () => {
+    const confirmMessage = isOwner
+      ? `Disband ${household.name}? Members go back to their own plans.`
+      : `Leave ${household.name}? You'll go back to your own plan.`;
+    if (window.confirm(confirmMessage)) {
+      runAction(leaveHousehold);
+    }
+  };
+
+  if (!user?.supabaseUser) {
+    return (
+      <div className="p-6 bg-gray-50 rounded-xl border border-gray-200 text-gray-600">
+        Households are available for signed-in accounts. Demo accounts keep their plan on this device.
+      </div>
+    );
+  }
+
+  if (loading && !household) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-primary-500 border-t-transparent" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Pending invitations */}
+      {invitations.length > 0 && (
+        <div className="p-6 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl border border-blue-200 space-y-3">
+          <h3 className="font-semibold text-gray-900 flex items-center">
+            <SafeIcon icon={FiMail} className="mr-2 text-blue-600" />
+            Invitations
+          </h3>
+          {invitations.map(invitation => (
+            <div key={invitation.householdId} className="flex items-center justify-between bg-white/70 rounded-lg p-3">
+              <div>
+                <p className="font-semibold text-gray-900">{invitation.name}</p>
+                {invitation.invitedBy && (
+                  <p className="text-xs text-gray-500">Invited by {invitation.invitedBy}</p>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => runAction(() => respondToInvitation(invitation.householdId, true))}
+                  disabled={busy || Boolean(household)}
+                  title={household ? 'Leave your current household first' : 'Join household'}
+                  className="px-3 py-2 bg-green-500 text-white rounded-lg text-sm font-semibold flex items-center space-x-1 disabled:opacity-50"
+                >
+                  <SafeIcon icon={FiCheck} />
+                  <span>Join</span>
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => runAction(() => respondToInvitation(invitation.householdId, false))}
+                  disabled={busy}
+                  className="px-3 py-2 text-gray-600 hover:bg-gray-100 rounded-lg text-sm font-semibold flex items-center space-x-1"
+                >
+                  <SafeIcon icon={FiX} />
+                  <span>Decline</span>
+                </motion.button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {household ? (
+        <>
+          <div className="p-6 bg-gradient-to-r from-green-50 to-emerald-50 rounded-xl border border-green-200">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-xl font-bold text-gray-900 flex items-center">
+                  <SafeIcon icon={FiHome} className="mr-2 text-green-600" />
+                  {household.name}
+                </h3>
+                <p className="text-sm text-gray-600 mt-1">
+                  Everyone here shares one meal plan and shopping list
+                </p>
+              </div>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleLeave}
+                disabled={busy}
+                className="px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg text-sm font-semibold flex items-center space-x-1"
+              >
+                <SafeIcon icon={FiLogOut} />
+                <span>{isOwner ? 'Disband' : 'Leave'}</span>
+              </motion.button>
+            </div>
+
+            <ul className="space-y-2">
+              {household.members.map(member => (
+                <li key={member.userId} className="flex items-center justify-between bg-white/70 rounded-lg p-3">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-semibold text-gray-900">{member.username}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full font-semibold ${
+                      member.role === 'owner' ? 'bg-amber-100 text-amber-700' : 'bg-gray-100 text-gray-600'
+                    }`}>
+                      {member.role === 'owner' && <SafeIcon icon={FiStar} className="inline mr-1 text-xs" />}
+                      {member.role === 'owner' ? 'Owner' : 'Member'}
+                    </span>
+                    {member.status === 'invited' && (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-700 font-semibold">
+                        Invited
+                      </span>
+                    )}
+                  </div>
+                  {isOwner && member.role !== 'owner' && (
+                    <motion.button
+                      whileHover={{ scale: 1.1 }}
+                      whileTap={{ scale: 0.9 }}
+                      onClick={() => runAction(() => removeMember(member.userId))}
+                      disabled={busy}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      aria-label={member.status === 'invited' ? `Cancel invitation for ${member.username}` : `Remove ${member.username}`}
+                    >
+                      <SafeIcon icon={FiUserX} />
+                    </motion.button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {isOwner && (
+            <form onSubmit={handleInvite} className="p-6 bg-gray-50 rounded-xl border border-gray-200">
+              <label htmlFor="household-invite" className="font-semibold text-gray-900 flex items-center mb-3">
+                <SafeIcon icon={FiUserPlus} className="mr-2 text-primary-500" />
+                Invite by username
+              </label>
+              <div className="flex space-x-2">
+                <input
+                  id="household-invite"
+                  type="text"
+                  value={inviteUsername}
+                  onChange={(e) => setInviteUsername(e.target.value.replace(/[^a-zA-Z0-9_]/g, ''))}
+                  placeholder="username"
+                  className="flex-1 px-4 py-3 input-modern rounded-xl font-medium"
+                />
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  type="submit"
+                  disabled={busy || !inviteUsername}
+                  className="btn-gradient text-white px-5 py-3 rounded-xl font-bold disabled:opacity-50"
+                >
+                  Invite
+                </motion.button>
+              </div>
+            </form>
+          )}
+        </>
+      ) : (
+        <form onSubmit={handleCreate} className="p-6 bg-gradient-to-r from-green-50 to-emerald-50 rounded-xl border border-green-200">
+          <label htmlFor="household-name" className="font-semibold text-gray-900 flex items-center">
+            <SafeIcon icon={FiHome} className="mr-2 text-green-600" />
+            Create a household
+          </label>
+          <p className="text-sm text-gray-600 mt-1 mb-4">
+            Plan meals together: everyone you invite sees and edits the same plan and shopping list.
+            Your current plan becomes the household plan.
+          </p>
+          <div className="flex space-x-2">
+            <input
+              id="household-name"
+              type="text"
+              value={householdName}
+              onChange={(e) => setHouseholdName(e.target.value)}
+              placeholder="e.g. The Smith Family"
+              maxLength={60}
+              className="flex-1 px-4 py-3 input-modern rounded-xl font-medium"
+            />
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="submit"
+              disabled={busy || !householdName.trim()}
+              className="btn-gradient text-white px-5 py-3 rounded-xl font-bold disabled:opacity-50"
+            >
+              Create
+            </motion.button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default HouseholdSettings;
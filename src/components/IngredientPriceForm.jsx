@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { PRICE_UNITS } from '../lib/groceryCost';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const { FiCheck, FiX } = FiIcons;
+
+// Add or edit the price of one ingredient at one store. Pass `ingredient` to fix the
+// name (shopping list rows); leave it out to type one in (Settings).
+const IngredientPriceForm = ({ ingredient, initialPrice, defaultStore = '', defaultUnit = 'piece', currency = 'USD', onSave, onCancel }) => {
+  const [form, setForm] = useState({
+    ingredient: initialPrice?.ingredient || ingredient || '',
+    price: initialPrice?.price ?? '',
+    quantity: initialPrice?.quantity ?? 1,
+    unit: initialPrice?.unit || (PRICE_UNITS.includes(defaultUnit) ? defaultUnit : 'piece'),
+    store: initialPrice?.store ?? defaultStore
+  });
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const price = parseFloat(form.price);
+    const quantity = parseFloat(form.quantity);
+
+    if (!form.ingredient.trim()) {
+      toast.error('Enter an ingredient name');
+      return;
+    }
+    if (!Number.isFinite(price) || price < 0) {
+      toast.error('Enter a valid price');
+      return;
+    }
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      toast.error('Enter how much the price buys');
+      return;
+    }
+
+    onSave({
+      id: initialPrice?.id || uuidv4(),
+      ingredient: form.ingredient.trim(),
+      store: form.store.trim(),
+      price,
+      quantity,
+      unit: form.unit,
+      updatedAt: new Date().toISOString()
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+      {!ingredient && (
+        <label className="flex-1 min-w-[9rem] text-xs font-semibold text-gray-600">
+          Ingredient
+          <input
+            type="text"
+            value={form.ingredient}
+            onChange={(e) => update('ingredient', e.target.value)}
+            placeholder="e.g. Chicken breast"
+            className="mt-1 w-full px-3 py-2 input-modern rounded-lg font-medium text-sm"
+          />
+        </label>
+      )}
+      <label className="w-24 text-xs font-semibold text-gray-600">
+        Price ({currency})
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={form.price}
+          onChange={(e) => update('price', e.target.value)}
+          className="mt-1 w-full px-3 py-2 input-modern rounded-lg font-medium text-sm"
+          autoFocus={Boolean(ingredient)}
+        />
+      </label>
+      <label className="w-20 text-xs font-semibold text-gray-600">
+        For
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={form.quantity}
+          onChange={(e) => update('quantity', e.target.value)}
+          className="mt-1 w-full px-3 py-2 input-modern rounded-lg font-medium text-sm"
+        />
+      </label>
+      <label className="w-24 text-xs font-semibold text-gray-600">
+        Unit
+        <select
+          value={form.unit}
+          onChange={(e) => update('unit', e.target.value)}
+          className="mt-1 w-full px-2 py-2 input-modern rounded-lg font-medium text-sm"
+        >
+          {PRICE_UNITS.map(unit => (
+            <option key={unit} value={unit}>{unit}</option>
+          ))}
+        </select>
+      </label>
+      <label className="w-32 text-xs font-semibold text-gray-600">
+        Store
+        <input
+          type="text"
+          value={form.store}
+          onChange={(e) => update('store', e.target.value)}
+          placeholder="Any store"
+          maxLength={40}
+          className="mt-1 w-full px-3 py-2 input-modern rounded-lg font-medium text-sm"
+        />
+      </label>
+      <button
+        type="submit"
+        className="p-2.5 bg-green-500 text-white rounded-lg hover:bg-green-600"
+        aria-label="Save price"
+      >
+        <SafeIcon icon={FiCheck} />
+      </button>
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="p-2.5 text-gray-500 hover:text-gray-800 hover:bg-gray-100 rounded-lg"
+          aria-label="Cancel"
+        >
+          <SafeIcon icon={FiX} />
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default IngredientPriceForm;
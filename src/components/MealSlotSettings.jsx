@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { getMealSlots, createSlotId, MAX_MEALS_PER_SLOT } from '../lib/mealSlots';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const { FiGrid, FiPlus, FiTrash2, FiChevronUp, FiChevronDown } = FiIcons;
+
+// Edits the meal slot list in the settings form; saved with the other preferences
+const MealSlotSettings = ({ slots, onChange }) => {
+  const [newSlotName, setNewSlotName] = useState('');
+  const orderedSlots = getMealSlots(slots);
+
+  // Keep order values contiguous after every edit
+  const commit = (nextSlots) => {
+    onChange(nextSlots.map((slot, index) => ({ ...slot, order: index })));
+  };
+
+  const updateSlot = (slotId, changes) => {
+    commit(orderedSlots.map(slot => (slot.id === slotId ? { ...slot, ...changes } : slot)));
+  };
+
+  const moveSlot = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= orderedSlots.length) return;
+    const nextSlots = [...orderedSlots];
+    [nextSlots[index], nextSlots[targetIndex]] = [nextSlots[targetIndex], nextSlots[index]];
+    commit(nextSlots);
+  };
+
+  const removeSlot = (slot) => {
+    if (window.confirm(`Remove ${slot.name || 'this slot'}? Meals already planned in it are no longer shown in the Scheduler.`)) {
+      commit(orderedSlots.filter(existing => existing.id !== slot.id));
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = newSlotName.trim();
+    if (!name) return;
+    if (orderedSlots.some(slot => slot.name.toLowerCase() === name.toLowerCase())) {
+      toast.error('A slot with that name already exists');
+      return;
+    }
+
+    commit([
+      ...orderedSlots,
+      { id: createSlotId(name, orderedSlots), name, icon: '🍴', maxPerDay: 1, countsForXP: false }
+    ]);
+    setNewSlotName('');
+  };
+
+  return (
+    <div className="p-6 bg-gradient-to-r from-amber-50 to-orange-50 rounded-xl border border-amber-200">
+      <h3 className="font-semibold text-gray-900 flex items-center">
+        <SafeIcon icon={FiGrid} className="mr-2 text-amber-600" />
+        Meal Slots
+      </h3>
+      <p className="text-sm text-gray-600 mt-1 mb-4">
+        The slots shown for each day in the Scheduler. Add your own, such as brunch or a kids' lunchbox.
+      </p>
+
+      <ul className="space-y-2">
+        {orderedSlots.map((slot, index) => (
+          <li key={slot.id} className="flex flex-wrap items-center gap-2 bg-white/70 rounded-lg p-3">
+            <div className="flex flex-col">
+              <button
+                type="button"
+                onClick={() => moveSlot(index, -1)}
+                disabled={index === 0}
+                className="p-0.5 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                aria-label={`Move ${slot.name} up`}
+              >
+                <SafeIcon icon={FiChevronUp} className="text-sm" />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveSlot(index, 1)}
+                disabled={index === orderedSlots.length - 1}
+                className="p-0.5 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                aria-label={`Move ${slot.name} down`}
+              >
+                <SafeIcon icon={FiChevronDown} className="text-sm" />
+              </button>
+            </div>
+            <input
+              type="text"
+              value={slot.icon || ''}
+              onChange={(e) => updateSlot(slot.id, { icon: e.target.value })}
+              maxLength={8}
+              className="w-14 px-2 py-2 input-modern rounded-lg text-center text-lg"
+              aria-label={`${slot.name} icon`}
+            />
+            <input
+              type="text"
+              value={slot.name}
+              onChange={(e) => updateSlot(slot.id, { name: e.target.value })}
+              maxLength={30}
+              className="flex-1 min-w-[8rem] px-3 py-2 input-modern rounded-lg font-medium"
+              aria-label="Slot name"
+            />
+            <label className="flex items-center space-x-1 text-sm text-gray-600">
+              <span>Per day</span>
+              <input
+                type="number"
+                min="1"
+                max={MAX_MEALS_PER_SLOT}
+                value={slot.maxPerDay || 1}
+                onChange={(e) => updateSlot(slot.id, {
+                  maxPerDay: Math.min(MAX_MEALS_PER_SLOT, Math.max(1, parseInt(e.target.value, 10) || 1))
+                })}
+                className="w-16 px-2 py-2 input-modern rounded-lg font-medium"
+              />
+            </label>
+            <label className="flex items-center space-x-1 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={Boolean(slot.countsForXP)}
+                onChange={() => updateSlot(slot.id, { countsForXP: !slot.countsForXP })}
+                className="accent-primary-500"
+              />
+              <span>Planning XP</span>
+            </label>
+            {!slot.builtIn && (
+              <motion.button
+                type="button"
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={() => removeSlot(slot)}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                aria-label={`Remove ${slot.name}`}
+              >
+                <SafeIcon icon={FiTrash2} />
+              </motion.button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAdd} className="flex space-x-2 mt-4">
+        <input
+          type="text"
+          value={newSlotName}
+          onChange={(e) => setNewSlotName(e.target.value)}
+          placeholder="e.g. Pre-workout"
+          maxLength={30}
+          className="flex-1 px-4 py-3 input-modern rounded-xl font-medium"
+          aria-label="New slot name"
+        />
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          type="submit"
+          disabled={!newSlotName.trim()}
+          className="btn-gradient text-white px-5 py-3 rounded-xl font-bold flex items-center space-x-1 disabled:opacity-50"
+        >
+          <SafeIcon icon={FiPlus} />
+          <span>Add slot</span>
+        </motion.button>
+      </form>
+    </div>
+  );
+};
+
+export default MealSlotSettings;
@@ -0,0 +1,218 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { format, startOfMonth, endOfMonth, startOfWeek, endOfWeek, eachDayOfInterval, isSameMonth, isToday, isBefore, isWithinInterval, startOfDay, differenceInCalendarDays } from 'date-fns';
+import { getSlotMeals } from '../lib/mealSlots';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiChevronLeft, FiChevronRight, FiTrash2, FiShoppingCart, FiX, FiMousePointer } = FiIcons;
+
+// Titles shown per day before collapsing into "+N more"
+const MAX_TITLES_PER_DAY = 3;
+
+const getFullnessColor = (ratio) => {
+  if (ratio >= 1) return 'bg-green-500';
+  if (ratio >= 0.5) return 'bg-lime-400';
+  if (ratio > 0) return 'bg-amber-400';
+  return 'bg-gray-200';
+};
+
+// 🗓️ MONTH VIEW: How full each day is, with range selection for bulk actions
+const MonthCalendar = ({
+  month,
+  weekStartsOn = 0,
+  mealSlots,
+  getMealsForDay,
+  selection,
+  selectingRange,
+  onDayClick,
+  onPrevMonth,
+  onNextMonth,
+  onThisMonth,
+  onToggleSelecting,
+  onCancelSelection,
+  onClearSelection,
+  onShoppingListForSelection
+}) => {
+  const today = startOfDay(new Date());
+  const days = eachDayOfInterval({
+    start: startOfWeek(startOfMonth(month), { weekStartsOn }),
+    end: endOfWeek(endOfMonth(month), { weekStartsOn })
+  });
+  const weekdayLabels = days.slice(0, 7).map(day => format(day, 'EEE'));
+  const selectedDayCount = selection ? differenceInCalendarDays(selection.end, selection.start) + 1 : 0;
+
+  const isSelected = (day) => Boolean(selection) && isWithinInterval(day, { start: selection.start, end: selection.end });
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="glass rounded-2xl p-4 md:p-6 shadow-lg"
+    >
+      {/* Month Navigation */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center space-x-2">
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={onPrevMonth}
+            className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+            aria-label="Previous month"
+          >
+            <SafeIcon icon={FiChevronLeft} />
+          </motion.button>
+          <h2 className="text-xl font-bold text-gray-900 min-w-[10rem] text-center">
+            {format(month, 'MMMM yyyy')}
+          </h2>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={onNextMonth}
+            className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+            aria-label="Next month"
+          >
+            <SafeIcon icon={FiChevronRight} />
+          </motion.button>
+          {!isSameMonth(month, today) && (
+            <button
+              onClick={onThisMonth}
+              className="px-3 py-1.5 text-sm bg-white text-primary-700 rounded-lg font-semibold border border-primary-200 hover:bg-primary-50"
+            >
+              This month
+            </button>
+          )}
+        </div>
+
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={onToggleSelecting}
+          aria-pressed={selectingRange}
+          className={`px-4 py-2 rounded-xl font-semibold flex items-center space-x-2 transition-colors duration-200 ${
+            selectingRange ? 'bg-primary-500 text-white' : 'bg-primary-50 text-primary-700 hover:bg-primary-100'
+          }`}
+          title="Select a range of days (or Shift+click a day)"
+        >
+          <SafeIcon icon={FiMousePointer} />
+          <span>{selectingRange ? 'Selecting…' : 'Select days'}</span>
+        </motion.button>
+      </div>
+
+      {/* Selection Actions */}
+      <AnimatePresence>
+        {selection && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mb-4 p-3 bg-primary-50 border border-primary-200 rounded-xl flex flex-wrap items-center justify-between gap-2"
+          >
+            <p className="text-sm font-semibold text-primary-800">
+              {format(selection.start, 'MMM d')}
+              {selectedDayCount > 1 && ` – ${format(selection.end, 'MMM d')}`}
+              {' '}· {selectedDayCount} day{selectedDayCount !== 1 ? 's' : ''}
+              {selectingRange && selectedDayCount === 1 && (
+                <span className="font-normal text-primary-700"> - pick the last day</span>
+              )}
+            </p>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={onShoppingListForSelection}
+                className="px-3 py-1.5 text-sm bg-white text-green-700 rounded-lg font-semibold border border-green-200 hover:bg-green-50 flex items-center space-x-1"
+              >
+                <SafeIcon icon={FiShoppingCart} className="text-xs" />
+                <span>Shopping list</span>
+              </button>
+              <button
+                onClick={onClearSelection}
+                className="px-3 py-1.5 text-sm bg-white text-red-600 rounded-lg font-semibold border border-red-200 hover:bg-red-50 flex items-center space-x-1"
+              >
+                <SafeIcon icon={FiTrash2} className="text-xs" />
+                <span>Clear meals</span>
+              </button>
+              <button
+                onClick={onCancelSelection}
+                className="p-1.5 text-gray-500 hover:text-gray-800 hover:bg-white rounded-lg"
+                aria-label="Cancel selection"
+              >
+                <SafeIcon icon={FiX} />
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Weekday Header */}
+      <div className="grid grid-cols-7 gap-1 md:gap-2 mb-1">
+        {weekdayLabels.map(label => (
+          <div key={label} className="text-center text-xs font-semibold text-gray-500 uppercase py-1">
+            {label}
+          </div>
+        ))}
+      </div>
+
+      {/* Day Grid */}
+      <div className="grid grid-cols-7 gap-1 md:gap-2">
+        {days.map(day => {
+          const dayMeals = getMealsForDay(day);
+          const slotMeals = mealSlots.map(slot => ({ slot, meals: getSlotMeals(dayMeals, slot.id) }));
+          const filledSlots = slotMeals.filter(entry => entry.meals.length > 0).length;
+          const ratio = mealSlots.length > 0 ? filledSlots / mealSlots.length : 0;
+          const titles = slotMeals.flatMap(({ slot, meals }) => meals.map(meal => ({ icon: slot.icon, title: meal.title })));
+          const inMonth = isSameMonth(day, month);
+          const selected = isSelected(day);
+
+          return (
+            <button
+              key={day.toISOString()}
+              onClick={(e) => onDayClick(day, e)}
+              className={`min-h-[4rem] md:min-h-[7rem] p-1.5 md:p-2 rounded-lg border text-left flex flex-col transition-colors duration-200 ${
+                selected
+                  ? 'border-primary-400 bg-primary-50 ring-2 ring-primary-300'
+                  : 'border-gray-200/70 bg-white/60 hover:bg-white'
+              } ${inMonth ? '' : 'opacity-40'} ${isBefore(day, today) ? 'text-gray-500' : 'text-gray-900'}`}
+              aria-label={`${format(day, 'EEEE, MMMM d')}: ${titles.length} meal${titles.length !== 1 ? 's' : ''} planned`}
+              aria-pressed={selected}
+            >
+              <div className="flex items-center justify-between">
+                <span className={`text-sm font-semibold ${isToday(day) ? 'bg-primary-500 text-white rounded-full w-6 h-6 flex items-center justify-center' : ''}`}>
+                  {format(day, 'd')}
+                </span>
+                {titles.length > 0 && (
+                  <span className="text-[10px] text-gray-500 font-medium">
+                    {filledSlots}/{mealSlots.length}
+                  </span>
+                )}
+              </div>
+
+              {/* Fullness bar */}
+              <div className="h-1 w-full bg-gray-100 rounded-full mt-1 overflow-hidden">
+                <div className={`h-full rounded-full ${getFullnessColor(ratio)}`} style={{ width: `${Math.max(ratio, titles.length > 0 ? 0.1 : 0) * 100}%` }} />
+              </div>
+
+              <ul className="hidden md:block mt-1 space-y-0.5">
+                {titles.slice(0, MAX_TITLES_PER_DAY).map((entry, index) => (
+                  <li key={index} className="text-[11px] text-gray-700 truncate">
+                    {entry.icon} {entry.title}
+                  </li>
+                ))}
+                {titles.length > MAX_TITLES_PER_DAY && (
+                  <li className="text-[11px] text-gray-500 font-medium">
+                    +{titles.length - MAX_TITLES_PER_DAY} more
+                  </li>
+                )}
+              </ul>
+            </button>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-gray-500 mt-3">
+        Click a day to edit its week. Shift+click, or use Select days, to pick a range.
+      </p>
+    </motion.div>
+  );
+};
+
+export default MonthCalendar;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { NUTRIENTS, formatNutrient } from '../lib/nutrition';
+
+// Nutrition totals either as a compact line (grid cells, day headers) or as
+// progress bars against the user's daily targets
+const NutritionTotals = ({ totals = {}, targets = {}, compact = false, className = '' }) => {
+  const tracked = NUTRIENTS.filter(({ id }) => typeof totals[id] === 'number');
+  if (tracked.length === 0) return null;
+
+  if (compact) {
+    return (
+      <div className={`text-[11px] leading-tight ${className}`}>
+        {tracked.map(({ id, name }) => {
+          const target = targets?.[id];
+          const over = target && totals[id] > target;
+          return (
+            <span key={id} className={`mr-2 whitespace-nowrap ${over ? 'text-red-600 font-semibold' : ''}`} title={target ? `${name}: target ${formatNutrient(id, target)}` : name}>
+              {id === 'calories' ? formatNutrient(id, totals[id]) : `${formatNutrient(id, totals[id])} ${name.toLowerCase()}`}
+            </span>
+          );
+        })}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      {tracked.map(({ id, name, color }) => {
+        const target = targets?.[id];
+        const percent = target ? Math.min(100, (totals[id] / target) * 100) : null;
+        return (
+          <div key={id}>
+            <div className="flex items-center justify-between text-xs">
+              <span className="font-semibold text-gray-700">{name}</span>
+              <span className={target && totals[id] > target ? 'text-red-600 font-semibold' : 'text-gray-600'}>
+                {formatNutrient(id, totals[id])}
+                {target ? ` / ${formatNutrient(id, target)}` : ''}
+              </span>
+            </div>
+            {percent !== null && (
+              <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden mt-1">
+                <div className={`h-full rounded-full ${color}`} style={{ width: `${percent}%` }} />
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default NutritionTotals;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { ENTRY_TYPES, createPlanEntry } from '../lib/planEntries';
+import toast from 'react-hot-toast';
+
+// Add a note, eating-out entry or skip marker to a slot instead of a recipe
+const PlanEntryForm = ({ currency = 'USD', onSave }) => {
+  const [type, setType] = useState('note');
+  const [form, setForm] = useState({ text: '', restaurant: '', cost: '' });
+  const selectedType = ENTRY_TYPES.find(entryType => entryType.id === type);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const result = createPlanEntry({ type, ...form });
+    if (!result.success) {
+      toast.error(result.message);
+      return;
+    }
+    onSave(result.entry);
+    setForm({ text: '', restaurant: '', cost: '' });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-50 border border-gray-200 rounded-xl p-4">
+      <div className="flex flex-wrap gap-2 mb-3">
+        {ENTRY_TYPES.map(entryType => (
+          <button
+            key={entryType.id}
+            type="button"
+            onClick={() => setType(entryType.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors duration-200 ${
+              type === entryType.id ? 'bg-primary-500 text-white' : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-100'
+            }`}
+          >
+            {entryType.emoji} {entryType.name}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mb-3">{selectedType.hint}</p>
+
+      <div className="flex flex-wrap items-end gap-2">
+        {type === 'eatingOut' && (
+          <>
+            <label className="flex-1 min-w-[9rem] text-xs font-semibold text-gray-600">
+              Restaurant
+              <input
+                type="text"
+                value={form.restaurant}
+                onChange={(e) => update('restaurant', e.target.value)}
+                placeholder="Optional"
+                maxLength={60}
+                className="mt-1 w-full px-3 py-2 input-modern rounded-lg font-medium text-sm"
+              />
+            </label>
+            <label className="w-28 text-xs font-semibold text-gray-600">
+              Cost ({currency})
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.cost}
+                onChange={(e) => update('cost', e.target.value)}
+                placeholder="Optional"
+                className="mt-1 w-full px-3 py-2 input-modern rounded-lg font-medium text-sm"
+              />
+            </label>
+          </>
+        )}
+        <label className="flex-1 min-w-[12rem] text-xs font-semibold text-gray-600">
+          {type === 'note' ? 'Note' : 'Note (optional)'}
+          <input
+            type="text"
+            value={form.text}
+            onChange={(e) => update('text', e.target.value)}
+            placeholder={type === 'note' ? 'e.g. At grandma\'s' : type === 'skip' ? 'e.g. Fasting' : 'e.g. Pizza night'}
+            maxLength={80}
+            className="mt-1 w-full px-3 py-2 input-modern rounded-lg font-medium text-sm"
+          />
+        </label>
+        <button
+          type="submit"
+          className="px-4 py-2 btn-gradient text-white rounded-lg font-semibold text-sm"
+        >
+          Add to plan
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PlanEntryForm;
@@ -0,0 +1,124 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { RECIPE_UNITS, EMPTY_INGREDIENT_FORM } from '../lib/ingredients';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiPlus, FiX } = FiIcons;
+
+const inputClassName = 'w-full px-3 py-2 border-2 border-gray-200 rounded-xl font-medium bg-white focus:border-primary-500 focus:outline-none transition-colors duration-200';
+
+// Ingredients in the recipe form, one row of structured fields each:
+// quantity, unit, ingredient, preparation note and whether it's optional
+const RecipeIngredientFields = ({ recipe, setRecipe, idPrefix }) => {
+  const updateIngredient = (index, field, value) => {
+    setRecipe(prev => ({
+      ...prev,
+      ingredients: prev.ingredients.map((ingredient, i) => (i === index ? { ...ingredient, [field]: value } : ingredient))
+    }));
+  };
+
+  const addIngredient = () => {
+    setRecipe(prev => ({ ...prev, ingredients: [...prev.ingredients, { ...EMPTY_INGREDIENT_FORM }] }));
+  };
+
+  const removeIngredient = (index) => {
+    setRecipe(prev => ({ ...prev, ingredients: prev.ingredients.filter((_, i) => i !== index) }));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <label className="block text-sm font-semibold text-gray-700">
+          Ingredients
+        </label>
+        <motion.button
+          type="button"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={addIngredient}
+          className="text-primary-600 hover:text-primary-700 font-semibold text-sm flex items-center space-x-1"
+        >
+          <SafeIcon icon={FiPlus} />
+          <span>Add Ingredient</span>
+        </motion.button>
+      </div>
+      <div className="space-y-3">
+        {recipe.ingredients.map((ingredient, index) => {
+          const id = `${idPrefix}-ingredient-${index}`;
+          return (
+            <motion.div
+              key={index}
+              initial={{ opacity: 0, x: -20 }}
+              animate={{ opacity: 1, x: 0 }}
+              transition={{ delay: 0.1 * index }}
+              className="grid grid-cols-6 md:grid-cols-12 gap-2 items-center"
+            >
+              <input
+                id={`${id}-quantity`}
+                type="text"
+                inputMode="decimal"
+                placeholder="Qty"
+                aria-label="Quantity"
+                value={ingredient.quantity}
+                disabled={ingredient.unit === 'to taste'}
+                onChange={(e) => updateIngredient(index, 'quantity', e.target.value)}
+                className={`col-span-2 md:col-span-1 ${inputClassName} disabled:opacity-50`}
+              />
+              <select
+                id={`${id}-unit`}
+                aria-label="Unit"
+                value={ingredient.unit}
+                onChange={(e) => updateIngredient(index, 'unit', e.target.value)}
+                className={`col-span-2 ${inputClassName}`}
+              >
+                {RECIPE_UNITS.map(unit => (
+                  <option key={unit} value={unit}>{unit || '—'}</option>
+                ))}
+              </select>
+              <input
+                id={`${id}-name`}
+                type="text"
+                placeholder="Ingredient, e.g. tomatoes"
+                aria-label="Ingredient"
+                value={ingredient.name}
+                onChange={(e) => updateIngredient(index, 'name', e.target.value)}
+                className={`col-span-2 md:col-span-4 ${inputClassName}`}
+              />
+              <input
+                id={`${id}-note`}
+                type="text"
+                placeholder="Prep, e.g. diced"
+                aria-label="Preparation note"
+                value={ingredient.note}
+                onChange={(e) => updateIngredient(index, 'note', e.target.value)}
+                className={`col-span-4 md:col-span-3 ${inputClassName}`}
+              />
+              <label htmlFor={`${id}-optional`} className="col-span-1 flex items-center space-x-1 text-xs font-medium text-gray-600 cursor-pointer">
+                <input
+                  id={`${id}-optional`}
+                  type="checkbox"
+                  checked={Boolean(ingredient.optional)}
+                  onChange={(e) => updateIngredient(index, 'optional', e.target.checked)}
+                  className="w-4 h-4 text-primary-600 rounded"
+                />
+                <span>Optional</span>
+              </label>
+              <button
+                type="button"
+                onClick={() => removeIngredient(index)}
+                disabled={recipe.ingredients.length === 1}
+                className="col-span-1 justify-self-end p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors duration-200 disabled:opacity-30 disabled:hover:bg-transparent"
+                aria-label="Remove ingredient"
+              >
+                <SafeIcon icon={FiX} />
+              </button>
+            </motion.div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default RecipeIngredientFields;
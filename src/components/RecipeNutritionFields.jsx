@@ -0,0 +1,91 @@
+import React from 'react';
+import { NUTRIENTS, estimateRecipeNutrition, getConfidenceLevel, formatNutrient } from '../lib/nutrition';
+import { fromIngredientForm } from '../lib/ingredients';
+
+// Per-serving nutrition in the recipe form: estimated from the ingredients as they're
+// typed, with each field open for the author to override
+const RecipeNutritionFields = ({ recipe, setRecipe, idPrefix }) => {
+  const estimate = estimateRecipeNutrition(recipe.ingredients.map(fromIngredientForm), recipe.servings);
+  const overrides = recipe.nutritionOverrides || {};
+  const hasOverrides = NUTRIENTS.some(({ id }) => overrides[id] !== undefined && overrides[id] !== '');
+  const level = estimate ? getConfidenceLevel(estimate.confidence) : null;
+
+  const setOverride = (id, value) => {
+    setRecipe(prev => ({
+      ...prev,
+      nutritionOverrides: { ...(prev.nutritionOverrides || {}), [id]: value }
+    }));
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <label className="block text-sm font-semibold text-gray-700">
+          Nutrition per Serving
+        </label>
+        <div className="flex items-center space-x-2 text-xs">
+          {level && estimate.nutrition && (
+            <span className={`px-2 py-0.5 rounded-full font-semibold ${level.className}`}>
+              {level.label} confidence · {Math.round(estimate.confidence * 100)}%
+            </span>
+          )}
+          {hasOverrides && (
+            <button
+              type="button"
+              onClick={() => setRecipe(prev => ({ ...prev, nutritionOverrides: {} }))}
+              className="text-primary-600 hover:text-primary-700 font-semibold"
+            >
+              Reset to estimate
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        {NUTRIENTS.map(nutrient => {
+          const estimated = estimate?.nutrition?.[nutrient.id];
+          return (
+            <div key={nutrient.id}>
+              <label htmlFor={`${idPrefix}-nutrition-${nutrient.id}`} className="block text-xs font-medium text-gray-600 mb-1">
+                {nutrient.name} ({nutrient.unit})
+              </label>
+              <input
+                id={`${idPrefix}-nutrition-${nutrient.id}`}
+                type="number"
+                min="0"
+                step="any"
+                value={overrides[nutrient.id] ?? ''}
+                placeholder={typeof estimated === 'number' ? `≈ ${Math.round(estimated)}` : ''}
+                onChange={(e) => setOverride(nutrient.id, e.target.value)}
+                className="w-full px-3 py-2 border-2 border-gray-200 rounded-xl font-medium bg-white focus:border-primary-500 focus:outline-none transition-colors duration-200"
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-gray-500 mt-2">
+        {estimate?.nutrition
+          ? `Estimated at ${formatNutrient('calories', estimate.nutrition.calories)} from ${estimate.matched.length} of ${estimate.matched.length + estimate.unmatched.length} ingredients. Leave a field blank to use the estimate, or type a value to override it.`
+          : 'Add ingredients with amounts to get an estimate, or type the values in yourself.'}
+      </p>
+
+      {estimate?.unmatched.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-1.5">
+          <span className="text-xs font-semibold text-amber-700">Not counted:</span>
+          {estimate.unmatched.map((item, index) => (
+            <span
+              key={`${item.name}-${index}`}
+              title={item.reason}
+              className="text-xs bg-amber-50 text-amber-800 border border-amber-200 px-2 py-0.5 rounded-full"
+            >
+              {item.name}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecipeNutritionFields;
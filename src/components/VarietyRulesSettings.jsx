@@ -0,0 +1,68 @@
+import React from 'react';
+import { normalizeVarietyRules } from '../lib/variety';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiShuffle } = FiIcons;
+
+const RULES = [
+  { check: 'checkRepeats', limit: 'maxRepeats', label: 'Same recipe', hint: 'Times one recipe may appear in a week. Leftovers don\'t count.' },
+  { check: 'checkProteins', limit: 'maxSameProtein', label: 'Same protein', hint: 'Meals per week built on one protein, e.g. chicken.' },
+  { check: 'checkCuisines', limit: 'maxSameCuisine', label: 'Same cuisine', hint: 'Meals per week with one cuisine tag, e.g. Italian.' },
+  { check: 'checkVegetables', label: 'Vegetables every day', hint: 'Warn about planned days without any vegetables.' }
+];
+
+// Which variety checks the Scheduler runs on a week, and their limits
+const VarietyRulesSettings = ({ rules, onChange }) => {
+  const current = normalizeVarietyRules(rules);
+  // Limits keep what's typed (even blank) until saved, when they are normalized
+  const update = (field, value) => onChange('varietyRules', { ...current, ...rules, [field]: value });
+
+  return (
+    <div className="p-6 bg-gradient-to-r from-sky-50 to-indigo-50 rounded-xl border border-sky-200">
+      <h3 className="font-semibold text-gray-900 flex items-center">
+        <SafeIcon icon={FiShuffle} className="mr-2 text-sky-600" />
+        Variety & Balance
+      </h3>
+      <p className="text-sm text-gray-600 mt-1 mb-4">
+        The Scheduler warns when a week breaks these rules and suggests swaps from your recipes.
+      </p>
+
+      <div className="space-y-3">
+        {RULES.map(rule => (
+          <div key={rule.check} className="flex flex-wrap items-center justify-between gap-3 bg-white/70 rounded-lg p-3">
+            <label className="flex items-start space-x-3 cursor-pointer min-w-0">
+              <input
+                type="checkbox"
+                checked={current[rule.check]}
+                onChange={(e) => update(rule.check, e.target.checked)}
+                className="mt-1 w-4 h-4 text-primary-600 rounded"
+              />
+              <span>
+                <span className="block font-medium text-gray-900">{rule.label}</span>
+                <span className="block text-xs text-gray-500">{rule.hint}</span>
+              </span>
+            </label>
+            {rule.limit && (
+              <label className="flex items-center space-x-2 text-sm text-gray-600">
+                <span>At most</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="21"
+                  value={rules?.[rule.limit] ?? current[rule.limit]}
+                  onChange={(e) => update(rule.limit, e.target.value)}
+                  disabled={!current[rule.check]}
+                  className="w-16 px-2 py-1 input-modern rounded-lg font-medium text-center disabled:opacity-50"
+                />
+                <span>a week</span>
+              </label>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default VarietyRulesSettings;
@@ -230,7 +230,8 @@ export const GamificationProvider = ({ children }) => {
   };
 
   // 🍽️ NEW: Award XP for meal planning (once per meal type per day)
-  const addMealPlanningXP = (mealType) => {
+  // options.xpSlotIds lists the slots that must all be planned for the daily bonus
+  const addMealPlanningXP = (mealType, { label = mealType, xpSlotIds } = {}) => {
     if (!user || !dailyProgress.mealsPlanned) return false;
 
     const today = new Date().toDateString();
@@ -243,7 +244,7 @@ export const GamificationProvider = ({ children }) => {
 
     // Check if this meal type was already planned today
     if (dailyProgress.mealsPlanned[mealType]) {
-      toast.error(`Already earned XP for ${mealType} today! Try again tomorrow.`, {
+      toast.error(`Already earned XP for ${label} today! Try again tomorrow.`, {
         duration: 3000,
         style: {
           background: 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)',
@@ -277,7 +278,8 @@ export const GamificationProvider = ({ children }) => {
 
     // Check if all meals are planned for bonus
     const updatedMeals = { ...dailyProgress.mealsPlanned, [mealType]: true };
-    const allMealsPlanned = Object.values(updatedMeals).every(planned => planned);
+    const bonusSlotIds = xpSlotIds || Object.keys(updatedMeals);
+    const allMealsPlanned = bonusSlotIds.every(slotId => updatedMeals[slotId]);
     
     if (allMealsPlanned) {
       // Bonus XP for planning all meals
@@ -306,7 +308,7 @@ export const GamificationProvider = ({ children }) => {
           }
         });
       } else {
-        toast.success(`+${amount} XP - ${mealType} planned!`, {
+        toast.success(`+${amount} XP - ${label} planned!`, {
           duration: 2000,
           style: {
             background: 'linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%)',
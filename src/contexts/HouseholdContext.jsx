@@ -0,0 +1,463 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { useAuth } from './AuthContext';
+import { useSettings } from './SettingsContext';
+import supabase from '../lib/supabase';
+import { EMPTY_SHOPPING_LIST, applyShoppingListChanges } from '../lib/shoppingListSync';
+import toast from 'react-hot-toast';
+
+const HouseholdContext = createContext();
+
+// Households share one meal plan (stored under the owner's user id) and one shopping list.
+// Tables: households_mp2024 (id, name, owner_id, created_at),
+// household_members_mp2024 (household_id, user_id, username, role, status, invited_by, created_at),
+// household_shopping_lists_mp2024 (household_id unique, custom_items, checked_items, updated_by,
+// updated_at set by the server). See supabase/migrations for the schema and access policies.
+const HOUSEHOLDS_TABLE = 'households_mp2024';
+const MEMBERS_TABLE = 'household_members_mp2024';
+const SHOPPING_LISTS_TABLE = 'household_shopping_lists_mp2024';
+// Attempts at saving shopping list changes when another member saved in between
+const MAX_SAVE_ATTEMPTS = 3;
+
+const toSharedShoppingList = (row) => ({
+  customItems: (Array.isArray(row.custom_items) ? row.custom_items : []).filter(item =>
+    item && item.id && item.name && typeof item.name === 'string' && item.name.trim()
+  ),
+  checkedItems: Array.isArray(row.checked_items) ? row.checked_items : [],
+  updatedBy: row.updated_by,
+  updatedAt: row.updated_at
+});
+
+export const useHousehold = () => {
+  const context = useContext(HouseholdContext);
+  if (!context) {
+    throw new Error('useHousehold must be used within a HouseholdProvider');
+  }
+  return context;
+};
+
+export const HouseholdProvider = ({ children }) => {
+  const [household, setHousehold] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const { user } = useAuth();
+  const { preferences } = useSettings();
+
+  // Helper function to get safe user ID as string
+  const getSafeUserId = (userObj) => {
+    if (!userObj) return null;
+    return String(userObj.id || userObj.user_id || '');
+  };
+
+  const userId = getSafeUserId(user);
+  const username = preferences?.username || user?.username || user?.name || '';
+  const isOwner = household?.role === 'owner';
+
+  const transformHousehold = (data, members) => {
+    const me = members.find(member => member.user_id === userId);
+    return {
+      id: data.id,
+      name: data.name,
+      ownerId: data.owner_id,
+      createdAt: data.created_at,
+      role: me?.role || 'member',
+      members: members.map(member => ({
+        userId: member.user_id,
+        username: member.username,
+        role: member.role,
+        status: member.status,
+        invitedBy: member.invited_by
+      }))
+    };
+  };
+
+  // Load the active household and any pending invitations for the current user
+  const loadHousehold = async () => {
+    if (!user?.supabaseUser || !userId) {
+      setHousehold(null);
+      setInvitations([]);
+      return;
+    }
+
+    try {
+      setLoading(true);
+
+      const { data: memberships, error } = await supabase
+        .from(MEMBERS_TABLE)
+        .select('*')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      const householdIds = [...new Set(memberships.map(membership => membership.household_id))];
+      const householdsById = {};
+
+      if (householdIds.length > 0) {
+        const { data: households, error: householdsError } = await supabase
+          .from(HOUSEHOLDS_TABLE)
+          .select('*')
+          .in('id', householdIds);
+
+        if (householdsError) throw householdsError;
+        households.forEach(item => {
+          householdsById[item.id] = item;
+        });
+      }
+
+      setInvitations(memberships
+        .filter(membership => membership.status === 'invited' && householdsById[membership.household_id])
+        .map(membership => ({
+          householdId: membership.household_id,
+          name: householdsById[membership.household_id].name,
+          invitedBy: membership.invited_by
+        })));
+
+      const activeMembership = memberships.find(membership => (
+        membership.status === 'active' && householdsById[membership.household_id]
+      ));
+
+      if (!activeMembership) {
+        setHousehold(null);
+        return;
+      }
+
+      const { data: members, error: membersError } = await supabase
+        .from(MEMBERS_TABLE)
+        .select('*')
+        .eq('household_id', activeMembership.household_id)
+        .order('created_at', { ascending: true });
+
+      if (membersError) throw membersError;
+
+      setHousehold(transformHousehold(householdsById[activeMembership.household_id], members));
+    } catch (error) {
+      if (error.message?.includes('does not exist')) {
+        console.warn('Household tables not found, households are unavailable');
+      } else {
+        console.error('❌ Error loading household:', error);
+      }
+      setHousehold(null);
+      setInvitations([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadHousehold();
+  }, [user?.id, user?.supabaseUser]);
+
+  const requireAccount = () => {
+    if (!user?.supabaseUser) {
+      const message = 'Households need a signed-in account';
+      toast.error(message);
+      return { success: false, message };
+    }
+    return null;
+  };
+
+  const createHousehold = async (name) => {
+    const accountError = requireAccount();
+    if (accountError) return accountError;
+
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      return { success: false, message: 'Household name is required' };
+    }
+    if (household) {
+      return { success: false, message: 'Leave your current household first' };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from(HOUSEHOLDS_TABLE)
+        .insert({ name: trimmedName, owner_id: userId })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const { error: memberError } = await supabase
+        .from(MEMBERS_TABLE)
+        .insert({
+          household_id: data.id,
+          user_id: userId,
+          username,
+          role: 'owner',
+          status: 'active'
+        });
+
+      if (memberError) throw memberError;
+
+      await loadHousehold();
+      toast.success(`🏠 ${trimmedName} created!`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error creating household:', error);
+      toast.error('Failed to create household');
+      return { success: false, message: error.message };
+    }
+  };
+
+  // Invite an existing user by their username
+  const inviteMember = async (inviteeUsername) => {
+    const accountError = requireAccount();
+    if (accountError) return accountError;
+
+    const trimmedUsername = (inviteeUsername || '').trim();
+    if (!household || !isOwner) {
+      return { success: false, message: 'Only the household owner can invite members' };
+    }
+    if (!/^[a-zA-Z0-9_]{3,}$/.test(trimmedUsername)) {
+      return { success: false, message: 'Enter a valid username' };
+    }
+    if (trimmedUsername.toLowerCase() === username.toLowerCase()) {
+      return { success: false, message: 'You are already in this household' };
+    }
+    if (household.members.some(member => member.username?.toLowerCase() === trimmedUsername.toLowerCase())) {
+      return { success: false, message: `${trimmedUsername} is already invited` };
+    }
+
+    try {
+      // ilike for a case-insensitive match; "_" and "%" are wildcards there, so they're
+      // escaped and the result is compared exactly as well
+      const { data: matches, error } = await supabase
+        .from('user_preferences_mp2024')
+        .select('user_id, username')
+        .ilike('username', trimmedUsername.replace(/[\\%_]/g, '\\$&'));
+
+      if (error) throw error;
+
+      const invitee = matches?.find(match => match.username?.toLowerCase() === trimmedUsername.toLowerCase());
+      if (!invitee) {
+        return { success: false, message: `No user named ${trimmedUsername}` };
+      }
+
+      const { error: inviteError } = await supabase
+        .from(MEMBERS_TABLE)
+        .insert({
+          household_id: household.id,
+          user_id: invitee.user_id,
+          username: invitee.username,
+          role: 'member',
+          status: 'invited',
+          invited_by: username
+        });
+
+      if (inviteError) throw inviteError;
+
+      await loadHousehold();
+      toast.success(`📨 Invitation sent to ${invitee.username}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error inviting member:', error);
+      toast.error('Failed to send invitation');
+      return { success: false, message: error.message };
+    }
+  };
+
+  const respondToInvitation = async (householdId, accept) => {
+    const accountError = requireAccount();
+    if (accountError) return accountError;
+
+    if (accept && household) {
+      return { success: false, message: 'Leave your current household first' };
+    }
+
+    try {
+      const query = supabase.from(MEMBERS_TABLE);
+      const { error } = accept
+        ? await query.update({ status: 'active', username }).eq('household_id', householdId).eq('user_id', userId)
+        : await query.delete().eq('household_id', householdId).eq('user_id', userId);
+
+      if (error) throw error;
+
+      await loadHousehold();
+      toast.success(accept ? '🏠 Welcome to the household!' : 'Invitation declined');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error responding to invitation:', error);
+      toast.error('Failed to respond to invitation');
+      return { success: false, message: error.message };
+    }
+  };
+
+  const removeMember = async (memberUserId) => {
+    if (!household || !isOwner) {
+      return { success: false, message: 'Only the household owner can remove members' };
+    }
+    if (memberUserId === userId) {
+      return { success: false, message: 'Owners leave by disbanding the household' };
+    }
+
+    try {
+      const { error } = await supabase
+        .from(MEMBERS_TABLE)
+        .delete()
+        .eq('household_id', household.id)
+        .eq('user_id', memberUserId);
+
+      if (error) throw error;
+
+      await loadHousehold();
+      toast.success('Member removed');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error removing member:', error);
+      toast.error('Failed to remove member');
+      return { success: false, message: error.message };
+    }
+  };
+
+  // Members leave on their own; an owner leaving disbands the household
+  const leaveHousehold = async () => {
+    if (!household) {
+      return { success: false, message: 'You are not in a household' };
+    }
+
+    try {
+      if (isOwner) {
+        const { error: membersError } = await supabase
+          .from(MEMBERS_TABLE)
+          .delete()
+          .eq('household_id', household.id);
+
+        if (membersError) throw membersError;
+
+        const { error } = await supabase
+          .from(HOUSEHOLDS_TABLE)
+          .delete()
+          .eq('id', household.id);
+
+        if (error) throw error;
+      } else {
+        const { error } = await supabase
+          .from(MEMBERS_TABLE)
+          .delete()
+          .eq('household_id', household.id)
+          .eq('user_id', userId);
+
+        if (error) throw error;
+      }
+
+      const householdName = household.name;
+      await loadHousehold();
+      toast.success(isOwner ? `${householdName} disbanded` : `You left ${householdName}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error leaving household:', error);
+      toast.error('Failed to leave household');
+      return { success: false, message: error.message };
+    }
+  };
+
+  // 🛒 SHARED SHOPPING LIST: Custom and checked items every member sees
+  const fetchSharedShoppingRow = async () => {
+    const { data, error } = await supabase
+      .from(SHOPPING_LISTS_TABLE)
+      .select('*')
+      .eq('household_id', household.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  };
+
+  const loadSharedShoppingList = async () => {
+    if (!household) return null;
+
+    try {
+      const data = await fetchSharedShoppingRow();
+      return data ? toSharedShoppingList(data) : null;
+    } catch (error) {
+      console.error('❌ Error loading shared shopping list:', error);
+      return null;
+    }
+  };
+
+  // Apply one member's changes (from getShoppingListChanges) to the latest saved list.
+  // The row is only written if nobody saved since it was read; otherwise it is read again.
+  const saveSharedShoppingList = async (changes) => {
+    if (!household) return { success: false };
+
+    try {
+      for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+        const row = await fetchSharedShoppingRow();
+        const list = applyShoppingListChanges(row ? toSharedShoppingList(row) : EMPTY_SHOPPING_LIST, changes);
+        const values = {
+          custom_items: list.customItems,
+          checked_items: list.checkedItems,
+          updated_by: username
+        };
+
+        if (row) {
+          const { data, error } = await supabase
+            .from(SHOPPING_LISTS_TABLE)
+            .update(values)
+            .eq('household_id', household.id)
+            .eq('updated_at', row.updated_at)
+            .select('household_id');
+
+          if (error) throw error;
+          if (data.length > 0) return { success: true, list };
+        } else {
+          const { error } = await supabase
+            .from(SHOPPING_LISTS_TABLE)
+            .insert({ household_id: household.id, ...values });
+
+          // 23505: another member created the list first
+          if (!error) return { success: true, list };
+          if (error.code !== '23505') throw error;
+        }
+      }
+      return { success: false, message: 'The shopping list kept changing, try again' };
+    } catch (error) {
+      console.error('❌ Error saving shared shopping list:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  // Live updates from other members; returns the unsubscribe function
+  const subscribeToSharedShoppingList = (onChange) => {
+    if (!household) return () => {};
+
+    const channel = supabase
+      .channel(`shopping-list-${household.id}`)
+      .on('postgres_changes', {
+        event: '*',
+        schema: 'public',
+        table: SHOPPING_LISTS_TABLE,
+        filter: `household_id=eq.${household.id}`
+      }, (payload) => {
+        if (payload.new?.household_id) onChange(toSharedShoppingList(payload.new));
+      })
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  };
+
+  const value = {
+    household,
+    invitations,
+    loading,
+    isOwner,
+    // Meal plans of household members are stored under the owner's id
+    planOwnerId: household ? household.ownerId : (user?.supabaseUser ? userId : null),
+    createHousehold,
+    inviteMember,
+    respondToInvitation,
+    removeMember,
+    leaveHousehold,
+    loadHousehold,
+    loadSharedShoppingList,
+    saveSharedShoppingList,
+    subscribeToSharedShoppingList
+  };
+
+  return (
+    <HouseholdContext.Provider value={value}>
+      {children}
+    </HouseholdContext.Provider>
+  );
+};
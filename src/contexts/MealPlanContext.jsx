@@ -1,5 +1,29 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { format, isAfter, startOfDay } from 'date-fns';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { format, isAfter, isBefore, startOfDay, addDays, getDay } from 'date-fns';
+import { v4 as uuidv4 } from 'uuid';
+import { useAuth } from './AuthContext';
+import { useSettings } from './SettingsContext';
+import { useHousehold } from './HouseholdContext';
+import { useRecipes } from './RecipeContext';
+import { generateMealPlan } from '../lib/mealPlanGenerator';
+import { getMealSlots, isMultiSlot, getSlotMeals, setSlotMeals } from '../lib/mealSlots';
+import { isPlanEntry } from '../lib/planEntries';
+import { toLocalDate, toDateKey } from '../lib/dates';
+import { parseIngredientAmount, sumQuantities, getIngredientQuantity } from '../lib/ingredients';
+import { normalizeIngredientName, getDisplayName } from '../lib/ingredientNames';
+import {
+  MEAL_PLAN_SLOTS_TABLE,
+  getSlotKey,
+  parseSlotKey,
+  getSlotValue,
+  setSlotValue,
+  getChangedSlotKeys,
+  toSlotRow,
+  getRowVersion,
+  isRemoteChanged
+} from '../lib/mealPlanSync';
+import supabase from '../lib/supabase';
+import toast from 'react-hot-toast';
 
 const MealPlanContext = createContext();
 
@@ -11,65 +35,45 @@ export const useMealPlan = () => {
   return context;
 };
 
-// Utility function to parse ingredient amounts and convert to common units
-const parseIngredientAmount = (amount) => {
-  if (!amount || typeof amount !== 'string') return { value: 1, unit: 'piece', original: amount || '1 piece' };
+// 🍽️ SERVINGS: A planned meal's servings default to the recipe's own servings
+const getMealServings = (meal) => {
+  const servings = parseInt(meal?.plannedServings || meal?.servings, 10);
+  return servings > 0 ? servings : 1;
+};
 
-  const cleanAmount = amount.toLowerCase().trim();
+const getServingsScale = (meal) => {
+  const recipeServings = parseInt(meal?.servings, 10);
+  if (!recipeServings || recipeServings <= 0) return 1;
+  return getMealServings(meal) / recipeServings;
+};
 
-  // Extract number from the beginning
-  const numberMatch = cleanAmount.match(/^(\d+(?:\.\d+)?(?:\/\d+)?)/);
-  let value = 1;
-  if (numberMatch) {
-    const numStr = numberMatch[1];
-    if (numStr.includes('/')) {
-      const [num, den] = numStr.split('/');
-      value = parseFloat(num) / parseFloat(den);
-    } else {
-      value = parseFloat(numStr);
-    }
-  }
+const formatScaledValue = (value) => {
+  const rounded = Math.round(value * 100) / 100;
+  return String(rounded);
+};
 
-  // Common unit mappings
-  const unitMappings = {
-    // Weight
-    'g': 'g', 'gram': 'g', 'grams': 'g',
-    'kg': 'kg', 'kilogram': 'kg', 'kilograms': 'kg',
-    'oz': 'oz', 'ounce': 'oz', 'ounces': 'oz',
-    'lb': 'lb', 'pound': 'lb', 'pounds': 'lb',
-    // Volume
-    'ml': 'ml', 'milliliter': 'ml', 'milliliters': 'ml',
-    'l': 'l', 'liter': 'l', 'liters': 'l',
-    'cup': 'cup', 'cups': 'cup',
-    'tbsp': 'tbsp', 'tablespoon': 'tbsp', 'tablespoons': 'tbsp',
-    'tsp': 'tsp', 'teaspoon': 'tsp', 'teaspoons': 'tsp',
-    'fl oz': 'fl oz', 'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz',
-    // Count
-    'piece': 'piece', 'pieces': 'piece',
-    'item': 'piece', 'items': 'piece',
-    'large': 'piece', 'medium': 'piece', 'small': 'piece',
-    'can': 'can', 'cans': 'can',
-    'package': 'package', 'packages': 'package',
-    'bunch': 'bunch', 'bunches': 'bunch',
-    'clove': 'clove', 'cloves': 'clove',
-    'head': 'head', 'heads': 'head',
-  };
-
-  // Find unit in the string
-  let unit = 'piece';
-  for (const [key, standardUnit] of Object.entries(unitMappings)) {
-    if (cleanAmount.includes(key)) {
-      unit = standardUnit;
-      break;
-    }
-  }
+// Scale the leading quantity of an amount string, keeping the unit text as written.
+// Ranges scale both ends; amounts without a quantity (e.g. "to taste") are left untouched.
+const scaleIngredientAmount = (amount, scale) => {
+  if (!amount || typeof amount !== 'string' || scale === 1) return amount;
 
-  // Handle special cases
-  if (cleanAmount.includes('to taste') || cleanAmount.includes('as needed')) {
-    return { value: 0, unit: 'to taste', original: amount };
-  }
+  const parsed = parseIngredientAmount(amount);
+  if (parsed.unit === 'to taste' || !parsed.quantityText) return amount;
 
-  return { value, unit, original: amount };
+  const scaled = parsed.min !== parsed.max
+    ? `${formatScaledValue(parsed.min * scale)}-${formatScaledValue(parsed.max * scale)}`
+    : formatScaledValue(parsed.value * scale);
+  return amount.trim().replace(parsed.quantityText, scaled);
+};
+
+const getScaledIngredients = (meal) => {
+  if (!meal || !Array.isArray(meal.ingredients)) return [];
+  const scale = getServingsScale(meal);
+  return meal.ingredients.map(ingredient => ({
+    ...ingredient,
+    ...(Number.isFinite(ingredient.quantity) && { quantity: ingredient.quantity * scale }),
+    amount: scaleIngredientAmount(ingredient.amount, scale)
+  }));
 };
 
 // ✅ ENHANCED: Function to validate ingredient data
@@ -116,176 +120,1101 @@ const combineIngredients = (ingredients) => {
 
   const grouped = {};
 
+  // Plurals, prep notes and synonyms share a line (see lib/ingredientNames)
   validIngredients.forEach(ingredient => {
-    const key = ingredient.name.toLowerCase().trim();
-    const parsed = parseIngredientAmount(ingredient.amount);
-
+    const key = normalizeIngredientName(ingredient.name) || ingredient.name.toLowerCase();
     if (!grouped[key]) {
-      grouped[key] = {
-        name: ingredient.name,
-        amounts: [],
-        totalValue: 0,
-        primaryUnit: parsed.unit,
-        hasIncompatibleUnits: false
-      };
+      grouped[key] = { names: [], amounts: [], quantities: [], optional: true };
     }
+    if (!grouped[key].names.includes(ingredient.name)) grouped[key].names.push(ingredient.name);
+    grouped[key].amounts.push(ingredient.amount);
+    grouped[key].quantities.push(getIngredientQuantity(ingredient));
+    // Optional only when every recipe that needs it calls it optional
+    grouped[key].optional = grouped[key].optional && Boolean(ingredient.optional);
+  });
 
-    grouped[key].amounts.push(parsed);
+  // One amount is shown as written; several are converted and summed per unit family
+  return Object.values(grouped).map(item => ({
+    name: item.names.length === 1 ? item.names[0] : getDisplayName(item.names),
+    amount: item.amounts.length === 1 ? item.amounts[0] : sumQuantities(item.quantities),
+    ...(item.optional && { optional: true })
+  }));
+};
 
-    // Check if units are compatible for addition
-    if (parsed.unit === grouped[key].primaryUnit || parsed.unit === 'to taste') {
-      if (parsed.unit !== 'to taste') {
-        grouped[key].totalValue += parsed.value;
-      }
+// 🔗 RECIPE LINKS: A planned meal keeps its source recipe's id next to a snapshot of the
+// recipe, so it still shows (and shops) after the recipe is edited or deleted
+const PLAN_FIELDS = ['planId', 'plannedServings', 'generated', 'locked', 'leftoverOf', 'addedBy'];
+
+const getSourceRecipeId = (meal) => meal?.recipeId || meal?.id || null;
+
+const createPlannedMeal = (recipe, planFields) => {
+  const { sourceDeleted, ...snapshot } = recipe;
+  return { ...snapshot, recipeId: getSourceRecipeId(recipe), ...planFields };
+};
+
+// Take the recipe's current content, keeping the meal's own plan fields
+const refreshPlannedMeal = (meal, recipe) => {
+  const planFields = {};
+  PLAN_FIELDS.forEach(field => {
+    if (meal[field] !== undefined) planFields[field] = meal[field];
+  });
+  return createPlannedMeal(recipe, planFields);
+};
+
+// Copy a day's meals so templates never share slot arrays with the live plan
+const copyDayMeals = (dayMeals = {}) => {
+  const copy = {};
+  Object.entries(dayMeals).forEach(([slotId, value]) => {
+    copy[slotId] = Array.isArray(value) ? [...value] : value;
+  });
+  return copy;
+};
+
+// Config of a slot, treating slots removed from preferences as single-meal slots
+const getSlotConfig = (slots, slotId) => (
+  slots.find(slot => slot.id === slotId) || { id: slotId, name: slotId, maxPerDay: 1, countsForXP: false }
+);
+
+// ♻️ LEFTOVERS: A leftover entry points back to the planned meal it came from
+const isLeftoverMeal = (meal) => Boolean(meal?.leftoverOf);
+
+// List every planned meal of a day together with its slot. slotIndex is only set
+// for slots stored as an array.
+const getDayMealEntries = (dayMeals = {}) => {
+  const entries = [];
+  Object.entries(dayMeals).forEach(([mealType, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach((meal, slotIndex) => {
+        if (meal) entries.push({ mealType, slotIndex, meal });
+      });
+    } else if (value) {
+      entries.push({ mealType, slotIndex: null, meal: value });
+    }
+  });
+  return entries;
+};
+
+// Drop the leftovers of a removed meal so they don't linger without a source
+const removeLeftoversOf = (plan, planId) => {
+  if (!planId) return;
+  Object.keys(plan).forEach(dateStr => {
+    const dayMeals = plan[dateStr];
+    const hasLeftovers = getDayMealEntries(dayMeals).some(({ meal }) => meal.leftoverOf?.planId === planId);
+    if (!hasLeftovers) return;
+
+    const updatedDay = copyDayMeals(dayMeals);
+    Object.keys(updatedDay).forEach(slotId => {
+      const remaining = getSlotMeals(updatedDay, slotId).filter(meal => meal.leftoverOf?.planId !== planId);
+      setSlotMeals(updatedDay, slotId, remaining, Array.isArray(dayMeals[slotId]));
+    });
+
+    if (Object.keys(updatedDay).length === 0) {
+      delete plan[dateStr];
     } else {
-      grouped[key].hasIncompatibleUnits = true;
+      plan[dateStr] = updatedDay;
     }
   });
+};
 
-  // Convert back to ingredient format
-  return Object.values(grouped).map(item => {
-    if (item.hasIncompatibleUnits || item.amounts.length === 1) {
-      // If units are incompatible or only one amount, show all amounts
-      const amountStr = item.amounts.map(a => a.original).join(' + ');
-      return {
-        name: item.name,
-        amount: amountStr
-      };
+// Give a copied day new plan ids, keeping leftover links inside the copy intact
+const withFreshPlanIds = (dayMeals, idMap, addedBy = null) => {
+  const freshId = (planId) => {
+    if (!idMap[planId]) idMap[planId] = uuidv4();
+    return idMap[planId];
+  };
+  const refresh = (meal) => {
+    if (!meal) return meal;
+    const refreshed = { ...meal, planId: freshId(meal.planId || uuidv4()), addedBy };
+    if (meal.leftoverOf) {
+      refreshed.leftoverOf = { ...meal.leftoverOf, planId: freshId(meal.leftoverOf.planId) };
+    }
+    return refreshed;
+  };
+
+  const copy = copyDayMeals(dayMeals);
+  Object.keys(copy).forEach(slotId => {
+    copy[slotId] = Array.isArray(copy[slotId]) ? copy[slotId].map(refresh) : refresh(copy[slotId]);
+  });
+  return copy;
+};
+
+const getSlotMeal = (dayMeals, mealType, slotIndex) => getSlotMeals(dayMeals, mealType)[slotIndex ?? 0];
+
+// Move a meal between slots. A slot that holds one meal swaps with an occupied
+// target; multi-meal slots append unless a specific meal is targeted, and
+// appending never exceeds the slot's daily limit.
+const moveMealInPlan = (plan, from, to, slots) => {
+  const fromDateStr = toDateKey(from.date);
+  const toDateStr = toDateKey(to.date);
+  const fromIndex = from.slotIndex ?? null;
+  const toIndex = to.slotIndex ?? null;
+  const fromSlot = getSlotConfig(slots, from.mealType);
+  const toSlot = getSlotConfig(slots, to.mealType);
+  const sameSlot = fromDateStr === toDateStr && from.mealType === to.mealType;
+
+  if (sameSlot && fromIndex === toIndex) {
+    return { plan, unchanged: true };
+  }
+
+  const updatedPlan = { ...plan };
+  updatedPlan[fromDateStr] = copyDayMeals(plan[fromDateStr]);
+  if (toDateStr !== fromDateStr) {
+    updatedPlan[toDateStr] = copyDayMeals(plan[toDateStr]);
+  }
+  const fromDay = updatedPlan[fromDateStr];
+  const toDay = updatedPlan[toDateStr];
+
+  const fromMeals = getSlotMeals(fromDay, from.mealType);
+  const meal = fromMeals[fromIndex ?? 0];
+  if (!meal) {
+    return { error: 'Meal not found' };
+  }
+
+  const targetMeals = getSlotMeals(toDay, to.mealType);
+  let displacedIndex = null;
+  if (toIndex !== null && targetMeals[toIndex]) {
+    displacedIndex = toIndex;
+  } else if (!isMultiSlot(toSlot) && targetMeals.length > 0 && !sameSlot) {
+    displacedIndex = 0;
+  } else if (targetMeals.length - (sameSlot ? 1 : 0) >= (toSlot.maxPerDay || 1)) {
+    return { error: `Maximum ${toSlot.maxPerDay || 1} ${toSlot.name.toLowerCase()} per day allowed!` };
+  }
+  const displaced = displacedIndex !== null ? targetMeals[displacedIndex] : null;
+
+  if (sameSlot) {
+    // Reorder within one slot: swap with the targeted meal or move to the end
+    if (displaced) {
+      fromMeals[fromIndex ?? 0] = displaced;
+      fromMeals[displacedIndex] = meal;
+    } else {
+      fromMeals.splice(fromIndex ?? 0, 1);
+      fromMeals.push(meal);
+    }
+    setSlotMeals(fromDay, from.mealType, fromMeals, isMultiSlot(fromSlot));
+  } else {
+    // Put the displaced meal into the source slot, or free the source slot
+    if (displaced) {
+      fromMeals[fromIndex ?? 0] = displaced;
     } else {
-      // If units are compatible, show combined amount
-      const hasToTaste = item.amounts.some(a => a.unit === 'to taste');
-      let combinedAmount = '';
+      fromMeals.splice(fromIndex ?? 0, 1);
+    }
+    setSlotMeals(fromDay, from.mealType, fromMeals, isMultiSlot(fromSlot));
 
-      if (item.totalValue > 0) {
-        combinedAmount = `${item.totalValue}${item.primaryUnit === 'piece' ? '' : ' ' + item.primaryUnit}`;
-      }
+    // Place the meal in the target slot
+    if (displaced) {
+      targetMeals[displacedIndex] = meal;
+    } else {
+      targetMeals.push(meal);
+    }
+    setSlotMeals(toDay, to.mealType, targetMeals, isMultiSlot(toSlot));
+  }
+
+  // Clean up empty dates
+  [fromDateStr, toDateStr].forEach(dateStr => {
+    if (updatedPlan[dateStr] && Object.keys(updatedPlan[dateStr]).length === 0) {
+      delete updatedPlan[dateStr];
+    }
+  });
+
+  return { plan: updatedPlan, swapped: Boolean(displaced) };
+};
+
+// ☁️ SYNC: Slots edited locally but not yet confirmed by Supabase, as { base, editedAt }
+const PENDING_SYNC_KEY = 'meal_plan_pending_sync';
+// Server version (updated_at) of each slot as last seen by this device
+const SYNCED_VERSIONS_KEY = 'meal_plan_synced_versions';
+// Whose plan (user or household owner) the local copy belongs to
+const PLAN_OWNER_KEY = 'meal_plan_owner';
+// Undo steps kept for the session
+const MAX_UNDO_STEPS = 50;
+// Most servings a single leftover meal can plan
+const MAX_LEFTOVER_SERVINGS = 20;
 
-      if (hasToTaste) {
-        combinedAmount += combinedAmount ? ' + to taste' : 'to taste';
+const loadPendingSync = () => {
+  try {
+    const pending = JSON.parse(localStorage.getItem(PENDING_SYNC_KEY) || '{}');
+    // Older versions queued only the edit time; those edits were made on an unknown version
+    Object.keys(pending).forEach(key => {
+      if (typeof pending[key] === 'string') {
+        pending[key] = { base: null, editedAt: pending[key] };
       }
+    });
+    return pending;
+  } catch {
+    return {};
+  }
+};
 
-      return {
-        name: item.name,
-        amount: combinedAmount || '1 piece'
-      };
-    }
+const savePendingSync = (pending) => {
+  localStorage.setItem(PENDING_SYNC_KEY, JSON.stringify(pending));
+};
+
+const loadSyncedVersions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SYNCED_VERSIONS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+const saveSyncedVersions = (versions) => {
+  localStorage.setItem(SYNCED_VERSIONS_KEY, JSON.stringify(versions));
+};
+
+// Remember the server version of rows this device has caught up with
+const recordSyncedVersions = (rows) => {
+  if (rows.length === 0) return;
+  const versions = loadSyncedVersions();
+  rows.forEach(row => {
+    versions[getSlotKey(row.plan_date, row.slot)] = getRowVersion(row);
+  });
+  saveSyncedVersions(versions);
+};
+
+// Save the plan locally and queue every changed slot for upload
+const persistMealPlan = (previousPlan, updatedPlan) => {
+  localStorage.setItem('meal_plan', JSON.stringify(updatedPlan));
+
+  const changedKeys = getChangedSlotKeys(previousPlan, updatedPlan);
+  if (changedKeys.length === 0) return;
+
+  const editedAt = new Date().toISOString();
+  const pending = loadPendingSync();
+  const versions = loadSyncedVersions();
+  changedKeys.forEach(key => {
+    // A slot edited again before it was pushed still builds on the version first edited
+    pending[key] = { base: pending[key] ? pending[key].base : versions[key] ?? null, editedAt };
   });
+  savePendingSync(pending);
 };
 
 export const MealPlanProvider = ({ children }) => {
   const [mealPlan, setMealPlan] = useState({});
+  const [mealHistory, setMealHistory] = useState({});
+  const [templates, setTemplates] = useState([]);
+  const { user } = useAuth();
+  const { preferences } = useSettings();
+  const { planOwnerId } = useHousehold();
+  const { recipes, savedRecipes, lastRecipeChange } = useRecipes();
+  const [undoHistory, setUndoHistory] = useState({ undo: [], redo: [] });
+  const mealPlanRef = useRef(mealPlan);
+  const syncInFlightRef = useRef(false);
+  const pushingKeysRef = useRef(new Set());
+  const undoHistoryRef = useRef(undoHistory);
+  const pendingUndoRef = useRef(null);
+  mealPlanRef.current = mealPlan;
+  const mealSlots = getMealSlots(preferences?.mealSlots);
 
+  // Only real Supabase accounts sync; demo and admin users stay local.
+  // Household members all sync against the owner's plan.
+  const syncUserId = planOwnerId;
+
+  // Recorded on each planned meal so household members can see who added it
+  const getAddedBy = () => (user ? {
+    userId: String(user.id || user.user_id || ''),
+    username: preferences?.username || user.username || user.name || 'Someone'
+  } : null);
+
+  // Load saved week templates from localStorage
   useEffect(() => {
-    // Load meal plan from localStorage
+    try {
+      const savedTemplates = JSON.parse(localStorage.getItem('meal_plan_templates') || '[]');
+      setTemplates(Array.isArray(savedTemplates) ? savedTemplates : []);
+    } catch (error) {
+      console.error('Error loading meal plan templates:', error);
+      setTemplates([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    // Load meal plan and history from localStorage
     const savedMealPlan = JSON.parse(localStorage.getItem('meal_plan') || '{}');
+    const savedHistory = JSON.parse(localStorage.getItem('meal_plan_history') || '{}');
 
-    // Remove past dates
+    // Move past dates into the history archive instead of discarding them
     const today = startOfDay(new Date());
-    const filteredMealPlan = {};
+    const activeMealPlan = {};
+    const history = { ...savedHistory };
 
     Object.keys(savedMealPlan).forEach(date => {
-      if (isAfter(new Date(date), today) || format(today, 'yyyy-MM-dd') === date) {
-        filteredMealPlan[date] = savedMealPlan[date];
+      if (isAfter(toLocalDate(date), today) || format(today, 'yyyy-MM-dd') === date) {
+        activeMealPlan[date] = savedMealPlan[date];
+      } else {
+        history[date] = savedMealPlan[date];
       }
     });
 
-    setMealPlan(filteredMealPlan);
-    localStorage.setItem('meal_plan', JSON.stringify(filteredMealPlan));
+    setMealPlan(activeMealPlan);
+    setMealHistory(history);
+    localStorage.setItem('meal_plan', JSON.stringify(activeMealPlan));
+    localStorage.setItem('meal_plan_history', JSON.stringify(history));
   }, []);
 
-  const addMealToDay = (date, mealType, recipe, snackIndex = null) => {
-    const dateStr = format(new Date(date), 'yyyy-MM-dd');
-    setMealPlan(prev => {
-      const updatedPlan = { ...prev };
+  // Apply rows from Supabase without queueing them for upload again
+  const applyRemoteRows = (rows) => {
+    if (rows.length === 0) return;
+    recordSyncedVersions(rows);
+    const todayStr = format(startOfDay(new Date()), 'yyyy-MM-dd');
+    const applyRows = (plan, rowsToApply) => {
+      const updated = { ...plan };
+      rowsToApply.forEach(row => {
+        setSlotValue(updated, row.plan_date, row.slot, row.deleted ? null : row.meal);
+      });
+      return updated;
+    };
+
+    const upcomingRows = rows.filter(row => row.plan_date >= todayStr);
+    const pastRows = rows.filter(row => row.plan_date < todayStr);
+
+    if (upcomingRows.length > 0) {
+      setMealPlan(prev => {
+        const updatedPlan = applyRows(prev, upcomingRows);
+        localStorage.setItem('meal_plan', JSON.stringify(updatedPlan));
+        return updatedPlan;
+      });
+    }
+    if (pastRows.length > 0) {
+      setMealHistory(prev => {
+        const updatedHistory = applyRows(prev, pastRows);
+        localStorage.setItem('meal_plan_history', JSON.stringify(updatedHistory));
+        return updatedHistory;
+      });
+    }
+  };
 
-      if (!updatedPlan[dateStr]) {
-        updatedPlan[dateStr] = {};
+  // Pull every slot from Supabase; a local edit only survives when the server hasn't
+  // written that slot since the version the edit was made on
+  const loadRemoteMealPlan = async () => {
+    const { data, error } = await supabase
+      .from(MEAL_PLAN_SLOTS_TABLE)
+      .select('plan_date, slot, meal, deleted, updated_at')
+      .eq('user_id', syncUserId);
+
+    if (error) throw error;
+
+    const pending = loadPendingSync();
+    const remoteKeys = new Set();
+    const rowsToApply = [];
+
+    data.forEach(row => {
+      const key = getSlotKey(row.plan_date, row.slot);
+      remoteKeys.add(key);
+      if (isRemoteChanged(row, pending[key])) {
+        rowsToApply.push(row);
+        delete pending[key];
       }
+    });
 
-      if (mealType === 'snacks') {
-        // Handle snacks as an array
-        if (!updatedPlan[dateStr].snacks) {
-          updatedPlan[dateStr].snacks = [];
-        }
-        if (snackIndex !== null) {
-          // Replace specific snack
-          updatedPlan[dateStr].snacks[snackIndex] = recipe;
-        } else {
-          // Add new snack
-          updatedPlan[dateStr].snacks.push(recipe);
+    // Upcoming slots the server has never seen are uploaded on the next push. When they
+    // were edited is unknown, and the server stamps them once they arrive.
+    const todayStr = format(startOfDay(new Date()), 'yyyy-MM-dd');
+    const localPlan = mealPlanRef.current;
+    Object.keys(localPlan).filter(dateStr => dateStr >= todayStr).forEach(dateStr => {
+      Object.keys(localPlan[dateStr]).forEach(slot => {
+        const key = getSlotKey(dateStr, slot);
+        if (!remoteKeys.has(key) && !pending[key] && getSlotValue(localPlan, dateStr, slot)) {
+          pending[key] = { base: null, editedAt: null };
         }
+      });
+    });
+
+    savePendingSync(pending);
+    applyRemoteRows(rowsToApply);
+  };
+
+  // A single slot changed on another device or by another household member
+  const mergeRemoteRow = (row) => {
+    const key = getSlotKey(row.plan_date, row.slot);
+    // Our own upload echoing back; the push records its version when it finishes
+    if (pushingKeysRef.current.has(key)) return;
+
+    const pending = loadPendingSync();
+    if (!isRemoteChanged(row, pending[key])) return;
+
+    delete pending[key];
+    savePendingSync(pending);
+    applyRemoteRows([row]);
+  };
+
+  // Push queued slots. Per slot, a change another device saved since the local edit's
+  // base version wins; otherwise the local edit is uploaded.
+  const pushPendingSlots = async () => {
+    const pending = loadPendingSync();
+    const keys = Object.keys(pending);
+    if (keys.length === 0) return;
+
+    const dates = [...new Set(keys.map(key => parseSlotKey(key).dateStr))];
+    const { data, error } = await supabase
+      .from(MEAL_PLAN_SLOTS_TABLE)
+      .select('plan_date, slot, meal, deleted, updated_at')
+      .eq('user_id', syncUserId)
+      .in('plan_date', dates);
+
+    if (error) throw error;
+
+    const remoteByKey = {};
+    data.forEach(row => {
+      remoteByKey[getSlotKey(row.plan_date, row.slot)] = row;
+    });
+
+    const localPlan = mealPlanRef.current;
+    const rowsToUpsert = [];
+    const remoteWins = [];
+
+    keys.forEach(key => {
+      const remoteRow = remoteByKey[key];
+      if (remoteRow && isRemoteChanged(remoteRow, pending[key])) {
+        remoteWins.push(remoteRow);
+      } else {
+        rowsToUpsert.push(toSlotRow(syncUserId, localPlan, key));
+      }
+    });
+
+    let savedRows = [];
+    if (rowsToUpsert.length > 0) {
+      rowsToUpsert.forEach(row => pushingKeysRef.current.add(getSlotKey(row.plan_date, row.slot)));
+      try {
+        const { data: upserted, error: upsertError } = await supabase
+          .from(MEAL_PLAN_SLOTS_TABLE)
+          .upsert(rowsToUpsert, { onConflict: 'user_id,plan_date,slot' })
+          .select('plan_date, slot, updated_at');
+
+        if (upsertError) throw upsertError;
+        savedRows = upserted || [];
+      } finally {
+        pushingKeysRef.current.clear();
+      }
+    }
+    recordSyncedVersions(savedRows);
+
+    // Slots edited again while we were pushing stay queued for the next round, now on top
+    // of the version just saved
+    const savedVersions = {};
+    savedRows.forEach(row => {
+      savedVersions[getSlotKey(row.plan_date, row.slot)] = getRowVersion(row);
+    });
+    const latestPending = loadPendingSync();
+    keys.forEach(key => {
+      if (!latestPending[key]) return;
+      if (latestPending[key].editedAt === pending[key].editedAt) {
+        delete latestPending[key];
+      } else if (key in savedVersions) {
+        latestPending[key].base = savedVersions[key];
+      }
+    });
+    savePendingSync(latestPending);
+
+    const appliedRemote = remoteWins.filter(row => !latestPending[getSlotKey(row.plan_date, row.slot)]);
+    applyRemoteRows(appliedRemote);
+    if (appliedRemote.length > 0) {
+      toast(`Kept ${appliedRemote.length} newer change${appliedRemote.length !== 1 ? 's' : ''} from another device`);
+    }
+  };
+
+  const syncMealPlan = async ({ pull = false } = {}) => {
+    if (!syncUserId || syncInFlightRef.current || !navigator.onLine) return;
+    if (!pull && Object.keys(loadPendingSync()).length === 0) return;
+
+    syncInFlightRef.current = true;
+    let succeeded = false;
+    try {
+      if (pull) await loadRemoteMealPlan();
+      await pushPendingSlots();
+      succeeded = true;
+    } catch (error) {
+      // Changes stay queued locally and are retried on the next edit or reconnect
+      if (error.message?.includes('does not exist')) {
+        console.warn('Meal plan sync table not found, keeping plan on this device');
       } else {
-        // Handle regular meals (breakfast, lunch, dinner)
-        updatedPlan[dateStr][mealType] = recipe;
+        console.error('❌ Error syncing meal plan:', error);
       }
+    } finally {
+      syncInFlightRef.current = false;
+    }
+
+    // Edits made while this round was in flight get their own push
+    if (succeeded && Object.keys(loadPendingSync()).length > 0) {
+      syncMealPlan();
+    }
+  };
+
+  // Load the synced plan on login, on joining or leaving a household and whenever
+  // the device comes back online; live changes stream in while the page is open
+  useEffect(() => {
+    if (!syncUserId) return;
+
+    const cachedOwner = localStorage.getItem(PLAN_OWNER_KEY);
+    if (cachedOwner && cachedOwner !== syncUserId) {
+      // The local copy belongs to a different plan, so start from the server's version
+      mealPlanRef.current = {};
+      setMealPlan({});
+      setMealHistory({});
+      updateUndoHistory({ undo: [], redo: [] });
+      localStorage.setItem('meal_plan', '{}');
+      localStorage.setItem('meal_plan_history', '{}');
+      savePendingSync({});
+      saveSyncedVersions({});
+    }
+    localStorage.setItem(PLAN_OWNER_KEY, syncUserId);
+
+    const handleOnline = () => syncMealPlan({ pull: true });
+    syncMealPlan({ pull: true });
+    window.addEventListener('online', handleOnline);
+
+    const channel = supabase
+      .channel(`meal-plan-${syncUserId}`)
+      .on('postgres_changes', {
+        event: '*',
+        schema: 'public',
+        table: MEAL_PLAN_SLOTS_TABLE,
+        filter: `user_id=eq.${syncUserId}`
+      }, (payload) => {
+        if (payload.new?.plan_date) mergeRemoteRow(payload.new);
+      })
+      .subscribe();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      supabase.removeChannel(channel);
+    };
+  }, [syncUserId]);
+
+  // Optimistic updates: the plan changes locally right away and is pushed shortly after
+  useEffect(() => {
+    if (!syncUserId) return;
+
+    const timer = setTimeout(() => syncMealPlan(), 1000);
+    return () => clearTimeout(timer);
+  }, [mealPlan, syncUserId]);
+
+  // ↩️ UNDO/REDO: Each recorded edit keeps the before and after value of the slots it
+  // touched, so undoing never reverts slots changed since on another device
+  const updateUndoHistory = (next) => {
+    undoHistoryRef.current = next;
+    setUndoHistory(next);
+  };
+
+  // Called before an edit; the slots it changed are captured once the new plan renders.
+  // Edits sharing a mergeKey in a row (servings clicked up several times) are one step.
+  const recordUndoStep = (label, mergeKey = null) => {
+    pendingUndoRef.current = { label, mergeKey, before: mealPlanRef.current };
+  };
+
+  useEffect(() => {
+    const pending = pendingUndoRef.current;
+    if (!pending || pending.before === mealPlan) return;
+    pendingUndoRef.current = null;
 
-      localStorage.setItem('meal_plan', JSON.stringify(updatedPlan));
+    const slots = getChangedSlotKeys(pending.before, mealPlan).map(key => {
+      const { dateStr, slot } = parseSlotKey(key);
+      return {
+        key,
+        before: getSlotValue(pending.before, dateStr, slot),
+        after: getSlotValue(mealPlan, dateStr, slot)
+      };
+    });
+    if (slots.length === 0) return;
+
+    const { undo } = undoHistoryRef.current;
+    const last = undo[undo.length - 1];
+    if (pending.mergeKey && last?.mergeKey === pending.mergeKey) {
+      const merged = last.slots.map(entry => ({
+        ...entry,
+        after: slots.find(changed => changed.key === entry.key)?.after ?? entry.after
+      }));
+      updateUndoHistory({ undo: [...undo.slice(0, -1), { ...last, slots: merged }], redo: [] });
+      return;
+    }
+
+    updateUndoHistory({
+      undo: [...undo, { label: pending.label, mergeKey: pending.mergeKey, slots }].slice(-MAX_UNDO_STEPS),
+      redo: []
+    });
+  }, [mealPlan]);
+
+  const applyUndoSlots = (slots, side) => {
+    setMealPlan(prev => {
+      const updatedPlan = { ...prev };
+      slots.forEach(entry => {
+        const { dateStr, slot } = parseSlotKey(entry.key);
+        setSlotValue(updatedPlan, dateStr, slot, entry[side]);
+      });
+      persistMealPlan(prev, updatedPlan);
       return updatedPlan;
     });
   };
 
-  const removeMealFromDay = (date, mealType, snackIndex = null) => {
-    const dateStr = format(new Date(date), 'yyyy-MM-dd');
+  const undoPlanChange = () => {
+    const { undo, redo } = undoHistoryRef.current;
+    const step = undo[undo.length - 1];
+    if (!step) {
+      return { success: false, message: 'Nothing to undo' };
+    }
+
+    pendingUndoRef.current = null;
+    updateUndoHistory({ undo: undo.slice(0, -1), redo: [...redo, step] });
+    applyUndoSlots(step.slots, 'before');
+    return { success: true, label: step.label };
+  };
+
+  const redoPlanChange = () => {
+    const { undo, redo } = undoHistoryRef.current;
+    const step = redo[redo.length - 1];
+    if (!step) {
+      return { success: false, message: 'Nothing to redo' };
+    }
+
+    pendingUndoRef.current = null;
+    updateUndoHistory({ undo: [...undo, step], redo: redo.slice(0, -1) });
+    applyUndoSlots(step.slots, 'after');
+    return { success: true, label: step.label };
+  };
+
+  // 🔗 RECIPE LINKS: Follow edits and deletes of the user's own recipes. Meals from today
+  // on are refreshed or flagged; past meals keep the snapshot they were cooked from.
+  const getLinkedMealEntries = (plan, recipeId) => {
+    const todayStr = format(new Date(), 'yyyy-MM-dd');
+    return Object.entries(plan)
+      .filter(([dateStr]) => dateStr >= todayStr)
+      .flatMap(([dateStr, dayMeals]) => getDayMealEntries(dayMeals).map(entry => ({ ...entry, dateStr })))
+      .filter(({ meal }) => getSourceRecipeId(meal) === recipeId);
+  };
+
+  useEffect(() => {
+    if (!lastRecipeChange) return;
+    const { type, recipeId, recipe } = lastRecipeChange;
+    const linked = getLinkedMealEntries(mealPlanRef.current, recipeId);
+    if (linked.length === 0) return;
+
+    const title = linked[0].meal.title;
+    const linkedDates = new Set(linked.map(({ dateStr }) => dateStr));
+    setMealPlan(prev => {
+      const updatedPlan = { ...prev };
+      linkedDates.forEach(dateStr => {
+        if (!prev[dateStr]) return;
+        const dayMeals = copyDayMeals(prev[dateStr]);
+        Object.keys(dayMeals).forEach(slotId => {
+          const meals = getSlotMeals(dayMeals, slotId).map(meal => {
+            if (getSourceRecipeId(meal) !== recipeId) return meal;
+            return type === 'deleted' ? { ...meal, sourceDeleted: true } : refreshPlannedMeal(meal, recipe);
+          });
+          setSlotMeals(dayMeals, slotId, meals, Array.isArray(prev[dateStr][slotId]));
+        });
+        updatedPlan[dateStr] = dayMeals;
+      });
+      persistMealPlan(prev, updatedPlan);
+      return updatedPlan;
+    });
+
+    const mealCount = `${linked.length} planned meal${linked.length !== 1 ? 's' : ''}`;
+    if (type === 'deleted') {
+      toast(`⚠️ ${mealCount} still use "${title}" - marked in the Scheduler`, { duration: 5000 });
+    } else {
+      toast.success(`🔗 Updated ${mealCount} to match "${recipe.title}"`);
+    }
+  }, [lastRecipeChange]);
+
+  // Put a planned meal or entry into a slot
+  const placeInSlot = (date, mealType, plannedMeal, slotIndex) => {
+    const dateStr = toDateKey(date);
+    const slot = getSlotConfig(mealSlots, mealType);
+
+    // A targeted meal, or the meal of a single-meal slot, is replaced; otherwise the meal is added
+    const replaceIndex = slotIndex !== null ? slotIndex : (isMultiSlot(slot) ? null : 0);
+    const isReplacing = replaceIndex !== null && Boolean(getSlotMeal(mealPlan[dateStr] || {}, mealType, replaceIndex));
+    recordUndoStep(isReplacing ? 'Replace meal' : 'Add meal');
+
+    setMealPlan(prev => {
+      const updatedPlan = { ...prev };
+      const replacedMeal = replaceIndex !== null ? getSlotMeal(updatedPlan[dateStr] || {}, mealType, replaceIndex) : null;
+      removeLeftoversOf(updatedPlan, replacedMeal?.planId);
+
+      const dayMeals = copyDayMeals(updatedPlan[dateStr]);
+      const meals = getSlotMeals(dayMeals, mealType);
+      if (replacedMeal) {
+        meals[replaceIndex] = plannedMeal;
+      } else {
+        meals.push(plannedMeal);
+      }
+      setSlotMeals(dayMeals, mealType, meals, isMultiSlot(slot));
+      updatedPlan[dateStr] = dayMeals;
+
+      persistMealPlan(prev, updatedPlan);
+      return updatedPlan;
+    });
+  };
+
+  const addMealToDay = (date, mealType, recipe, slotIndex = null) => {
+    placeInSlot(date, mealType, createPlannedMeal(recipe, {
+      planId: uuidv4(),
+      plannedServings: recipe.plannedServings || preferences?.householdSize || getMealServings(recipe),
+      addedBy: getAddedBy()
+    }), slotIndex);
+  };
+
+  // 📝 PLAN ENTRIES: A note, eating-out entry or skip marker, from createPlanEntry
+  const addEntryToDay = (date, mealType, entry, slotIndex = null) => {
+    placeInSlot(date, mealType, { ...entry, planId: uuidv4(), addedBy: getAddedBy() }, slotIndex);
+  };
+
+  // Remove one meal of a slot, or the whole slot when no index is given
+  const removeMealFromDay = (date, mealType, slotIndex = null) => {
+    const dateStr = toDateKey(date);
+    const slot = getSlotConfig(mealSlots, mealType);
+    recordUndoStep('Remove meal');
+
     setMealPlan(prev => {
       const updatedPlan = { ...prev };
 
       if (updatedPlan[dateStr]) {
-        if (mealType === 'snacks' && snackIndex !== null) {
-          // Remove specific snack
-          if (updatedPlan[dateStr].snacks) {
-            updatedPlan[dateStr].snacks.splice(snackIndex, 1);
-            // Clean up empty snacks array
-            if (updatedPlan[dateStr].snacks.length === 0) {
-              delete updatedPlan[dateStr].snacks;
-            }
-          }
-        } else {
-          // Remove regular meal or all snacks
-          delete updatedPlan[dateStr][mealType];
-        }
+        const meals = getSlotMeals(updatedPlan[dateStr], mealType);
+        const removedMeals = slotIndex === null ? meals : [meals[slotIndex]];
+        const dayMeals = copyDayMeals(updatedPlan[dateStr]);
+        const remaining = slotIndex === null ? [] : meals.filter((_, index) => index !== slotIndex);
+        setSlotMeals(dayMeals, mealType, remaining, isMultiSlot(slot));
 
         // Clean up empty date
-        if (Object.keys(updatedPlan[dateStr]).length === 0) {
+        if (Object.keys(dayMeals).length === 0) {
           delete updatedPlan[dateStr];
+        } else {
+          updatedPlan[dateStr] = dayMeals;
+        }
+
+        removedMeals.forEach(meal => removeLeftoversOf(updatedPlan, meal?.planId));
+      }
+
+      persistMealPlan(prev, updatedPlan);
+      return updatedPlan;
+    });
+  };
+
+  // Find a planned meal anywhere in the plan or history by its plan id
+  const findPlannedMeal = (planId) => {
+    if (!planId) return null;
+    const allDays = { ...mealHistory, ...mealPlan };
+    for (const dateStr of Object.keys(allDays)) {
+      const entry = getDayMealEntries(allDays[dateStr]).find(({ meal }) => meal.planId === planId);
+      if (entry) return { date: dateStr, ...entry };
+    }
+    return null;
+  };
+
+  const getLeftoverSource = (meal) => (isLeftoverMeal(meal) ? findPlannedMeal(meal.leftoverOf.planId) : null);
+
+  // Servings left after the household eats the original meal and earlier leftovers
+  const getLeftoverServingsAvailable = (meal) => {
+    if (!meal || isLeftoverMeal(meal)) return 0;
+    const eaten = preferences?.householdSize || 1;
+    const alreadyPlanned = meal.planId
+      ? Object.values(mealPlan).reduce((total, dayMeals) => total + getDayMealEntries(dayMeals)
+        .filter(entry => entry.meal.leftoverOf?.planId === meal.planId)
+        .reduce((sum, entry) => sum + getMealServings(entry.meal), 0), 0)
+      : 0;
+    return Math.max(0, getMealServings(meal) - eaten - alreadyPlanned);
+  };
+
+  // Plan part of a cooked meal as leftovers in a later, empty slot. Asking for more
+  // servings than are left over raises the original meal's servings to cover them.
+  const addLeftover = (source, target, servings) => {
+    const sourceDateStr = toDateKey(source.date);
+    const targetDateStr = toDateKey(target.date);
+    const sourceSlotIndex = source.slotIndex ?? null;
+    const sourceSlot = getSlotConfig(mealSlots, source.mealType);
+    const targetSlot = getSlotConfig(mealSlots, target.mealType);
+    const sourceMeal = getSlotMeal(mealPlan[sourceDateStr] || {}, source.mealType, sourceSlotIndex);
+
+    if (!sourceMeal) {
+      return { success: false, message: 'Meal not found' };
+    }
+    if (isLeftoverMeal(sourceMeal)) {
+      return { success: false, message: 'Leftovers cannot have their own leftovers' };
+    }
+    if (isBefore(startOfDay(toLocalDate(target.date)), startOfDay(new Date()))) {
+      return { success: false, message: 'Past days cannot be changed' };
+    }
+
+    const isLaterSlot = targetDateStr > sourceDateStr || (
+      targetDateStr === sourceDateStr &&
+      mealSlots.indexOf(targetSlot) > mealSlots.indexOf(sourceSlot)
+    );
+    if (!isLaterSlot) {
+      return { success: false, message: 'Leftovers must come after the original meal' };
+    }
+
+    const targetDay = mealPlan[targetDateStr] || {};
+    if (getSlotMeals(targetDay, target.mealType).length >= (targetSlot.maxPerDay || 1)) {
+      return { success: false, message: `${targetSlot.name} is already full on that day` };
+    }
+
+    const leftoverServings = parseInt(servings, 10);
+    if (!leftoverServings || leftoverServings <= 0 || leftoverServings > MAX_LEFTOVER_SERVINGS) {
+      return { success: false, message: `Plan between 1 and ${MAX_LEFTOVER_SERVINGS} servings of leftovers` };
+    }
+    const addedServings = Math.max(0, leftoverServings - getLeftoverServingsAvailable(sourceMeal));
+
+    const sourcePlanId = sourceMeal.planId || uuidv4();
+    const { generated, locked, ...recipe } = sourceMeal;
+    const leftover = {
+      ...recipe,
+      planId: uuidv4(),
+      plannedServings: leftoverServings,
+      leftoverOf: { planId: sourcePlanId },
+      addedBy: getAddedBy()
+    };
+
+    recordUndoStep('Plan leftovers');
+    setMealPlan(prev => {
+      const updatedPlan = { ...prev };
+
+      if (!sourceMeal.planId || addedServings > 0) {
+        const sourceDay = copyDayMeals(updatedPlan[sourceDateStr]);
+        const sourceMeals = getSlotMeals(sourceDay, source.mealType);
+        const index = sourceSlotIndex ?? 0;
+        if (sourceMeals[index]) {
+          sourceMeals[index] = {
+            ...sourceMeals[index],
+            planId: sourcePlanId,
+            plannedServings: getMealServings(sourceMeals[index]) + addedServings
+          };
+          setSlotMeals(sourceDay, source.mealType, sourceMeals, isMultiSlot(sourceSlot));
+          updatedPlan[sourceDateStr] = sourceDay;
         }
       }
 
-      localStorage.setItem('meal_plan', JSON.stringify(updatedPlan));
+      const updatedTargetDay = copyDayMeals(updatedPlan[targetDateStr]);
+      setSlotMeals(updatedTargetDay, target.mealType, [...getSlotMeals(updatedTargetDay, target.mealType), leftover], isMultiSlot(targetSlot));
+      updatedPlan[targetDateStr] = updatedTargetDay;
+
+      persistMealPlan(prev, updatedPlan);
+      return updatedPlan;
+    });
+
+    return { success: true, leftover, addedServings };
+  };
+
+  // Apply changes to a single planned meal without touching the rest of its day
+  const updatePlannedMeal = (date, mealType, slotIndex, changes) => {
+    const dateStr = toDateKey(date);
+    const slot = getSlotConfig(mealSlots, mealType);
+
+    setMealPlan(prev => {
+      const dayMeals = prev[dateStr];
+      const meals = dayMeals ? getSlotMeals(dayMeals, mealType) : [];
+      const meal = meals[slotIndex ?? 0];
+      if (!meal) {
+        pendingUndoRef.current = null;
+        return prev;
+      }
+
+      const updatedDay = copyDayMeals(dayMeals);
+      meals[slotIndex ?? 0] = { ...meal, ...(typeof changes === 'function' ? changes(meal) : changes) };
+      setSlotMeals(updatedDay, mealType, meals, isMultiSlot(slot));
+
+      const updatedPlan = { ...prev, [dateStr]: updatedDay };
+      persistMealPlan(prev, updatedPlan);
+      return updatedPlan;
+    });
+  };
+
+  // Change how many servings of a planned meal will be cooked
+  const updateMealServings = (date, mealType, servings, slotIndex = null) => {
+    const plannedServings = parseInt(servings, 10);
+    if (!plannedServings || plannedServings <= 0) return;
+    recordUndoStep('Change servings', `servings|${getSlotKey(toDateKey(date), mealType)}|${slotIndex ?? 0}`);
+    updatePlannedMeal(date, mealType, slotIndex, { plannedServings });
+  };
+
+  // Locked meals are kept when the week is regenerated
+  const toggleMealLock = (date, mealType, slotIndex = null) => {
+    recordUndoStep('Toggle lock');
+    updatePlannedMeal(date, mealType, slotIndex, meal => ({ locked: !meal.locked }));
+  };
+
+  // 🪄 PLAN MY WEEK: Fill open slots of the week from the user's own and saved recipes,
+  // honoring dietary preferences, cuisine and skill level (see lib/mealPlanGenerator)
+  const autoPlanWeek = (weekStart, options = {}) => {
+    const start = startOfDay(toLocalDate(weekStart));
+    const today = startOfDay(new Date());
+    const days = Array.from({ length: 7 }, (_, i) => addDays(start, i)).filter(day => !isBefore(day, today));
+
+    if (days.length === 0) {
+      return { success: false, message: 'Past weeks cannot be planned' };
+    }
+
+    const recipePool = [...recipes, ...savedRecipes].filter(
+      (recipe, index, all) => recipe && all.findIndex(r => r.id === recipe.id) === index
+    );
+    if (recipePool.length === 0) {
+      return { success: false, message: 'Add or save some recipes first' };
+    }
+
+    const { assignments, unfilled, eligibleCount } = generateMealPlan({
+      days,
+      plan: mealPlan,
+      recipes: recipePool,
+      preferences: preferences || {},
+      options
+    });
+
+    if (eligibleCount === 0) {
+      return { success: false, message: 'None of your recipes match your dietary preferences and skill level' };
+    }
+
+    if (assignments.length > 0) {
+      recordUndoStep('Plan my week');
+    }
+    setMealPlan(prev => {
+      const updatedPlan = { ...prev };
+
+      assignments.forEach(({ date, mealType, recipe }) => {
+        const dateStr = format(date, 'yyyy-MM-dd');
+        const replacedMeal = getSlotMeal(updatedPlan[dateStr] || {}, mealType, 0);
+        removeLeftoversOf(updatedPlan, replacedMeal?.planId);
+
+        const dayMeals = copyDayMeals(updatedPlan[dateStr]);
+        setSlotMeals(dayMeals, mealType, [createPlannedMeal(recipe, {
+          planId: uuidv4(),
+          plannedServings: preferences?.householdSize || getMealServings(recipe),
+          generated: true,
+          addedBy: getAddedBy()
+        })], isMultiSlot(getSlotConfig(mealSlots, mealType)));
+        updatedPlan[dateStr] = dayMeals;
+      });
+
+      persistMealPlan(prev, updatedPlan);
+      return updatedPlan;
+    });
+
+    return { success: true, filled: assignments.length, unfilled };
+  };
+
+  // 🔀 Move or swap a meal between days and meal types (past days are read-only)
+  const moveMeal = (from, to) => {
+    const today = startOfDay(new Date());
+    if (isBefore(startOfDay(toLocalDate(from.date)), today) || isBefore(startOfDay(toLocalDate(to.date)), today)) {
+      return { success: false, message: 'Past days cannot be changed' };
+    }
+
+    const result = moveMealInPlan(mealPlan, from, to, mealSlots);
+    if (result.error) {
+      return { success: false, message: result.error };
+    }
+    if (result.unchanged) {
+      return { success: true, unchanged: true };
+    }
+
+    recordUndoStep(result.swapped ? 'Swap meals' : 'Move meal');
+    setMealPlan(prev => {
+      const { plan } = moveMealInPlan(prev, from, to, mealSlots);
+      if (!plan) {
+        // Nothing changed, so the recorded step must not attach to the next edit
+        pendingUndoRef.current = null;
+        return prev;
+      }
+      persistMealPlan(prev, plan);
+      return plan;
+    });
+
+    return { success: true, swapped: result.swapped };
+  };
+
+  // 🗓️ Remove every meal between two dates; past days stay in the history archive
+  const clearDateRange = (start, end) => {
+    const todayStr = format(startOfDay(new Date()), 'yyyy-MM-dd');
+    const startStr = toDateKey(start);
+    const endStr = toDateKey(end);
+    const isCleared = (dateStr) => dateStr >= todayStr && dateStr >= startStr && dateStr <= endStr;
+
+    const clearedCount = Object.keys(mealPlan).filter(isCleared).length;
+    if (clearedCount === 0) {
+      return { success: false, message: 'No upcoming meals planned in that range' };
+    }
+
+    recordUndoStep('Clear days');
+    setMealPlan(prev => {
+      const updatedPlan = { ...prev };
+      const clearedDates = Object.keys(prev).filter(isCleared);
+      clearedDates.forEach(dateStr => delete updatedPlan[dateStr]);
+      // Leftovers planned outside the range lose their source meal too
+      clearedDates.forEach(dateStr => {
+        getDayMealEntries(prev[dateStr]).forEach(({ meal }) => removeLeftoversOf(updatedPlan, meal.planId));
+      });
+      persistMealPlan(prev, updatedPlan);
       return updatedPlan;
     });
+
+    return { success: true, cleared: clearedCount };
   };
 
+  // 🔗 Upcoming meals whose recipe was deleted, and a one-click way to drop them
+  const isUpcomingDeletedMeal = (dateStr, meal) =>
+    dateStr >= format(new Date(), 'yyyy-MM-dd') && Boolean(meal.sourceDeleted);
+
+  const deletedRecipeMealCount = Object.entries(mealPlan).reduce((count, [dateStr, dayMeals]) => (
+    count + getDayMealEntries(dayMeals).filter(({ meal }) => isUpcomingDeletedMeal(dateStr, meal)).length
+  ), 0);
+
+  const removeMealsWithDeletedRecipes = () => {
+    if (deletedRecipeMealCount === 0) {
+      return { success: false, message: 'No planned meals use deleted recipes' };
+    }
+
+    recordUndoStep('Remove deleted recipes');
+    setMealPlan(prev => {
+      const updatedPlan = { ...prev };
+      Object.entries(prev).forEach(([dateStr, dayMeals]) => {
+        const removed = getDayMealEntries(dayMeals).filter(({ meal }) => isUpcomingDeletedMeal(dateStr, meal));
+        if (removed.length === 0) return;
+
+        const updatedDay = copyDayMeals(dayMeals);
+        Object.keys(updatedDay).forEach(slotId => {
+          const remaining = getSlotMeals(updatedDay, slotId).filter(meal => !isUpcomingDeletedMeal(dateStr, meal));
+          setSlotMeals(updatedDay, slotId, remaining, Array.isArray(dayMeals[slotId]));
+        });
+        if (Object.keys(updatedDay).length === 0) {
+          delete updatedPlan[dateStr];
+        } else {
+          updatedPlan[dateStr] = updatedDay;
+        }
+        removed.forEach(({ meal }) => removeLeftoversOf(updatedPlan, meal.planId));
+      });
+      persistMealPlan(prev, updatedPlan);
+      return updatedPlan;
+    });
+
+    return { success: true, removed: deletedRecipeMealCount };
+  };
+
+  // Past days are served read-only from the history archive
   const getMealsForDay = (date) => {
-    const dateStr = format(new Date(date), 'yyyy-MM-dd');
-    return mealPlan[dateStr] || {};
+    const dateStr = toDateKey(date);
+    return mealPlan[dateStr] || mealHistory[dateStr] || {};
+  };
+
+  // Earliest archived date, used to limit how far back the Scheduler can browse
+  const getEarliestHistoryDate = () => {
+    const dates = Object.keys(mealHistory).sort();
+    return dates.length > 0 ? dates[0] : null;
   };
 
   // ✅ ENHANCED: Get all ingredients with proper validation and filtering
-  const getAllIngredients = () => {
+  // range ({ start, end } as 'yyyy-MM-dd') limits the list to the days in between
+  const getAllIngredients = (range = null) => {
     const allIngredients = [];
 
     // Collect all ingredients from all planned meals
-    Object.values(mealPlan).forEach(dayMeals => {
-      // Handle regular meals
-      ['breakfast', 'lunch', 'dinner'].forEach(mealType => {
-        const meal = dayMeals[mealType];
-        if (meal && meal.ingredients && Array.isArray(meal.ingredients)) {
-          // ✅ FILTER: Only add valid ingredients
-          const validMealIngredients = meal.ingredients.filter(isValidIngredient);
+    Object.entries(mealPlan).forEach(([dateStr, dayMeals]) => {
+      if (range && (dateStr < range.start || dateStr > range.end)) return;
+
+      // Every slot, whether it holds one meal or several
+      getDayMealEntries(dayMeals).forEach(({ meal }) => {
+        // Notes, eating out and skip markers have nothing to shop for
+        if (!isLeftoverMeal(meal) && !isPlanEntry(meal) && meal.ingredients && Array.isArray(meal.ingredients)) {
+          // ✅ FILTER: Only add valid ingredients, scaled to the planned servings
+          const validMealIngredients = getScaledIngredients(meal).filter(isValidIngredient);
           allIngredients.push(...validMealIngredients);
         }
       });
-
-      // Handle snacks array
-      if (dayMeals.snacks && Array.isArray(dayMeals.snacks)) {
-        dayMeals.snacks.forEach(snack => {
-          if (snack && snack.ingredients && Array.isArray(snack.ingredients)) {
-            // ✅ FILTER: Only add valid ingredients
-            const validSnackIngredients = snack.ingredients.filter(isValidIngredient);
-            allIngredients.push(...validSnackIngredients);
-          }
-        });
-      }
     });
 
     // ✅ FINAL FILTER: Remove any ingredients that somehow made it through
@@ -295,12 +1224,142 @@ export const MealPlanProvider = ({ children }) => {
     return combineIngredients(filteredIngredients);
   };
 
+  // 📋 TEMPLATES: Save the week starting at weekStart as a reusable template.
+  // Days are keyed by weekday (0 = Sunday) so a template fits any future week.
+  const saveWeekAsTemplate = (name, weekStart) => {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      return { success: false, message: 'Template name is required' };
+    }
+
+    const start = startOfDay(toLocalDate(weekStart));
+    const days = {};
+
+    for (let i = 0; i < 7; i++) {
+      const date = addDays(start, i);
+      const dayMeals = getMealsForDay(date);
+      if (dayMeals && Object.keys(dayMeals).length > 0) {
+        days[getDay(date)] = copyDayMeals(dayMeals);
+      }
+    }
+
+    if (Object.keys(days).length === 0) {
+      return { success: false, message: 'This week has no meals to save' };
+    }
+
+    const template = {
+      id: uuidv4(),
+      name: trimmedName,
+      days,
+      createdAt: new Date().toISOString()
+    };
+
+    setTemplates(prev => {
+      const updatedTemplates = [template, ...prev];
+      localStorage.setItem('meal_plan_templates', JSON.stringify(updatedTemplates));
+      return updatedTemplates;
+    });
+
+    return { success: true, template };
+  };
+
+  const deleteTemplate = (templateId) => {
+    setTemplates(prev => {
+      const updatedTemplates = prev.filter(t => t.id !== templateId);
+      localStorage.setItem('meal_plan_templates', JSON.stringify(updatedTemplates));
+      return updatedTemplates;
+    });
+  };
+
+  // Apply a template to the week starting at weekStart.
+  // 'merge' only fills free room in each slot (up to the slot's daily limit),
+  // 'replace' overwrites each day with the template's meals. Past days are never touched.
+  const applyTemplate = (templateId, weekStart, mode = 'merge') => {
+    const template = templates.find(t => t.id === templateId);
+    if (!template) {
+      return { success: false, message: 'Template not found' };
+    }
+
+    const start = startOfDay(toLocalDate(weekStart));
+    const today = startOfDay(new Date());
+
+    recordUndoStep('Apply template');
+    setMealPlan(prev => {
+      const updatedPlan = { ...prev };
+      const planIdMap = {};
+
+      for (let i = 0; i < 7; i++) {
+        const date = addDays(start, i);
+        if (isBefore(date, today)) continue;
+
+        const dateStr = format(date, 'yyyy-MM-dd');
+        const templateDay = template.days[getDay(date)] && withFreshPlanIds(template.days[getDay(date)], planIdMap, getAddedBy());
+
+        if (mode === 'replace') {
+          if (templateDay) {
+            updatedPlan[dateStr] = copyDayMeals(templateDay);
+          } else {
+            delete updatedPlan[dateStr];
+          }
+          continue;
+        }
+
+        if (!templateDay) continue;
+
+        const merged = copyDayMeals(updatedPlan[dateStr]);
+        Object.keys(templateDay).forEach(slotId => {
+          const slot = getSlotConfig(mealSlots, slotId);
+          const existing = getSlotMeals(merged, slotId);
+          const room = Math.max(0, (slot.maxPerDay || 1) - existing.length);
+          const additions = getSlotMeals(templateDay, slotId).slice(0, room);
+          if (additions.length > 0) {
+            setSlotMeals(merged, slotId, [...existing, ...additions], isMultiSlot(slot));
+          }
+        });
+
+        if (Object.keys(merged).length > 0) {
+          updatedPlan[dateStr] = merged;
+        }
+      }
+
+      persistMealPlan(prev, updatedPlan);
+      return updatedPlan;
+    });
+
+    return { success: true, template };
+  };
+
   const value = {
     mealPlan,
+    mealHistory,
+    mealSlots,
+    templates,
+    canUndo: undoHistory.undo.length > 0,
+    canRedo: undoHistory.redo.length > 0,
+    undoPlanChange,
+    redoPlanChange,
     addMealToDay,
+    addEntryToDay,
     removeMealFromDay,
+    clearDateRange,
+    deletedRecipeMealCount,
+    removeMealsWithDeletedRecipes,
+    updateMealServings,
+    toggleMealLock,
+    addLeftover,
+    isLeftoverMeal,
+    getLeftoverSource,
+    getLeftoverServingsAvailable,
+    autoPlanWeek,
+    moveMeal,
     getMealsForDay,
-    getAllIngredients
+    getEarliestHistoryDate,
+    getAllIngredients,
+    getMealServings,
+    getScaledIngredients,
+    saveWeekAsTemplate,
+    applyTemplate,
+    deleteTemplate
   };
 
   return (
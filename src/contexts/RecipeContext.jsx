@@ -3,6 +3,8 @@ import { v4 as uuidv4 } from 'uuid';
 import { useAuth } from './AuthContext';
 import supabase from '../lib/supabase';
 import toast from 'react-hot-toast';
+import { withEstimatedNutrition, getNutritionOverrides } from '../lib/nutrition';
+import { structureIngredient } from '../lib/ingredients';
 
 const RecipeContext = createContext();
 
@@ -21,6 +23,8 @@ export const RecipeProvider = ({ children }) => {
   const [pendingRecipes, setPendingRecipes] = useState([]);
   const [userSharedRecipes, setUserSharedRecipes] = useState(new Set());
   const [loading, setLoading] = useState(false);
+  // 🔗 Last edit or delete of one of the user's recipes, so planned meals can follow it
+  const [lastRecipeChange, setLastRecipeChange] = useState(null);
   const { user } = useAuth();
 
   // Helper function to get safe user ID as string
@@ -41,7 +45,7 @@ export const RecipeProvider = ({ children }) => {
       if (error) throw error;
 
       // Transform Supabase data to app format
-      const transformedRecipes = data.map(recipe => ({
+      const transformedRecipes = data.map(recipe => withEstimatedNutrition({
         id: recipe.id,
         originalId: recipe.original_recipe_id,
         title: recipe.title,
@@ -49,7 +53,8 @@ export const RecipeProvider = ({ children }) => {
         cookTime: recipe.cook_time,
         servings: recipe.servings,
         difficulty: recipe.difficulty,
-        ingredients: recipe.ingredients || [],
+        nutritionOverrides: recipe.nutrition || null,
+        ingredients: (recipe.ingredients || []).map(structureIngredient),
         steps: recipe.steps || [],
         tags: recipe.tags || [],
         image: recipe.image_url,
@@ -95,14 +100,15 @@ export const RecipeProvider = ({ children }) => {
       }
 
       // Transform Supabase data to app format
-      const transformedRecipes = data.map(recipe => ({
+      const transformedRecipes = data.map(recipe => withEstimatedNutrition({
         id: recipe.id,
         title: recipe.title,
         description: recipe.description,
         cookTime: recipe.cook_time,
         servings: recipe.servings,
         difficulty: recipe.difficulty,
-        ingredients: recipe.ingredients || [],
+        nutritionOverrides: recipe.nutrition || null,
+        ingredients: (recipe.ingredients || []).map(structureIngredient),
         steps: recipe.steps || [],
         tags: recipe.tags || [],
         image: recipe.image_url,
@@ -143,7 +149,7 @@ export const RecipeProvider = ({ children }) => {
       }
 
       // Transform saved recipes data
-      const transformedSaved = data.map(saved => ({
+      const transformedSaved = data.map(saved => withEstimatedNutrition({
         ...saved.recipe_data,
         savedAt: saved.saved_at
       }));
@@ -211,8 +217,9 @@ export const RecipeProvider = ({ children }) => {
       cookTime: parseInt(recipe.cookTime) || 0,
       servings: parseInt(recipe.servings) || 1,
       difficulty: recipe.difficulty || 'Easy',
+      nutrition: getNutritionOverrides(recipe),
       ingredients: Array.isArray(recipe.ingredients) ? 
-        recipe.ingredients.filter(ing => ing.name && ing.name.trim()) : [],
+        recipe.ingredients.filter(ing => ing.name && ing.name.trim()).map(structureIngredient) : [],
       steps: Array.isArray(recipe.steps) ? 
         recipe.steps.filter(step => step && step.trim()) : [],
       tags: Array.isArray(recipe.tags) ? recipe.tags : [],
@@ -250,6 +257,7 @@ export const RecipeProvider = ({ children }) => {
         cook_time: cleanedRecipe.cookTime,
         servings: cleanedRecipe.servings,
         difficulty: cleanedRecipe.difficulty,
+        nutrition: cleanedRecipe.nutrition,
         ingredients: cleanedRecipe.ingredients,
         steps: cleanedRecipe.steps,
         tags: cleanedRecipe.tags,
@@ -276,14 +284,15 @@ export const RecipeProvider = ({ children }) => {
       console.log('✅ Recipe saved to Supabase successfully');
 
       // Transform back to app format
-      const transformedRecipe = {
+      const transformedRecipe = withEstimatedNutrition({
         id: data.id,
         title: data.title,
         description: data.description,
         cookTime: data.cook_time,
         servings: data.servings,
         difficulty: data.difficulty,
-        ingredients: data.ingredients || [],
+        nutritionOverrides: data.nutrition || null,
+        ingredients: (data.ingredients || []).map(structureIngredient),
         steps: data.steps || [],
         tags: data.tags || [],
         image: data.image_url,
@@ -291,7 +300,7 @@ export const RecipeProvider = ({ children }) => {
         isUserCreated: true,
         createdAt: data.created_at,
         shared: data.is_shared
-      };
+      });
 
       return transformedRecipe;
     } catch (error) {
@@ -328,6 +337,7 @@ export const RecipeProvider = ({ children }) => {
         cook_time: cleanedRecipe.cookTime,
         servings: cleanedRecipe.servings,
         difficulty: cleanedRecipe.difficulty,
+        nutrition: cleanedRecipe.nutrition,
         ingredients: cleanedRecipe.ingredients,
         steps: cleanedRecipe.steps,
         tags: cleanedRecipe.tags,
@@ -366,14 +376,15 @@ export const RecipeProvider = ({ children }) => {
       console.log('✅ Recipe updated in Supabase successfully:', data);
 
       // Transform back to app format
-      const transformedRecipe = {
+      const transformedRecipe = withEstimatedNutrition({
         id: data.id,
         title: data.title,
         description: data.description,
         cookTime: data.cook_time,
         servings: data.servings,
         difficulty: data.difficulty,
-        ingredients: data.ingredients || [],
+        nutritionOverrides: data.nutrition || null,
+        ingredients: (data.ingredients || []).map(structureIngredient),
         steps: data.steps || [],
         tags: data.tags || [],
         image: data.image_url,
@@ -382,7 +393,7 @@ export const RecipeProvider = ({ children }) => {
         createdAt: data.created_at,
         updatedAt: data.updated_at,
         shared: data.is_shared
-      };
+      });
 
       return transformedRecipe;
     } catch (error) {
@@ -487,6 +498,7 @@ export const RecipeProvider = ({ children }) => {
 
       // Also update in saved recipes if it exists there
       setSavedRecipes(prev => prev.map(r => r.id === recipeId ? { ...r, ...savedRecipe } : r));
+      setLastRecipeChange({ type: 'updated', recipeId, recipe: savedRecipe, at: Date.now() });
 
       toast.success('✅ Recipe updated successfully!');
       return { success: true, recipe: savedRecipe };
@@ -516,6 +528,7 @@ export const RecipeProvider = ({ children }) => {
       // Update local state
       setRecipes(prev => prev.filter(r => r.id !== recipeId));
       setSavedRecipes(prev => prev.filter(r => r.id !== recipeId && r.originalSharedId !== recipeId));
+      setLastRecipeChange({ type: 'deleted', recipeId, at: Date.now() });
 
       // Remove from user shared set
       const updatedUserShared = new Set([...userSharedRecipes]);
@@ -572,7 +585,7 @@ export const RecipeProvider = ({ children }) => {
       }
 
       // Update local state
-      setSavedRecipes(prev => [recipe, ...prev]);
+      setSavedRecipes(prev => [withEstimatedNutrition(recipe), ...prev]);
       
       return { success: true, message: 'Recipe saved successfully!' };
     } catch (error) {
@@ -662,6 +675,7 @@ Happy cooking! 🍳✨`;
       cookTime: recipe.cookTime,
       servings: recipe.servings,
       difficulty: recipe.difficulty,
+      nutrition: getNutritionOverrides(recipe),
       ingredients: recipe.ingredients,
       steps: recipe.steps,
       tags: recipe.tags,
@@ -738,6 +752,7 @@ Happy cooking! 🍳✨`;
     sharedRecipes,
     pendingRecipes,
     loading,
+    lastRecipeChange,
     isSupabaseAvailable: true,
     getAllUniqueRecipes,
     addRecipe,
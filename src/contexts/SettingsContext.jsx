@@ -2,9 +2,47 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 import { useAuth } from './AuthContext';
 import supabase from '../lib/supabase';
 import toast from 'react-hot-toast';
+import { DEFAULT_MEAL_SLOTS, DEFAULT_MEAL_TIMES } from '../lib/mealSlots';
+import { normalizeNutrition } from '../lib/nutrition';
+import { DEFAULT_VARIETY_RULES, normalizeVarietyRules } from '../lib/variety';
+import { normalizePrices } from '../lib/groceryCost';
+import { DEFAULT_WEEK_START, normalizeWeekStart } from '../lib/dates';
 
 const SettingsContext = createContext();
 
+// Columns added to user_preferences_mp2024 by supabase/migrations. A database that hasn't
+// run a migration yet rejects any write naming its column, so those columns are left out
+// of writes until they exist; the values still apply for the session.
+const MIGRATED_PREFERENCE_COLUMNS = [
+  'household_size', 'meal_times', 'meal_slots', 'nutrition_targets', 'weekly_budget',
+  'currency', 'preferred_store', 'ingredient_prices', 'variety_rules', 'week_starts_on'
+];
+const missingPreferenceColumns = new Set();
+const MISSING_COLUMN_PATTERN = /Could not find the '([^']+)' column/;
+
+const withoutMissingColumns = (values) => Object.fromEntries(
+  Object.entries(values).filter(([column]) => !missingPreferenceColumns.has(column))
+);
+
+// Run an insert or update, dropping columns PostgREST reports as unknown (PGRST204)
+const writePreferences = async (write, values) => {
+  for (;;) {
+    const result = await write(withoutMissingColumns(values));
+    const column = result.error?.code === 'PGRST204' && result.error.message?.match(MISSING_COLUMN_PATTERN)?.[1];
+    if (!column || missingPreferenceColumns.has(column)) return result;
+
+    console.warn(`user_preferences_mp2024.${column} is missing, run the Supabase migrations`);
+    missingPreferenceColumns.add(column);
+  }
+};
+
+// Note the migrated columns a loaded row doesn't have
+const trackMissingColumns = (row) => {
+  MIGRATED_PREFERENCE_COLUMNS.forEach(column => {
+    if (!(column in row)) missingPreferenceColumns.add(column);
+  });
+};
+
 export const useSettings = () => {
   const context = useContext(SettingsContext);
   if (!context) {
@@ -27,6 +65,16 @@ export const SettingsProvider = ({ children }) => {
     emailNotifications: true,
     themePreference: 'light',
     measurementSystem: 'metric',
+    householdSize: 2,
+    mealTimes: DEFAULT_MEAL_TIMES,
+    mealSlots: DEFAULT_MEAL_SLOTS,
+    nutritionTargets: {},
+    weeklyBudget: null,
+    currency: 'USD',
+    preferredStore: '',
+    ingredientPrices: [],
+    varietyRules: DEFAULT_VARIETY_RULES,
+    weekStartsOn: DEFAULT_WEEK_START,
     bio: ''
   };
 
@@ -80,6 +128,7 @@ export const SettingsProvider = ({ children }) => {
 
         if (data) {
           console.log('Loaded preferences from Supabase:', data);
+          trackMissingColumns(data);
           
           const dietaryPreferences = ensureArray(data.dietary_preferences);
           const preferredCuisine = ensureArray(data.preferred_cuisine);
@@ -99,6 +148,16 @@ export const SettingsProvider = ({ children }) => {
             emailNotifications: data.email_notifications ?? true,
             themePreference: data.theme_preference || 'light',
             measurementSystem: data.measurement_system || 'metric',
+            householdSize: data.household_size || defaultPreferences.householdSize,
+            mealTimes: { ...defaultPreferences.mealTimes, ...(data.meal_times || {}) },
+            mealSlots: ensureArray(data.meal_slots).length > 0 ? ensureArray(data.meal_slots) : defaultPreferences.mealSlots,
+            nutritionTargets: normalizeNutrition(data.nutrition_targets) || {},
+            weeklyBudget: data.weekly_budget ?? null,
+            currency: data.currency || defaultPreferences.currency,
+            preferredStore: data.preferred_store || '',
+            ingredientPrices: normalizePrices(data.ingredient_prices),
+            varietyRules: normalizeVarietyRules(data.variety_rules),
+            weekStartsOn: normalizeWeekStart(data.week_starts_on),
             lastUsernameChange: data.last_username_change,
             usernameChangeCount: data.username_change_count || 0
           });
@@ -169,14 +228,24 @@ export const SettingsProvider = ({ children }) => {
         email_notifications: true,
         theme_preference: 'light',
         measurement_system: 'metric',
+        household_size: defaultPreferences.householdSize,
+        meal_times: defaultPreferences.mealTimes,
+        meal_slots: defaultPreferences.mealSlots,
+        nutrition_targets: defaultPreferences.nutritionTargets,
+        weekly_budget: defaultPreferences.weeklyBudget,
+        currency: defaultPreferences.currency,
+        preferred_store: defaultPreferences.preferredStore,
+        ingredient_prices: defaultPreferences.ingredientPrices,
+        variety_rules: defaultPreferences.varietyRules,
+        week_starts_on: defaultPreferences.weekStartsOn,
         username_change_count: 0
       };
 
-      const { data, error } = await supabase
+      const { data: insertedData, error } = await writePreferences(values => supabase
         .from('user_preferences_mp2024')
-        .insert(initialData)
+        .insert(values)
         .select()
-        .single();
+        .single(), initialData);
 
       if (error) {
         if (error.code === '23505') {
@@ -188,6 +257,8 @@ export const SettingsProvider = ({ children }) => {
         throw error;
       }
 
+      // Columns the database doesn't have yet keep the values that were sent
+      const data = { ...initialData, ...insertedData };
       console.log('Created initial preferences:', data);
       setPreferences({
         ...defaultPreferences,
@@ -204,6 +275,16 @@ export const SettingsProvider = ({ children }) => {
         emailNotifications: data.email_notifications ?? true,
         themePreference: data.theme_preference || 'light',
         measurementSystem: data.measurement_system || 'metric',
+        householdSize: data.household_size || defaultPreferences.householdSize,
+        mealTimes: { ...defaultPreferences.mealTimes, ...(data.meal_times || {}) },
+        mealSlots: ensureArray(data.meal_slots).length > 0 ? ensureArray(data.meal_slots) : defaultPreferences.mealSlots,
+        nutritionTargets: normalizeNutrition(data.nutrition_targets) || {},
+        weeklyBudget: data.weekly_budget ?? null,
+        currency: data.currency || defaultPreferences.currency,
+        preferredStore: data.preferred_store || '',
+        ingredientPrices: normalizePrices(data.ingredient_prices),
+        varietyRules: normalizeVarietyRules(data.variety_rules),
+        weekStartsOn: normalizeWeekStart(data.week_starts_on),
         lastUsernameChange: data.last_username_change,
         usernameChangeCount: data.username_change_count || 0
       });
@@ -294,6 +375,16 @@ export const SettingsProvider = ({ children }) => {
           email_notifications: updates.emailNotifications !== undefined ? updates.emailNotifications : preferences.emailNotifications,
           theme_preference: updates.themePreference || preferences.themePreference,
           measurement_system: updates.measurementSystem || preferences.measurementSystem,
+          household_size: updates.householdSize || preferences.householdSize,
+          meal_times: updates.mealTimes || preferences.mealTimes,
+          meal_slots: updates.mealSlots || preferences.mealSlots,
+          nutrition_targets: normalizeNutrition(updates.nutritionTargets || preferences.nutritionTargets) || {},
+          weekly_budget: updates.weeklyBudget !== undefined ? (parseFloat(updates.weeklyBudget) > 0 ? parseFloat(updates.weeklyBudget) : null) : preferences.weeklyBudget,
+          currency: updates.currency || preferences.currency,
+          preferred_store: updates.preferredStore !== undefined ? String(updates.preferredStore).trim() : preferences.preferredStore,
+          ingredient_prices: normalizePrices(updates.ingredientPrices || preferences.ingredientPrices),
+          variety_rules: normalizeVarietyRules(updates.varietyRules || preferences.varietyRules),
+          week_starts_on: normalizeWeekStart(updates.weekStartsOn ?? preferences.weekStartsOn),
           updated_at: new Date().toISOString()
         };
 
@@ -303,25 +394,25 @@ export const SettingsProvider = ({ children }) => {
         }
 
         // Try update first, then insert if needed
-        const { data: updateData, error: updateError } = await supabase
+        const { data: updateData, error: updateError } = await writePreferences(values => supabase
           .from('user_preferences_mp2024')
-          .update(supabaseData)
+          .update(values)
           .eq('user_id', userId)
           .select()
-          .single();
+          .single(), supabaseData);
 
-        let data, error;
+        let savedData, error;
         if (updateError && updateError.code === 'PGRST116') {
           // No rows found, insert new record
-          const insertResult = await supabase
+          const insertResult = await writePreferences(values => supabase
             .from('user_preferences_mp2024')
-            .insert(supabaseData)
+            .insert(values)
             .select()
-            .single();
-          data = insertResult.data;
+            .single(), supabaseData);
+          savedData = insertResult.data;
           error = insertResult.error;
         } else {
-          data = updateData;
+          savedData = updateData;
           error = updateError;
         }
 
@@ -329,6 +420,9 @@ export const SettingsProvider = ({ children }) => {
           throw error;
         }
 
+        // Columns the database doesn't have yet keep the values that were sent
+        const data = { ...supabaseData, ...savedData };
+
         // Update local state with Supabase response
         const updatedPreferences = {
           userId: data.user_id,
@@ -344,6 +438,16 @@ export const SettingsProvider = ({ children }) => {
           emailNotifications: data.email_notifications ?? true,
           themePreference: data.theme_preference || 'light',
           measurementSystem: data.measurement_system || 'metric',
+          householdSize: data.household_size || defaultPreferences.householdSize,
+          mealTimes: { ...defaultPreferences.mealTimes, ...(data.meal_times || {}) },
+          mealSlots: ensureArray(data.meal_slots).length > 0 ? ensureArray(data.meal_slots) : defaultPreferences.mealSlots,
+          nutritionTargets: normalizeNutrition(data.nutrition_targets) || {},
+          weeklyBudget: data.weekly_budget ?? null,
+          currency: data.currency || defaultPreferences.currency,
+          preferredStore: data.preferred_store || '',
+          ingredientPrices: normalizePrices(data.ingredient_prices),
+          varietyRules: normalizeVarietyRules(data.variety_rules),
+          weekStartsOn: normalizeWeekStart(data.week_starts_on),
           lastUsernameChange: data.last_username_change,
           usernameChangeCount: data.username_change_count || 0
         };
@@ -0,0 +1,29 @@
+import { format, startOfWeek } from 'date-fns';
+
+// 📅 PLAN DATES: The plan is keyed by local calendar days ('yyyy-MM-dd'). new Date('yyyy-MM-dd')
+// parses as UTC midnight, which is the previous day west of UTC, so keys are always
+// read and written through these helpers.
+export const toLocalDate = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? ''));
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return new Date(value);
+};
+
+export const toDateKey = (value) => format(toLocalDate(value), 'yyyy-MM-dd');
+
+export const WEEK_START_OPTIONS = [
+  { value: 0, label: 'Sunday' },
+  { value: 1, label: 'Monday' },
+  { value: 6, label: 'Saturday' }
+];
+
+export const DEFAULT_WEEK_START = 0;
+
+export const normalizeWeekStart = (value) => {
+  const day = parseInt(value, 10);
+  return WEEK_START_OPTIONS.some(option => option.value === day) ? day : DEFAULT_WEEK_START;
+};
+
+export const getWeekStart = (value, weekStartsOn = DEFAULT_WEEK_START) =>
+  startOfWeek(toLocalDate(value), { weekStartsOn: normalizeWeekStart(weekStartsOn) });
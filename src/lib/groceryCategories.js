@@ -0,0 +1,115 @@
+import { normalizeIngredientName, foldAccents } from './ingredientNames';
+
+// 🛒 GROCERY STORE CATEGORIES: Organized by typical store layout
+export const GROCERY_CATEGORIES = {
+  produce: {
+    name: '🥕 Produce',
+    description: 'Fresh fruits and vegetables',
+    icon: '🥬',
+    color: 'from-green-100 to-emerald-100',
+    borderColor: 'border-green-300',
+    textColor: 'text-green-700',
+    keywords: [
+      // Vegetables
+      'tomato', 'onion', 'garlic', 'potato', 'carrot', 'celery', 'bell pepper', 'pepper', 'broccoli', 'cauliflower', 'spinach', 'lettuce', 'cabbage', 'cucumber', 'zucchini', 'mushroom', 'corn', 'peas', 'green bean', 'asparagus', 'kale', 'arugula', 'basil', 'cilantro', 'parsley', 'dill', 'mint', 'rosemary', 'thyme', 'oregano', 'sage', 'ginger', 'jalapeño', 'serrano', 'habanero', 'chili', 'avocado', 'lime', 'lemon',
+      // Fruits
+      'apple', 'banana', 'orange', 'grape', 'strawberry', 'blueberry', 'raspberry', 'blackberry', 'pineapple', 'mango', 'papaya', 'kiwi', 'peach', 'pear', 'plum', 'cherry', 'watermelon', 'cantaloupe', 'honeydew', 'coconut'
+    ]
+  },
+  meat: {
+    name: '🥩 Meat & Seafood',
+    description: 'Fresh meats, poultry, and seafood',
+    icon: '🍖',
+    color: 'from-red-100 to-pink-100',
+    borderColor: 'border-red-300',
+    textColor: 'text-red-700',
+    keywords: [
+      'chicken', 'beef', 'pork', 'lamb', 'turkey', 'duck', 'bacon', 'ham', 'sausage', 'ground beef', 'ground turkey', 'ground chicken', 'steak', 'roast', 'chop', 'breast', 'thigh', 'wing', 'drumstick', 'salmon', 'tuna', 'cod', 'halibut', 'tilapia', 'shrimp', 'crab', 'lobster', 'scallop', 'mussel', 'clam', 'oyster', 'fish', 'seafood', 'meat'
+    ]
+  },
+  dairy: {
+    name: '🥛 Dairy & Eggs',
+    description: 'Milk, cheese, yogurt, and eggs',
+    icon: '🧀',
+    color: 'from-blue-100 to-cyan-100',
+    borderColor: 'border-blue-300',
+    textColor: 'text-blue-700',
+    keywords: [
+      'milk', 'cheese', 'yogurt', 'butter', 'cream', 'sour cream', 'cottage cheese', 'ricotta', 'mozzarella', 'cheddar', 'parmesan', 'swiss', 'goat cheese', 'feta', 'brie', 'camembert', 'blue cheese', 'cream cheese', 'egg', 'heavy cream', 'crème fraîche', 'half and half', 'buttermilk', 'ice cream', 'frozen yogurt'
+    ]
+  },
+  pantry: {
+    name: '🥫 Pantry & Canned',
+    description: 'Canned goods, condiments, and shelf-stable items',
+    icon: '🥫',
+    color: 'from-amber-100 to-yellow-100',
+    borderColor: 'border-amber-300',
+    textColor: 'text-amber-700',
+    keywords: [
+      'rice', 'pasta', 'noodle', 'quinoa', 'oats', 'flour', 'sugar', 'salt', 'pepper', 'olive oil', 'vegetable oil', 'coconut oil', 'vinegar', 'soy sauce', 'hot sauce', 'ketchup', 'mustard', 'mayonnaise', 'ranch', 'italian dressing', 'balsamic', 'honey', 'maple syrup', 'vanilla', 'cinnamon', 'paprika', 'cumin', 'chili powder', 'garlic powder', 'onion powder', 'black pepper', 'red pepper', 'bay leaf', 'canned tomato', 'tomato sauce', 'tomato paste', 'chicken broth', 'beef broth', 'vegetable broth', 'coconut milk', 'canned beans', 'black beans', 'kidney beans', 'chickpeas', 'lentils', 'peanut butter', 'jelly', 'jam', 'cereal', 'crackers', 'bread', 'tortilla', 'pita', 'bagel', 'english muffin'
+    ]
+  },
+  frozen: {
+    name: '🧊 Frozen Foods',
+    description: 'Frozen vegetables, meals, and desserts',
+    icon: '❄️',
+    color: 'from-cyan-100 to-blue-100',
+    borderColor: 'border-cyan-300',
+    textColor: 'text-cyan-700',
+    keywords: [
+      'frozen', 'ice cream', 'frozen yogurt', 'frozen vegetable', 'frozen fruit', 'frozen meal', 'frozen pizza', 'frozen chicken', 'frozen fish', 'frozen shrimp', 'frozen berries', 'frozen peas', 'frozen corn', 'frozen broccoli', 'frozen spinach', 'ice', 'popsicle', 'frozen waffle', 'frozen bagel', 'frozen bread'
+    ]
+  },
+  beverages: {
+    name: '🥤 Beverages',
+    description: 'Drinks, juices, and beverages',
+    icon: '🍹',
+    color: 'from-purple-100 to-pink-100',
+    borderColor: 'border-purple-300',
+    textColor: 'text-purple-700',
+    keywords: [
+      'water', 'juice', 'soda', 'coffee', 'tea', 'beer', 'wine', 'energy drink', 'sports drink', 'coconut water', 'almond milk', 'soy milk', 'oat milk', 'orange juice', 'apple juice', 'cranberry juice', 'grape juice', 'lemonade', 'sparkling water', 'tonic water', 'club soda', 'kombucha'
+    ]
+  },
+  snacks: {
+    name: '🍿 Snacks & Sweets',
+    description: 'Chips, cookies, candy, and treats',
+    icon: '🍪',
+    color: 'from-orange-100 to-red-100',
+    borderColor: 'border-orange-300',
+    textColor: 'text-orange-700',
+    keywords: [
+      'chips', 'cookie', 'candy', 'chocolate', 'nuts', 'almonds', 'peanuts', 'cashews', 'walnuts', 'pecans', 'pistachios', 'trail mix', 'granola', 'granola bar', 'protein bar', 'crackers', 'pretzels', 'popcorn', 'gum', 'mints'
+    ]
+  },
+  other: {
+    name: '🛍️ Other Items',
+    description: 'Household and miscellaneous items',
+    icon: '📦',
+    color: 'from-gray-100 to-slate-100',
+    borderColor: 'border-gray-300',
+    textColor: 'text-gray-700',
+    keywords: []
+  }
+};
+
+// 🏷️ CATEGORIZE ITEMS: Smart categorization based on keywords
+export const categorizeItem = (itemName) => {
+  if (!itemName || typeof itemName !== 'string') return 'other';
+  // Normalized, so "Courgettes, sliced" is found as zucchini
+  const name = normalizeIngredientName(itemName) || itemName.toLowerCase().trim();
+
+  for (const [categoryId, category] of Object.entries(GROCERY_CATEGORIES)) {
+    if (categoryId === 'other') continue; // Skip 'other' category for now
+    
+    const matchesKeyword = category.keywords.map(foldAccents).some(keyword => 
+      name.includes(keyword) || keyword.includes(name)
+    );
+    
+    if (matchesKeyword) {
+      return categoryId;
+    }
+  }
+  
+  return 'other'; // Default category
+};
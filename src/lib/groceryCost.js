@@ -0,0 +1,164 @@
+import { parseIngredientAmount, getIngredientQuantity, convertAmount } from './ingredients';
+import { isSameIngredientName } from './ingredientNames';
+import { getSlotMeals } from './mealSlots';
+import { isPlanEntry, isSkipEntry, getEntryCost } from './planEntries';
+
+// 💲 GROCERY COSTS: Prices are saved per ingredient and store as
+// { id, ingredient, store, price, quantity, unit }, e.g. $3.49 for 1 lb at "Aldi"
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+export const PRICE_UNITS = ['piece', 'g', 'kg', 'oz', 'lb', 'ml', 'l', 'cup', 'tbsp', 'tsp', 'fl oz', 'can', 'package', 'bunch', 'clove', 'head', 'slice', 'pinch', 'dash'];
+
+const normalizeName = (name) => String(name || '').toLowerCase().trim().replace(/\s+/g, ' ');
+
+// Prices saved for "tomato" also cover "Roma tomatoes, diced"
+export const isSameIngredient = (a, b) => isSameIngredientName(a, b);
+
+// Drop incomplete entries so a half-filled row never breaks the totals
+export const normalizePrices = (prices) => {
+  if (!Array.isArray(prices)) return [];
+  return prices
+    .filter(entry => entry && normalizeName(entry.ingredient))
+    .map(entry => ({
+      id: entry.id,
+      ingredient: String(entry.ingredient).trim(),
+      store: String(entry.store || '').trim(),
+      price: parseFloat(entry.price),
+      quantity: parseFloat(entry.quantity) || 1,
+      unit: PRICE_UNITS.includes(entry.unit) ? entry.unit : 'piece',
+      updatedAt: entry.updatedAt || null
+    }))
+    .filter(entry => Number.isFinite(entry.price) && entry.price >= 0 && entry.quantity > 0);
+};
+
+// One price per ingredient and store; saving again replaces the old one
+export const upsertPrice = (prices, entry) => [
+  ...normalizePrices(prices).filter(existing =>
+    existing.id !== entry.id &&
+    !(isSameIngredient(existing.ingredient, entry.ingredient) && normalizeName(existing.store) === normalizeName(entry.store))
+  ),
+  entry
+];
+
+// Everything the cost helpers need, read from the user's preferences
+export const getPricing = (preferences) => ({
+  prices: normalizePrices(preferences?.ingredientPrices),
+  store: String(preferences?.preferredStore || '').trim(),
+  currency: CURRENCIES.includes(preferences?.currency) ? preferences.currency : 'USD',
+  weeklyBudget: parseFloat(preferences?.weeklyBudget) > 0 ? parseFloat(preferences.weeklyBudget) : null
+});
+
+// Prices for an ingredient, the preferred store's first
+export const getIngredientPrices = (name, { prices, store }) =>
+  prices
+    .filter(entry => isSameIngredient(entry.ingredient, name))
+    .sort((a, b) => Number(normalizeName(b.store) === normalizeName(store)) - Number(normalizeName(a.store) === normalizeName(store)));
+
+// Cost of a parsed quantity of an ingredient, or null when it has no price in a compatible
+// unit. "To taste" amounts cost nothing extra.
+const getQuantityCost = (name, parsed, pricing) => {
+  if (parsed.unit === 'to taste') return { cost: 0, price: null };
+
+  for (const price of getIngredientPrices(name, pricing)) {
+    const quantity = convertAmount(parsed.value, parsed.unit, price.unit);
+    if (quantity !== null) {
+      return { cost: (quantity / price.quantity) * price.price, price };
+    }
+  }
+  return null;
+};
+
+export const getAmountCost = (name, amount, pricing) =>
+  getQuantityCost(name, parseIngredientAmount(amount), pricing);
+
+// Shopping list amounts may be combined, e.g. "2 cup + 100 g"
+export const getShoppingItemCost = (item, pricing) => {
+  const parts = String(item?.amount || '').split(' + ');
+  let cost = 0;
+  let priced = 0;
+  parts.forEach(part => {
+    const result = getAmountCost(item.name, part, pricing);
+    if (result) {
+      cost += result.cost;
+      priced++;
+    }
+  });
+
+  if (priced === 0) return null;
+  return { cost, partial: priced < parts.length };
+};
+
+// Cost of a recipe as written, and per serving. Structured ingredients are priced from
+// their quantity and unit rather than the amount text.
+export const getRecipeCost = (recipe, pricing) => {
+  const ingredients = (Array.isArray(recipe?.ingredients) ? recipe.ingredients : [])
+    .filter(ingredient => ingredient?.name?.trim());
+  const missing = [];
+  let total = 0;
+
+  ingredients.forEach(ingredient => {
+    const result = getQuantityCost(ingredient.name, getIngredientQuantity(ingredient), pricing);
+    if (result) {
+      total += result.cost;
+    } else {
+      missing.push(ingredient.name.trim());
+    }
+  });
+
+  const servings = parseInt(recipe?.servings, 10) > 0 ? parseInt(recipe.servings, 10) : 1;
+  return {
+    total,
+    perServing: total / servings,
+    pricedCount: ingredients.length - missing.length,
+    ingredientCount: ingredients.length,
+    missing
+  };
+};
+
+// A planned meal costs its planned servings; leftovers were paid for with the original.
+// Eating out costs what was entered for it; notes and skips cost nothing.
+export const getPlannedMealCost = (meal, pricing) => {
+  if (!meal || meal.leftoverOf) return null;
+  if (isPlanEntry(meal)) {
+    const cost = getEntryCost(meal);
+    return cost === null ? null : { total: cost, perServing: null, pricedCount: 1, ingredientCount: 0, missing: [] };
+  }
+
+  const recipeCost = getRecipeCost(meal, pricing);
+  if (recipeCost.pricedCount === 0) return null;
+
+  const plannedServings = parseInt(meal.plannedServings || meal.servings, 10) > 0
+    ? parseInt(meal.plannedServings || meal.servings, 10)
+    : 1;
+  return { ...recipeCost, total: recipeCost.perServing * plannedServings };
+};
+
+export const getDayCost = (dayMeals = {}, pricing) => {
+  const meals = Object.keys(dayMeals)
+    .flatMap(slotId => getSlotMeals(dayMeals, slotId))
+    .filter(meal => !meal.leftoverOf && !isSkipEntry(meal));
+  let total = 0;
+  let pricedMeals = 0;
+
+  meals.forEach(meal => {
+    const mealCost = getPlannedMealCost(meal, pricing);
+    if (mealCost) {
+      total += mealCost.total;
+      pricedMeals++;
+    }
+  });
+
+  return { total, mealCount: meals.length, pricedMeals };
+};
+
+export const getWeekCost = (days, pricing) => {
+  const dayCosts = days.map(dayMeals => getDayCost(dayMeals, pricing));
+  return {
+    total: dayCosts.reduce((sum, day) => sum + day.total, 0),
+    dayCosts,
+    mealCount: dayCosts.reduce((sum, day) => sum + day.mealCount, 0),
+    pricedMeals: dayCosts.reduce((sum, day) => sum + day.pricedMeals, 0)
+  };
+};
+
+export const formatCost = (value, currency = 'USD') =>
+  new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value || 0);
@@ -0,0 +1,115 @@
+import { format } from 'date-fns';
+import { getMealSlots, getSlotMeals, withDefaultSlotTimes } from './mealSlots';
+import { getEntryType, isSkipEntry } from './planEntries';
+import { getIngredientLabel } from './ingredients';
+
+// How long a meal lasts when the recipe has no cook time
+const DEFAULT_DURATION_MINUTES = 30;
+
+// RFC 5545 text values escape backslashes, separators and newlines
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Floating local time, so the meal shows at the same clock time in any timezone
+const formatLocalDateTime = (date) => format(date, "yyyyMMdd'T'HHmmss");
+
+const getMealStart = (dateStr, time) => {
+  const [hours, minutes] = (time || '12:00').split(':').map(part => parseInt(part, 10) || 0);
+  const [year, month, day] = dateStr.split('-').map(part => parseInt(part, 10));
+  return new Date(year, month - 1, day, hours, minutes);
+};
+
+const buildDescription = (meal, ingredients) => {
+  const lines = [];
+  if (meal.description) lines.push(meal.description, '');
+  if (meal.plannedServings) lines.push(`Servings: ${meal.plannedServings}`);
+  if (meal.entryType === 'eatingOut') {
+    lines.push(getEntryType(meal).name);
+    if (meal.note) lines.push(meal.note);
+    if (meal.cost !== null && meal.cost !== undefined) lines.push(`Cost: ${meal.cost}`);
+  } else if (meal.leftoverOf) {
+    lines.push('Leftovers - already cooked');
+  } else if (ingredients.length > 0) {
+    lines.push('', 'Ingredients:');
+    ingredients.forEach(ingredient => {
+      lines.push(`• ${[ingredient.amount, getIngredientLabel(ingredient)].filter(Boolean).join(' ')}`);
+    });
+  }
+  if (meal.url) lines.push('', meal.url);
+  return lines.join('\n').trim();
+};
+
+// Build an iCalendar file with one event per planned meal.
+// days: [{ dateStr, meals }] where meals is a day from the meal plan; slots give the
+// order and labels of the meals within a day.
+export const buildMealPlanCalendar = ({ days, slots, mealTimes = {}, getIngredients = (meal) => meal.ingredients || [], now = new Date() }) => {
+  const mealSlots = getMealSlots(slots);
+  const slotTimes = withDefaultSlotTimes(mealSlots, mealTimes);
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Meal Plan App//Meal Plan Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Meal Plan'
+  ];
+  let eventCount = 0;
+
+  days.forEach(({ dateStr, meals }) => {
+    mealSlots.forEach(({ id: mealType, name: label }) => {
+      // A skipped slot has nothing to put in the calendar
+      getSlotMeals(meals, mealType).filter(meal => !isSkipEntry(meal)).forEach((meal, index) => {
+        const start = getMealStart(dateStr, slotTimes[mealType]);
+        const duration = parseInt(meal.cookTime, 10) > 0 ? parseInt(meal.cookTime, 10) : DEFAULT_DURATION_MINUTES;
+        const ingredients = getIngredients(meal).filter(ingredient => ingredient.name && ingredient.name.trim());
+        const uid = `${meal.planId || `${dateStr}-${mealType}-${index}-${meal.id}`}@meal-plan-app`;
+
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:${uid}`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART:${formatLocalDateTime(start)}`,
+          `DURATION:PT${duration}M`,
+          `SUMMARY:${escapeText(`${label}: ${meal.title}${meal.leftoverOf ? ' (leftovers)' : ''}`)}`,
+          `DESCRIPTION:${escapeText(buildDescription(meal, ingredients))}`,
+          `CATEGORIES:${escapeText(label)}`,
+          'END:VEVENT'
+        );
+        eventCount += 1;
+      });
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return {
+    content: `${lines.map(foldLine).join('\r\n')}\r\n`,
+    eventCount
+  };
+};
@@ -0,0 +1,98 @@
+// 🏷️ INGREDIENT NAMES: One key per ingredient, so "tomato", "Tomatoes" and "Roma tomatoes,
+// diced" land on one shopping line, and "scallions" and "green onions" are the same thing
+
+// Words that describe how an ingredient is prepared or bought, not what it is
+const DESCRIPTORS = new Set([
+  'fresh', 'freshly', 'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'crushed',
+  'peeled', 'cubed', 'halved', 'quartered', 'trimmed', 'finely', 'roughly', 'coarsely', 'thinly',
+  'large', 'medium', 'small', 'ripe', 'organic', 'optional'
+]);
+
+// Plurals the simple rules below get wrong, and words that only look plural
+const IRREGULAR_SINGULARS = { leaves: 'leaf', halves: 'half', loaves: 'loaf', knives: 'knife' };
+// Singulars ending in "-ie", which the "-ies" -> "-y" rule would turn into "cooky" and "py"
+const IE_SINGULARS = new Set([
+  'cookie', 'pie', 'potpie', 'brownie', 'smoothie', 'veggie', 'hoagie', 'pastie', 'calorie'
+]);
+const KEEP_AS_IS = new Set([
+  'asparagus', 'brussels', 'couscous', 'hummus', 'molasses', 'swiss', 'watercress', 'cress',
+  'bass', 'grits', 'series', 'species', 'oats', 'greens'
+]);
+
+// Alternative names, singular, mapped to the name used on the list
+export const INGREDIENT_SYNONYMS = {
+  'scallion': 'green onion',
+  'spring onion': 'green onion',
+  'coriander leaf': 'cilantro',
+  'garbanzo bean': 'chickpea',
+  'garbanzo': 'chickpea',
+  'aubergine': 'eggplant',
+  'courgette': 'zucchini',
+  'capsicum': 'bell pepper',
+  'rocket': 'arugula',
+  'prawn': 'shrimp',
+  'roma tomato': 'tomato',
+  'plum tomato': 'tomato',
+  'beef mince': 'ground beef',
+  'minced beef': 'ground beef',
+  'crushed tomato': 'canned tomato',
+  'chilli': 'chili',
+  'chile': 'chili',
+  'extra virgin olive oil': 'olive oil',
+  'extra-virgin olive oil': 'olive oil',
+  'evoo': 'olive oil',
+  'all-purpose flour': 'flour',
+  'all purpose flour': 'flour',
+  'plain flour': 'flour',
+  'icing sugar': 'powdered sugar',
+  'confectioners sugar': 'powdered sugar',
+  "confectioners' sugar": 'powdered sugar',
+  'caster sugar': 'superfine sugar',
+  'bicarbonate of soda': 'baking soda',
+  'bicarb soda': 'baking soda',
+  'double cream': 'heavy cream',
+  'heavy whipping cream': 'heavy cream',
+  'ground black pepper': 'black pepper',
+  'black peppercorn': 'black pepper'
+};
+
+const singularizeWord = (word) => {
+  if (IRREGULAR_SINGULARS[word]) return IRREGULAR_SINGULARS[word];
+  if (word.length <= 3 || KEEP_AS_IS.has(word) || /(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('ies')) return IE_SINGULARS.has(word.slice(0, -1)) ? word.slice(0, -1) : `${word.slice(0, -3)}y`;
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (/(ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  return word.endsWith('s') ? word.slice(0, -1) : word;
+};
+
+// Accents are dropped, so "jalapeño" and "jalapeno" are one ingredient
+export const foldAccents = (text) => String(text || '').normalize('NFD').replace(/\p{M}/gu, '');
+
+// "Roma tomatoes, diced" -> "tomato"; "2 fresh Scallions (sliced)" -> "green onion".
+// Synonyms are looked up before descriptors are dropped too, so "minced beef" and
+// "crushed tomatoes" keep meaning ground beef and canned tomatoes.
+export const normalizeIngredientName = (name) => {
+  const words = foldAccents(name)
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .split(',')[0]
+    .replace(/[^\p{L}'\s-]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singularizeWord);
+  const fullName = words.join(' ');
+  if (INGREDIENT_SYNONYMS[fullName]) return INGREDIENT_SYNONYMS[fullName];
+  const base = words.filter(word => !DESCRIPTORS.has(word)).join(' ');
+  return INGREDIENT_SYNONYMS[base] || base;
+};
+
+export const isSameIngredientName = (a, b) => {
+  const key = normalizeIngredientName(a);
+  return key !== '' && key === normalizeIngredientName(b);
+};
+
+// The name a merged line shows: the shortest as written, without its prep note
+export const getDisplayName = (names) => names
+  .map(name => String(name || '').replace(/\(.*?\)/g, ' ').split(',')[0].replace(/\s+/g, ' ').trim())
+  .filter(Boolean)
+  .sort((a, b) => a.length - b.length)[0] || String(names[0] || '').trim();
@@ -0,0 +1,134 @@
+// Offline ingredient nutrition, per 100 g as sold (raw, dry or drained), rounded
+// from USDA FoodData Central. Shipped with the app so estimates work without a network.
+//
+// keywords   names matched against recipe ingredients (singular, lower case)
+// density    grams per ml, for cup/tbsp/tsp amounts (defaults to water)
+// pieceGrams one piece, clove, slice or pinch
+// headGrams, bunchGrams, canGrams, packageGrams  override the generic sizes
+
+const n = (calories, protein, carbs, fat, fiber) => ({ calories, protein, carbs, fat, fiber });
+
+export const INGREDIENT_NUTRITION = [
+  // 🥩 Meat, fish & eggs
+  { name: 'Chicken breast', keywords: ['chicken breast', 'chicken tender'], per100g: n(120, 22.5, 0, 2.6, 0), pieceGrams: 175 },
+  { name: 'Chicken thigh', keywords: ['chicken thigh', 'chicken leg', 'chicken drumstick'], per100g: n(121, 19.7, 0, 4.1, 0), pieceGrams: 110 },
+  { name: 'Chicken', keywords: ['chicken', 'rotisserie chicken'], per100g: n(143, 19, 0, 7, 0), pieceGrams: 1200 },
+  { name: 'Ground beef', keywords: ['ground beef', 'minced beef', 'beef mince', 'hamburger'], per100g: n(215, 18.6, 0, 15, 0) },
+  { name: 'Beef', keywords: ['beef', 'steak', 'sirloin', 'stew meat', 'chuck roast'], per100g: n(170, 20.5, 0, 9.5, 0), pieceGrams: 225 },
+  { name: 'Pork', keywords: ['pork', 'pork chop', 'pork loin', 'pork shoulder', 'ground pork'], per100g: n(172, 21, 0, 9.5, 0), pieceGrams: 150 },
+  { name: 'Bacon', keywords: ['bacon', 'pancetta'], per100g: n(417, 13, 1.4, 40, 0), pieceGrams: 28 },
+  { name: 'Sausage', keywords: ['sausage', 'chorizo', 'bratwurst'], per100g: n(301, 13, 1.5, 27, 0), pieceGrams: 75 },
+  { name: 'Ham', keywords: ['ham', 'prosciutto'], per100g: n(145, 21, 1.5, 5.5, 0), pieceGrams: 28 },
+  { name: 'Turkey', keywords: ['turkey', 'ground turkey', 'turkey breast'], per100g: n(150, 19.7, 0, 8.3, 0) },
+  { name: 'Salmon', keywords: ['salmon'], per100g: n(208, 20, 0, 13, 0), pieceGrams: 170 },
+  { name: 'Tuna', keywords: ['tuna'], per100g: n(116, 25.5, 0, 0.8, 0), canGrams: 140 },
+  { name: 'White fish', keywords: ['cod', 'tilapia', 'haddock', 'white fish', 'fish', 'fish fillet'], per100g: n(82, 18, 0, 0.7, 0), pieceGrams: 170 },
+  { name: 'Shrimp', keywords: ['shrimp', 'prawn'], per100g: n(85, 20, 0.2, 0.5, 0), pieceGrams: 10 },
+  { name: 'Egg', keywords: ['egg', 'whole egg'], per100g: n(143, 12.6, 0.7, 9.5, 0), pieceGrams: 50, density: 1.03 },
+  { name: 'Egg white', keywords: ['egg white'], per100g: n(52, 10.9, 0.7, 0.2, 0), pieceGrams: 33, density: 1.03 },
+  { name: 'Tofu', keywords: ['tofu'], per100g: n(144, 17.3, 2.8, 8.7, 2.3), packageGrams: 400, pieceGrams: 400 },
+
+  // 🧀 Dairy
+  { name: 'Milk', keywords: ['milk', 'whole milk', 'skim milk'], per100g: n(61, 3.2, 4.8, 3.3, 0), density: 1.03 },
+  { name: 'Butter', keywords: ['butter', 'unsalted butter', 'salted butter'], per100g: n(717, 0.9, 0.1, 81, 0), density: 0.95, pieceGrams: 113 },
+  { name: 'Cheddar cheese', keywords: ['cheese', 'cheddar', 'cheddar cheese', 'shredded cheese', 'swiss cheese', 'monterey jack'], per100g: n(403, 25, 1.3, 33, 0), density: 0.47, pieceGrams: 28 },
+  { name: 'Parmesan', keywords: ['parmesan', 'parmigiano', 'pecorino', 'parmesan cheese'], per100g: n(431, 38, 4.1, 29, 0), density: 0.42 },
+  { name: 'Mozzarella', keywords: ['mozzarella', 'mozzarella cheese'], per100g: n(280, 28, 3.1, 17, 0), density: 0.47, pieceGrams: 125 },
+  { name: 'Feta', keywords: ['feta', 'feta cheese', 'goat cheese'], per100g: n(264, 14, 4.1, 21, 0), density: 0.63 },
+  { name: 'Cream cheese', keywords: ['cream cheese'], per100g: n(342, 6, 4.1, 34, 0), density: 0.98, packageGrams: 225 },
+  { name: 'Heavy cream', keywords: ['cream', 'heavy cream', 'whipping cream', 'double cream', 'single cream'], per100g: n(340, 2.8, 2.7, 36, 0), density: 1 },
+  { name: 'Sour cream', keywords: ['sour cream', 'creme fraiche'], per100g: n(198, 2.4, 4.6, 19, 0), density: 0.97 },
+  { name: 'Yogurt', keywords: ['yogurt', 'yoghurt', 'plain yogurt'], per100g: n(61, 3.5, 4.7, 3.3, 0), density: 1.03 },
+  { name: 'Greek yogurt', keywords: ['greek yogurt', 'greek yoghurt'], per100g: n(97, 9, 3.9, 5, 0), density: 1.03 },
+
+  // 🌾 Grains, bread & baking
+  { name: 'White rice (dry)', keywords: ['rice', 'white rice', 'jasmine rice', 'basmati rice', 'arborio rice'], per100g: n(365, 7.1, 80, 0.7, 1.3), density: 0.78 },
+  { name: 'Brown rice (dry)', keywords: ['brown rice', 'wild rice'], per100g: n(370, 7.9, 77, 2.9, 3.5), density: 0.8 },
+  { name: 'Pasta (dry)', keywords: ['pasta', 'spaghetti', 'penne', 'macaroni', 'noodle', 'fettuccine', 'linguine', 'lasagna', 'egg noodle', 'rigatoni', 'fusilli'], per100g: n(371, 13, 75, 1.5, 3.2), density: 0.42, packageGrams: 450 },
+  { name: 'Quinoa (dry)', keywords: ['quinoa'], per100g: n(368, 14, 64, 6, 7), density: 0.72 },
+  { name: 'Rolled oats', keywords: ['oat', 'rolled oat', 'oatmeal'], per100g: n(389, 16.9, 66, 6.9, 10.6), density: 0.34 },
+  { name: 'Flour', keywords: ['flour', 'all purpose flour', 'plain flour', 'bread flour', 'whole wheat flour'], per100g: n(364, 10, 76, 1, 2.7), density: 0.53 },
+  { name: 'Bread', keywords: ['bread', 'toast', 'baguette', 'sourdough', 'bun', 'roll'], per100g: n(265, 9, 49, 3.2, 2.7), pieceGrams: 30 },
+  { name: 'Tortilla', keywords: ['tortilla', 'wrap', 'flour tortilla', 'corn tortilla'], per100g: n(306, 8, 50, 8, 3.5), pieceGrams: 45 },
+  { name: 'Breadcrumbs', keywords: ['breadcrumb', 'bread crumb', 'panko'], per100g: n(395, 13, 72, 5.3, 4.5), density: 0.45 },
+  { name: 'Sugar', keywords: ['sugar', 'white sugar', 'granulated sugar', 'caster sugar', 'powdered sugar'], per100g: n(387, 0, 100, 0, 0), density: 0.85 },
+  { name: 'Brown sugar', keywords: ['brown sugar'], per100g: n(380, 0.1, 98, 0, 0), density: 0.93 },
+  { name: 'Honey', keywords: ['honey'], per100g: n(304, 0.3, 82, 0, 0.2), density: 1.42 },
+  { name: 'Maple syrup', keywords: ['maple syrup', 'syrup'], per100g: n(260, 0, 67, 0.1, 0), density: 1.32 },
+  { name: 'Cornstarch', keywords: ['cornstarch', 'corn starch', 'cornflour'], per100g: n(381, 0.3, 91, 0.1, 0.9), density: 0.54 },
+  { name: 'Baking powder', keywords: ['baking powder'], per100g: n(53, 0, 28, 0, 0.2), density: 0.9, pieceGrams: 1 },
+  { name: 'Baking soda', keywords: ['baking soda', 'bicarbonate of soda'], per100g: n(0, 0, 0, 0, 0), density: 1.1, pieceGrams: 1 },
+  { name: 'Vanilla extract', keywords: ['vanilla', 'vanilla extract'], per100g: n(288, 0.1, 12.7, 0.1, 0), density: 0.88 },
+  { name: 'Chocolate chips', keywords: ['chocolate chip', 'chocolate', 'dark chocolate'], per100g: n(479, 4.2, 63, 25, 6), density: 0.72 },
+  { name: 'Cocoa powder', keywords: ['cocoa', 'cocoa powder'], per100g: n(228, 19.6, 58, 13.7, 37), density: 0.36 },
+
+  // 🥕 Vegetables & herbs
+  { name: 'Onion', keywords: ['onion', 'yellow onion', 'red onion', 'white onion', 'shallot'], per100g: n(40, 1.1, 9.3, 0.1, 1.7), pieceGrams: 110, density: 0.68 },
+  { name: 'Green onion', keywords: ['green onion', 'scallion', 'spring onion', 'chive'], per100g: n(32, 1.8, 7.3, 0.2, 2.6), pieceGrams: 15, bunchGrams: 100, density: 0.42 },
+  { name: 'Garlic', keywords: ['garlic', 'garlic clove', 'minced garlic'], per100g: n(149, 6.4, 33, 0.5, 2.1), pieceGrams: 3, headGrams: 40, density: 0.57 },
+  { name: 'Ginger', keywords: ['ginger', 'fresh ginger', 'ginger root'], per100g: n(80, 1.8, 18, 0.8, 2), pieceGrams: 15, density: 0.4 },
+  { name: 'Tomato', keywords: ['tomato', 'cherry tomato', 'roma tomato', 'grape tomato'], per100g: n(18, 0.9, 3.9, 0.2, 1.2), pieceGrams: 123, density: 0.76 },
+  { name: 'Canned tomatoes', keywords: ['canned tomato', 'crushed tomato', 'whole peeled tomato'], per100g: n(32, 1.6, 7.3, 0.3, 1.9), density: 1.03, canGrams: 400 },
+  { name: 'Tomato paste', keywords: ['tomato paste', 'tomato puree'], per100g: n(82, 4.3, 19, 0.5, 4.1), density: 1.1, canGrams: 170 },
+  { name: 'Tomato sauce', keywords: ['tomato sauce', 'marinara', 'pasta sauce', 'passata'], per100g: n(24, 1.2, 5.3, 0.3, 1.5), density: 1.03, canGrams: 425 },
+  { name: 'Potato', keywords: ['potato', 'russet potato', 'yukon gold potato', 'baby potato', 'red potato'], per100g: n(77, 2, 17, 0.1, 2.2), pieceGrams: 213, density: 0.63 },
+  { name: 'Sweet potato', keywords: ['sweet potato', 'yam'], per100g: n(86, 1.6, 20, 0.1, 3), pieceGrams: 130, density: 0.56 },
+  { name: 'Carrot', keywords: ['carrot', 'baby carrot'], per100g: n(41, 0.9, 9.6, 0.2, 2.8), pieceGrams: 61, density: 0.54, bunchGrams: 450 },
+  { name: 'Bell pepper', keywords: ['bell pepper', 'red pepper', 'green pepper', 'yellow pepper', 'capsicum'], per100g: n(26, 1, 6, 0.3, 2.1), pieceGrams: 120, density: 0.63 },
+  { name: 'Chili pepper', keywords: ['chili', 'chilli', 'jalapeno', 'serrano', 'chili pepper'], per100g: n(40, 1.9, 8.8, 0.4, 1.5), pieceGrams: 14, density: 0.6 },
+  { name: 'Broccoli', keywords: ['broccoli', 'broccoli floret'], per100g: n(34, 2.8, 6.6, 0.4, 2.6), headGrams: 600, bunchGrams: 600, pieceGrams: 600, density: 0.38 },
+  { name: 'Cauliflower', keywords: ['cauliflower'], per100g: n(25, 1.9, 5, 0.3, 2), headGrams: 575, pieceGrams: 575, density: 0.45 },
+  { name: 'Spinach', keywords: ['spinach', 'baby spinach'], per100g: n(23, 2.9, 3.6, 0.4, 2.2), bunchGrams: 340, packageGrams: 280, density: 0.13 },
+  { name: 'Kale', keywords: ['kale'], per100g: n(49, 4.3, 8.8, 0.9, 3.6), bunchGrams: 200, density: 0.28 },
+  { name: 'Lettuce', keywords: ['lettuce', 'romaine', 'iceberg', 'mixed green', 'salad green', 'arugula', 'rocket'], per100g: n(15, 1.4, 2.9, 0.2, 1.3), headGrams: 600, pieceGrams: 600, density: 0.2 },
+  { name: 'Cabbage', keywords: ['cabbage', 'red cabbage'], per100g: n(25, 1.3, 5.8, 0.1, 2.5), headGrams: 900, pieceGrams: 900, density: 0.37 },
+  { name: 'Cucumber', keywords: ['cucumber'], per100g: n(15, 0.7, 3.6, 0.1, 0.5), pieceGrams: 300, density: 0.55 },
+  { name: 'Zucchini', keywords: ['zucchini', 'courgette', 'summer squash'], per100g: n(17, 1.2, 3.1, 0.3, 1), pieceGrams: 200, density: 0.53 },
+  { name: 'Eggplant', keywords: ['eggplant', 'aubergine'], per100g: n(25, 1, 5.9, 0.2, 3), pieceGrams: 450, density: 0.35 },
+  { name: 'Mushroom', keywords: ['mushroom', 'button mushroom', 'cremini', 'portobello', 'shiitake'], per100g: n(22, 3.1, 3.3, 0.3, 1), pieceGrams: 18, density: 0.29, packageGrams: 225 },
+  { name: 'Celery', keywords: ['celery', 'celery stalk'], per100g: n(16, 0.7, 3, 0.2, 1.6), pieceGrams: 40, bunchGrams: 450, density: 0.42 },
+  { name: 'Corn', keywords: ['corn', 'sweetcorn', 'corn kernel'], per100g: n(86, 3.3, 19, 1.4, 2), pieceGrams: 100, density: 0.69, canGrams: 300 },
+  { name: 'Peas', keywords: ['pea', 'green pea', 'frozen pea'], per100g: n(81, 5.4, 14, 0.4, 5.7), density: 0.61 },
+  { name: 'Green beans', keywords: ['green bean', 'string bean'], per100g: n(31, 1.8, 7, 0.2, 2.7), density: 0.42 },
+  { name: 'Asparagus', keywords: ['asparagus'], per100g: n(20, 2.2, 3.9, 0.1, 2.1), pieceGrams: 16, bunchGrams: 450 },
+  { name: 'Avocado', keywords: ['avocado'], per100g: n(160, 2, 8.5, 14.7, 6.7), pieceGrams: 150, density: 0.6 },
+  { name: 'Fresh herbs', keywords: ['basil', 'parsley', 'cilantro', 'coriander', 'mint', 'dill', 'fresh herb', 'rosemary', 'thyme'], per100g: n(23, 3.2, 2.7, 0.6, 1.6), pieceGrams: 1, bunchGrams: 50, density: 0.1 },
+
+  // 🍎 Fruit
+  { name: 'Apple', keywords: ['apple'], per100g: n(52, 0.3, 14, 0.2, 2.4), pieceGrams: 182, density: 0.52 },
+  { name: 'Banana', keywords: ['banana'], per100g: n(89, 1.1, 23, 0.3, 2.6), pieceGrams: 118, density: 0.63 },
+  { name: 'Lemon', keywords: ['lemon', 'lemon zest'], per100g: n(29, 1.1, 9.3, 0.3, 2.8), pieceGrams: 85 },
+  { name: 'Lemon juice', keywords: ['lemon juice', 'lime juice'], per100g: n(22, 0.4, 6.9, 0.2, 0.3), density: 1.03, pieceGrams: 45 },
+  { name: 'Lime', keywords: ['lime', 'lime zest'], per100g: n(30, 0.7, 10.5, 0.2, 2.8), pieceGrams: 67 },
+  { name: 'Orange', keywords: ['orange'], per100g: n(47, 0.9, 11.8, 0.1, 2.4), pieceGrams: 131, density: 0.7 },
+  { name: 'Berries', keywords: ['berry', 'blueberry', 'raspberry', 'blackberry', 'mixed berry'], per100g: n(57, 0.7, 14.5, 0.3, 2.4), density: 0.62 },
+  { name: 'Strawberries', keywords: ['strawberry'], per100g: n(32, 0.7, 7.7, 0.3, 2), pieceGrams: 12, density: 0.6 },
+
+  // 🫘 Beans, nuts & seeds
+  { name: 'Beans (cooked)', keywords: ['bean', 'black bean', 'kidney bean', 'pinto bean', 'cannellini bean', 'white bean', 'navy bean'], per100g: n(132, 8.9, 23.7, 0.5, 8.7), density: 0.73, canGrams: 240 },
+  { name: 'Chickpeas (cooked)', keywords: ['chickpea', 'garbanzo', 'garbanzo bean'], per100g: n(164, 8.9, 27, 2.6, 7.6), density: 0.68, canGrams: 240 },
+  { name: 'Lentils (dry)', keywords: ['lentil', 'red lentil', 'green lentil'], per100g: n(352, 24.6, 63, 1.1, 10.7), density: 0.81 },
+  { name: 'Almonds', keywords: ['almond', 'sliced almond'], per100g: n(579, 21, 22, 50, 12.5), density: 0.6 },
+  { name: 'Walnuts', keywords: ['walnut', 'pecan'], per100g: n(654, 15, 14, 65, 6.7), density: 0.5 },
+  { name: 'Peanuts', keywords: ['peanut', 'cashew'], per100g: n(567, 25.8, 16, 49, 8.5), density: 0.6 },
+  { name: 'Peanut butter', keywords: ['peanut butter', 'almond butter'], per100g: n(588, 25, 20, 50, 6), density: 1.09 },
+  { name: 'Seeds', keywords: ['chia seed', 'flaxseed', 'sesame seed', 'sunflower seed', 'pumpkin seed'], per100g: n(520, 20, 30, 40, 20), density: 0.65 },
+
+  // 🫒 Oils, sauces & condiments
+  { name: 'Olive oil', keywords: ['olive oil', 'extra virgin olive oil'], per100g: n(884, 0, 0, 100, 0), density: 0.91 },
+  { name: 'Vegetable oil', keywords: ['oil', 'vegetable oil', 'canola oil', 'sunflower oil', 'coconut oil', 'sesame oil', 'cooking oil'], per100g: n(884, 0, 0, 100, 0), density: 0.92 },
+  { name: 'Soy sauce', keywords: ['soy sauce', 'tamari'], per100g: n(53, 8.1, 4.9, 0.6, 0.8), density: 1.15 },
+  { name: 'Mayonnaise', keywords: ['mayonnaise', 'mayo'], per100g: n(680, 1, 0.6, 75, 0), density: 0.92 },
+  { name: 'Ketchup', keywords: ['ketchup', 'bbq sauce', 'barbecue sauce'], per100g: n(101, 1, 27, 0.1, 0.3), density: 1.14 },
+  { name: 'Mustard', keywords: ['mustard', 'dijon', 'dijon mustard'], per100g: n(60, 3.7, 5.8, 3.3, 4), density: 1.05 },
+  { name: 'Vinegar', keywords: ['vinegar', 'balsamic vinegar', 'rice vinegar', 'apple cider vinegar', 'red wine vinegar'], per100g: n(18, 0, 0.04, 0, 0), density: 1.01 },
+  { name: 'Salsa', keywords: ['salsa', 'pico de gallo'], per100g: n(36, 1.5, 7, 0.2, 1.9), density: 1.05 },
+  { name: 'Coconut milk', keywords: ['coconut milk', 'coconut cream'], per100g: n(197, 2, 2.8, 21, 0), density: 0.97, canGrams: 400 },
+  { name: 'Broth', keywords: ['broth', 'stock', 'chicken broth', 'chicken stock', 'beef broth', 'beef stock', 'vegetable broth', 'vegetable stock'], per100g: n(6, 0.6, 0.4, 0.2, 0), density: 1, canGrams: 400, pieceGrams: 250 },
+  { name: 'Water', keywords: ['water', 'ice', 'boiling water', 'warm water'], per100g: n(0, 0, 0, 0, 0), density: 1 },
+
+  // 🧂 Salt & spices
+  { name: 'Salt', keywords: ['salt', 'sea salt', 'kosher salt'], per100g: n(0, 0, 0, 0, 0), density: 1.2, pieceGrams: 1 },
+  { name: 'Black pepper', keywords: ['pepper', 'black pepper', 'salt and pepper', 'peppercorn'], per100g: n(251, 10, 64, 3.3, 25), density: 0.46, pieceGrams: 1 },
+  { name: 'Dried spices', keywords: ['spice', 'cumin', 'paprika', 'smoked paprika', 'cinnamon', 'chili powder', 'curry powder', 'garlic powder', 'onion powder', 'oregano', 'dried oregano', 'dried thyme', 'italian seasoning', 'red pepper flake', 'chili flake', 'turmeric', 'nutmeg', 'bay leaf', 'seasoning'], per100g: n(300, 12, 60, 8, 30), density: 0.5, pieceGrams: 1 }
+];
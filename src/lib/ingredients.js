@@ -0,0 +1,356 @@
+// 🔢 QUANTITY PARSER: Reads the quantity and unit at the start of an amount, token by token.
+// Examples of what it understands:
+//   "1 1/2 cups" -> 1.5 cup      "½ tsp" -> 0.5 tsp          "1½ lb" -> 1.5 lb
+//   "1-1/2 cups" -> 1.5 cup      "one and a half cups" -> 1.5 cup
+//   "2-3 cloves" -> 3 clove      "two eggs" -> 2 piece       "a dozen" -> 12 piece
+//   "1 (14 oz) can" -> 1 can     "2 12-oz cans" -> 2 can     "about 200 g" -> 200 g
+//   "3 tbsp." -> 3 tbsp          "1 l" -> 1 l (but "clove" is never read as liters)
+//   "salt to taste" -> 0 to taste
+// Ranges count as their upper bound, so there is always enough; min and max keep both ends.
+
+const UNIT_TOKENS = {
+  // Weight
+  'g': 'g', 'gram': 'g', 'grams': 'g', 'gr': 'g',
+  'kg': 'kg', 'kilo': 'kg', 'kilos': 'kg', 'kilogram': 'kg', 'kilograms': 'kg',
+  'oz': 'oz', 'ounce': 'oz', 'ounces': 'oz',
+  'lb': 'lb', 'lbs': 'lb', 'pound': 'lb', 'pounds': 'lb',
+  // Volume
+  'ml': 'ml', 'milliliter': 'ml', 'milliliters': 'ml', 'millilitre': 'ml', 'millilitres': 'ml',
+  'l': 'l', 'liter': 'l', 'liters': 'l', 'litre': 'l', 'litres': 'l',
+  'cup': 'cup', 'cups': 'cup',
+  'tbsp': 'tbsp', 'tbsps': 'tbsp', 'tbs': 'tbsp', 'tablespoon': 'tbsp', 'tablespoons': 'tbsp',
+  'tsp': 'tsp', 'tsps': 'tsp', 'teaspoon': 'tsp', 'teaspoons': 'tsp',
+  'fl oz': 'fl oz', 'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz',
+  // Count
+  'piece': 'piece', 'pieces': 'piece',
+  'item': 'piece', 'items': 'piece',
+  'large': 'piece', 'medium': 'piece', 'small': 'piece',
+  'can': 'can', 'cans': 'can',
+  'package': 'package', 'packages': 'package',
+  'bunch': 'bunch', 'bunches': 'bunch',
+  'clove': 'clove', 'cloves': 'clove',
+  'head': 'head', 'heads': 'head',
+  'pinch': 'pinch', 'pinches': 'pinch',
+  'dash': 'dash', 'dashes': 'dash',
+  'slice': 'slice', 'slices': 'slice'
+};
+
+const VULGAR_FRACTIONS = {
+  '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4, '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5,
+  '⅘': 4 / 5, '⅙': 1 / 6, '⅚': 5 / 6, '⅐': 1 / 7, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, half: 0.5, quarter: 0.25, dozen: 12
+};
+
+const VULGAR_CLASS = Object.keys(VULGAR_FRACTIONS).join('');
+// Decimals may start with the point (".5") or use a comma ("1,5"); a comma followed by three
+// digits separates thousands ("1,500")
+const NUMBER_PATTERN = new RegExp(
+  `^(\\d{1,3}(?:,\\d{3})+(?![\\d,])|\\d*\\.\\d+|\\d*,\\d{1,2}(?!\\d)|\\d+)(?:\\s*[/⁄]\\s*(\\d+)|(?:(?:\\s+|-)(\\d+)\\s*[/⁄]\\s*(\\d+))|\\s*([${VULGAR_CLASS}]))?|^([${VULGAR_CLASS}])|^([a-z]+)\\b`
+);
+const APPROXIMATE_PATTERN = /^(?:about|approx\.?|approximately|roughly|around|~)\s*/;
+const AND_FRACTION_PATTERN = /^\s+and\s+(?:a|one)\s+(half|quarter)\b/;
+const RANGE_PATTERN = /^\s*(?:-|–|—|to|or)\s*/;
+
+const parseDecimal = (text) => parseFloat(
+  /^\d{1,3}(?:,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.')
+);
+
+// One number at the start of text: "2", "1.5", ".5", "1,5", "3/4", "1 1/2", "1-1/2", "1½", "½" or "two".
+// A mixed number is read before a range, so "1-1/2" is one and a half, not one to a half.
+const readBareNumber = (text) => {
+  const match = text.match(NUMBER_PATTERN);
+  if (!match) return null;
+  const [whole, int, den, mixedNum, mixedDen, attached, alone, word] = match;
+  if (word !== undefined) {
+    return WORD_NUMBERS[word] !== undefined ? { value: WORD_NUMBERS[word], length: whole.length } : null;
+  }
+  if (alone !== undefined) return { value: VULGAR_FRACTIONS[alone], length: whole.length };
+
+  let value = parseDecimal(int);
+  if (den !== undefined) value /= parseFloat(den);
+  if (mixedNum !== undefined) value += parseFloat(mixedNum) / parseFloat(mixedDen);
+  if (attached !== undefined) value += VULGAR_FRACTIONS[attached];
+  return Number.isFinite(value) ? { value, length: whole.length } : null;
+};
+
+// A number plus "and a half" or "and a quarter", e.g. "one and a half" or "2 and a half"
+const readNumber = (text) => {
+  const number = readBareNumber(text);
+  if (!number) return null;
+  const fraction = text.slice(number.length).match(AND_FRACTION_PATTERN);
+  if (!fraction) return number;
+  return { value: number.value + WORD_NUMBERS[fraction[1]], length: number.length + fraction[0].length };
+};
+
+// Leading quantity of text, a range when two numbers are joined by "-" or "to"
+const readQuantity = (text) => {
+  const approximate = text.match(APPROXIMATE_PATTERN);
+  const start = approximate ? approximate[0].length : 0;
+  const first = readNumber(text.slice(start));
+  if (!first) return null;
+
+  let end = start + first.length;
+  let min = first.value;
+  let max = first.value;
+  const range = text.slice(end).match(RANGE_PATTERN);
+  const second = range ? readNumber(text.slice(end + range[0].length)) : null;
+  if (second && second.value >= first.value) {
+    end += range[0].length + second.length;
+    max = second.value;
+  }
+
+  // "2 dozen" and "a dozen" count twelves
+  const dozen = text.slice(end).match(/^\s+dozen\b/);
+  if (dozen) {
+    end += dozen[0].length;
+    min *= 12;
+    max *= 12;
+  }
+
+  return { min, max, start, end };
+};
+
+// First unit token after the quantity; parentheses ("1 (14 oz) can") and hyphenated
+// sizes ("2 12-oz cans") describe the package, not the unit
+const readUnit = (text) => {
+  const words = text
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\d[\d./]*\s*-\s*[a-z]+/g, ' ')
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+  for (let i = 0; i < words.length; i++) {
+    const pair = `${words[i]} ${words[i + 1] || ''}`.trim();
+    if (UNIT_TOKENS[pair]) return UNIT_TOKENS[pair];
+    if (UNIT_TOKENS[words[i]]) return UNIT_TOKENS[words[i]];
+  }
+  return 'piece';
+};
+
+// Parse an amount string into { value, unit, original, min, max, quantityText }.
+// quantityText is the quantity as written, so callers can replace it when scaling.
+export const parseIngredientAmount = (amount) => {
+  if (!amount || typeof amount !== 'string') return { value: 1, unit: 'piece', original: amount || '1 piece' };
+
+  const trimmed = amount.trim();
+  const cleanAmount = trimmed.toLowerCase();
+
+  if (/\b(to taste|as needed)\b/.test(cleanAmount)) {
+    return { value: 0, unit: 'to taste', original: amount };
+  }
+
+  const quantity = readQuantity(cleanAmount);
+  if (!quantity) {
+    return { value: 1, unit: readUnit(cleanAmount), original: amount };
+  }
+
+  return {
+    value: quantity.max,
+    unit: readUnit(cleanAmount.slice(quantity.end)),
+    original: amount,
+    min: quantity.min,
+    max: quantity.max,
+    quantityText: trimmed.slice(quantity.start, quantity.end)
+  };
+};
+
+// Conversion factors within each unit family; counts (piece, can...) only match themselves
+export const GRAMS_PER_UNIT = { g: 1, kg: 1000, oz: 28.35, lb: 453.6 };
+export const ML_PER_UNIT = { ml: 1, l: 1000, cup: 240, tbsp: 15, tsp: 5, 'fl oz': 29.57 };
+
+// Convert a quantity between units of the same family, or null when they don't mix
+export const convertAmount = (value, fromUnit, toUnit) => {
+  if (fromUnit === toUnit) return value;
+  if (GRAMS_PER_UNIT[fromUnit] && GRAMS_PER_UNIT[toUnit]) {
+    return (value * GRAMS_PER_UNIT[fromUnit]) / GRAMS_PER_UNIT[toUnit];
+  }
+  if (ML_PER_UNIT[fromUnit] && ML_PER_UNIT[toUnit]) {
+    return (value * ML_PER_UNIT[fromUnit]) / ML_PER_UNIT[toUnit];
+  }
+  return null;
+};
+
+// 📏 COMBINING AMOUNTS: Amounts of one ingredient are summed per family (weight, volume,
+// or a count unit such as cans) and shown in the unit that reads best for the total
+export const getUnitFamily = (unit) => {
+  if (GRAMS_PER_UNIT[unit]) return 'weight';
+  if (ML_PER_UNIT[unit]) return 'volume';
+  return null;
+};
+
+const BASE_UNITS = { weight: 'g', volume: 'ml' };
+const METRIC_UNITS = ['g', 'kg', 'ml', 'l'];
+const PLURAL_UNITS = {
+  cup: 'cups', can: 'cans', package: 'packages', bunch: 'bunches', clove: 'cloves', head: 'heads',
+  pinch: 'pinches', dash: 'dashes', slice: 'slices'
+};
+const FRACTIONS = [[1 / 8, '1/8'], [1 / 4, '1/4'], [1 / 3, '1/3'], [3 / 8, '3/8'], [1 / 2, '1/2'], [5 / 8, '5/8'], [2 / 3, '2/3'], [3 / 4, '3/4'], [7 / 8, '7/8']];
+
+// Stay in the measuring system the recipes used; metric wins when they are mixed
+const chooseDisplayUnit = (family, baseValue, units) => {
+  const metric = units.some(unit => METRIC_UNITS.includes(unit));
+  if (family === 'weight') {
+    if (metric) return baseValue >= 1000 ? 'kg' : 'g';
+    return baseValue >= GRAMS_PER_UNIT.lb ? 'lb' : 'oz';
+  }
+  if (metric) return baseValue >= 1000 ? 'l' : 'ml';
+  if (units.every(unit => unit === 'fl oz')) return 'fl oz';
+  if (baseValue >= ML_PER_UNIT.cup / 4) return 'cup';
+  if (baseValue >= ML_PER_UNIT.tbsp) return 'tbsp';
+  return 'tsp';
+};
+
+// Kitchen fractions for cups, spoons and counts ("1 1/2"), decimals otherwise
+const formatFraction = (value) => {
+  const whole = Math.floor(value);
+  const rest = value - whole;
+  if (rest < 0.02) return String(whole);
+  if (rest > 0.98) return String(whole + 1);
+  const match = FRACTIONS.find(([fraction]) => Math.abs(rest - fraction) < 0.02);
+  if (!match) return String(Math.round(value * 100) / 100);
+  return whole > 0 ? `${whole} ${match[1]}` : match[1];
+};
+
+const formatMetric = (value) => String(value >= 10 ? Math.round(value) : Math.round(value * 100) / 100);
+
+export const formatAmount = (value, unit) => {
+  const quantity = METRIC_UNITS.includes(unit) ? formatMetric(value) : formatFraction(value);
+  if (unit === 'piece') return quantity;
+  return `${quantity} ${value > 1 && PLURAL_UNITS[unit] ? PLURAL_UNITS[unit] : unit}`;
+};
+
+// Sum parsed quantities ({ value, unit }) into one amount string, e.g. 200 g and 1 kg make
+// "1.2 kg". Units that can't be converted into each other stay separate parts joined by " + ".
+export const sumQuantities = (quantities) => {
+  const totals = {};
+  let toTaste = false;
+
+  quantities.forEach(parsed => {
+    if (parsed.unit === 'to taste') {
+      toTaste = true;
+      return;
+    }
+    const family = getUnitFamily(parsed.unit);
+    const key = family || parsed.unit;
+    if (!totals[key]) totals[key] = { family, unit: parsed.unit, value: 0, units: [] };
+    totals[key].value += family ? convertAmount(parsed.value, parsed.unit, BASE_UNITS[family]) : parsed.value;
+    totals[key].units.push(parsed.unit);
+  });
+
+  const parts = Object.values(totals).map(total => {
+    if (!total.family) return formatAmount(total.value, total.unit);
+    const unit = chooseDisplayUnit(total.family, total.value, total.units);
+    return formatAmount(convertAmount(total.value, BASE_UNITS[total.family], unit), unit);
+  });
+  if (toTaste) parts.push('to taste');
+  return parts.join(' + ') || '1 piece';
+};
+
+// Sum amount strings such as ["200 g", "1 kg"] or ["2 tbsp", "1/4 cup"]
+export const sumAmounts = (amounts) => sumQuantities(amounts.map(parseIngredientAmount));
+
+// 🧾 STRUCTURED INGREDIENTS: Recipes store { quantity, unit, name, note, optional } next to
+// the display amount, so scaling and shopping read numbers instead of guessing from text.
+// Free-text ingredients from before are read with the parser above.
+export const RECIPE_UNITS = [
+  '', 'g', 'kg', 'oz', 'lb', 'ml', 'l', 'tsp', 'tbsp', 'cup', 'fl oz',
+  'can', 'package', 'bunch', 'clove', 'head', 'pinch', 'dash', 'slice', 'to taste'
+];
+
+export const EMPTY_INGREDIENT_FORM = { quantity: '', unit: '', name: '', note: '', optional: false, originalAmount: '' };
+
+const OPTIONAL_PATTERN = /\(?\boptional\b\)?/i;
+
+export const isStructuredIngredient = (ingredient) =>
+  Boolean(ingredient) && 'quantity' in ingredient && 'unit' in ingredient;
+
+const getUnitLabel = (unit, quantity) => (quantity > 1 && PLURAL_UNITS[unit] ? PLURAL_UNITS[unit] : unit);
+
+// The editor's fields for an ingredient. Free text is split up: "Roma tomatoes, diced"
+// becomes name and note, "2 large" keeps "large" as a note, "(optional)" sets the flag.
+export const toIngredientForm = (ingredient) => {
+  if (!ingredient) return { ...EMPTY_INGREDIENT_FORM };
+  const amount = String(ingredient.amount || '').trim();
+  const parsed = parseIngredientAmount(amount);
+
+  if (isStructuredIngredient(ingredient)) {
+    return {
+      quantity: parsed.quantityText || (Number.isFinite(ingredient.quantity) ? formatFraction(ingredient.quantity) : ''),
+      unit: RECIPE_UNITS.includes(ingredient.unit) ? ingredient.unit : '',
+      name: String(ingredient.name || ''),
+      note: String(ingredient.note || ''),
+      optional: Boolean(ingredient.optional),
+      originalAmount: amount
+    };
+  }
+
+  const rawName = String(ingredient.name || '');
+  const [name, ...noteParts] = rawName.replace(OPTIONAL_PATTERN, ' ').split(',');
+  const notes = [noteParts.join(',').trim()];
+  const unit = parsed.unit === 'piece' || !RECIPE_UNITS.includes(parsed.unit) ? '' : parsed.unit;
+  if (amount && parsed.unit === 'piece') {
+    // Words a count carries, e.g. "large" in "2 large"
+    const rest = amount.replace(parsed.quantityText || '', '').replace(OPTIONAL_PATTERN, ' ').trim();
+    if (rest) notes.unshift(rest);
+  }
+
+  return {
+    quantity: parsed.unit === 'to taste' ? '' : parsed.quantityText || '',
+    unit,
+    name: name.replace(/\s+/g, ' ').trim(),
+    note: notes.filter(Boolean).join(', '),
+    optional: OPTIONAL_PATTERN.test(rawName) || OPTIONAL_PATTERN.test(amount),
+    originalAmount: amount
+  };
+};
+
+// The stored ingredient for the editor's fields. An amount the fields were read from is
+// kept as written ("1 (14 oz) can") unless quantity or unit changed.
+export const fromIngredientForm = (form) => {
+  const unit = RECIPE_UNITS.includes(form.unit) ? form.unit : '';
+  const quantityText = String(form.quantity || '').trim();
+  const parsed = unit === 'to taste' ? {} : parseIngredientAmount(quantityText);
+  const quantity = parsed.quantityText ? parsed.value : null;
+
+  let amount = unit === 'to taste'
+    ? 'to taste'
+    : [quantityText, quantity !== null ? getUnitLabel(unit, quantity) : unit].filter(Boolean).join(' ');
+  if (form.originalAmount) {
+    const source = toIngredientForm({ amount: form.originalAmount });
+    if (source.quantity === quantityText && source.unit === unit) amount = form.originalAmount;
+  }
+
+  return {
+    name: String(form.name || '').trim(),
+    amount,
+    quantity,
+    unit,
+    note: String(form.note || '').trim(),
+    optional: Boolean(form.optional)
+  };
+};
+
+// Older recipes are migrated when they load; structured ones pass through
+export const structureIngredient = (ingredient) =>
+  (isStructuredIngredient(ingredient) ? ingredient : fromIngredientForm(toIngredientForm(ingredient)));
+
+// Quantity and unit of an ingredient: the stored numbers when there are any, else parsed
+export const getIngredientQuantity = (ingredient) => {
+  if (isStructuredIngredient(ingredient)) {
+    if (ingredient.unit === 'to taste') return { value: 0, unit: 'to taste', original: ingredient.amount };
+    if (Number.isFinite(ingredient.quantity)) {
+      return { value: ingredient.quantity, unit: ingredient.unit || 'piece', original: ingredient.amount };
+    }
+  }
+  return parseIngredientAmount(ingredient?.amount);
+};
+
+// "Tomatoes, diced (optional)"
+export const getIngredientLabel = (ingredient) => [
+  String(ingredient?.name || ''),
+  ingredient?.note ? `, ${ingredient.note}` : '',
+  ingredient?.optional ? ' (optional)' : ''
+].join('');
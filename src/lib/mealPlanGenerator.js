@@ -0,0 +1,107 @@
+import { format, getDay } from 'date-fns';
+import { getSlotMeals } from './mealSlots';
+
+// Recipe difficulties each cooking skill level is comfortable with
+const SKILL_DIFFICULTIES = {
+  beginner: ['easy'],
+  intermediate: ['easy', 'medium'],
+  advanced: ['easy', 'medium', 'hard'],
+  expert: ['easy', 'medium', 'hard']
+};
+
+export const DEFAULT_GENERATOR_OPTIONS = {
+  mealTypes: ['breakfast', 'lunch', 'dinner'],
+  maxWeeknightCookTime: 45
+};
+
+const normalize = (value) => String(value || '').toLowerCase().trim();
+
+const getRecipeTags = (recipe) => (Array.isArray(recipe.tags) ? recipe.tags.map(normalize) : []);
+
+// Monday to Friday dinners are the busy ones that get the cook time cap
+const isWeeknight = (date) => {
+  const weekday = getDay(date);
+  return weekday >= 1 && weekday <= 5;
+};
+
+// A slot can be (re)filled when it is empty or holds an unlocked generated meal
+export const isSlotOpenForGeneration = (meal) => !meal || (meal.generated && !meal.locked);
+
+// Keep only recipes that satisfy every dietary preference and the user's skill level
+export const filterRecipesForPreferences = (recipes, preferences = {}) => {
+  const dietary = (preferences.dietaryPreferences || []).map(normalize).filter(Boolean);
+  const allowedDifficulties = SKILL_DIFFICULTIES[normalize(preferences.cookingSkillLevel)] || null;
+
+  return recipes.filter(recipe => {
+    const tags = getRecipeTags(recipe);
+    if (!dietary.every(preference => tags.includes(preference))) return false;
+    if (allowedDifficulties && recipe.difficulty && !allowedDifficulties.includes(normalize(recipe.difficulty))) {
+      return false;
+    }
+    return true;
+  });
+};
+
+const scoreRecipe = (recipe, mealType, preferredCuisine) => {
+  const tags = getRecipeTags(recipe);
+  let score = 0;
+  if (tags.includes(mealType)) score += 2;
+  if (preferredCuisine.some(cuisine => tags.includes(cuisine))) score += 1;
+  return score;
+};
+
+// Pick recipes for the open slots of the given days. Returns the assignments to
+// apply and how many open slots had no suitable recipe left.
+export const generateMealPlan = ({ days, plan, recipes, preferences = {}, options = {}, random = Math.random }) => {
+  const { mealTypes, maxWeeknightCookTime } = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+  const preferredCuisine = (preferences.preferredCuisine || []).map(normalize).filter(Boolean);
+  const eligibleRecipes = filterRecipesForPreferences(recipes, preferences);
+
+  // Recipes already kept in the week are never picked again
+  const usedRecipeIds = new Set();
+  days.forEach(day => {
+    const dayMeals = plan[format(day, 'yyyy-MM-dd')] || {};
+    Object.keys(dayMeals).forEach(mealType => {
+      getSlotMeals(dayMeals, mealType).forEach(meal => {
+        if (!(mealTypes.includes(mealType) && isSlotOpenForGeneration(meal))) {
+          usedRecipeIds.add(meal.id);
+        }
+      });
+    });
+  });
+
+  const assignments = [];
+  let unfilled = 0;
+
+  days.forEach(day => {
+    const dayMeals = plan[format(day, 'yyyy-MM-dd')] || {};
+
+    mealTypes.forEach(mealType => {
+      const slotMeals = getSlotMeals(dayMeals, mealType);
+      if (slotMeals.length > 1 || !isSlotOpenForGeneration(slotMeals[0])) return;
+
+      const capCookTime = mealType === 'dinner' && isWeeknight(day) && maxWeeknightCookTime > 0;
+      const candidates = eligibleRecipes.filter(recipe => {
+        if (usedRecipeIds.has(recipe.id)) return false;
+        if (capCookTime && (parseInt(recipe.cookTime, 10) || 0) > maxWeeknightCookTime) return false;
+        return true;
+      });
+
+      if (candidates.length === 0) {
+        unfilled += 1;
+        return;
+      }
+
+      // Highest score wins; the random term breaks ties so each run varies
+      const [recipe] = candidates
+        .map(candidate => ({ candidate, score: scoreRecipe(candidate, mealType, preferredCuisine) + random() }))
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.candidate);
+
+      usedRecipeIds.add(recipe.id);
+      assignments.push({ date: day, mealType, recipe });
+    });
+  });
+
+  return { assignments, unfilled, eligibleCount: eligibleRecipes.length };
+};
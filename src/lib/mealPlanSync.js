@@ -0,0 +1,85 @@
+// Meal plans are synced as one row per day and slot in meal_plan_slots_mp2024:
+//   user_id, plan_date (date), slot (text), meal (jsonb), deleted (bool), updated_at (timestamptz,
+//   set by the server)
+// with a unique (user_id, plan_date, slot) constraint. Slots holding several meals (snacks,
+// custom multi-meal slots) share one row holding the array.
+// user_id is the plan owner: the user themself, or the owner of their household.
+export const MEAL_PLAN_SLOTS_TABLE = 'meal_plan_slots_mp2024';
+
+export const getSlotKey = (dateStr, slot) => `${dateStr}|${slot}`;
+
+export const parseSlotKey = (key) => {
+  const [dateStr, slot] = key.split('|');
+  return { dateStr, slot };
+};
+
+// Current value of a slot, or null when it is empty
+export const getSlotValue = (plan, dateStr, slot) => {
+  const value = plan[dateStr]?.[slot];
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value : null;
+  }
+  return value || null;
+};
+
+// Write a slot into an already shallow-copied plan, cleaning up empty days
+export const setSlotValue = (plan, dateStr, slot, value) => {
+  const dayMeals = { ...(plan[dateStr] || {}) };
+  const isEmpty = Array.isArray(value) ? value.length === 0 : !value;
+
+  if (isEmpty) {
+    delete dayMeals[slot];
+  } else {
+    dayMeals[slot] = Array.isArray(value) ? [...value] : value;
+  }
+
+  if (Object.keys(dayMeals).length === 0) {
+    delete plan[dateStr];
+  } else {
+    plan[dateStr] = dayMeals;
+  }
+};
+
+// Slots whose contents differ between two versions of the plan
+export const getChangedSlotKeys = (previousPlan = {}, nextPlan = {}) => {
+  const dates = new Set([...Object.keys(previousPlan), ...Object.keys(nextPlan)]);
+  const changed = [];
+
+  dates.forEach(dateStr => {
+    if (previousPlan[dateStr] === nextPlan[dateStr]) return;
+    const slots = new Set([...Object.keys(previousPlan[dateStr] || {}), ...Object.keys(nextPlan[dateStr] || {})]);
+    slots.forEach(slot => {
+      const before = JSON.stringify(getSlotValue(previousPlan, dateStr, slot));
+      const after = JSON.stringify(getSlotValue(nextPlan, dateStr, slot));
+      if (before !== after) changed.push(getSlotKey(dateStr, slot));
+    });
+  });
+
+  return changed;
+};
+
+// updated_at is left out: the server stamps every write (see the meal_plan_slots migration)
+export const toSlotRow = (userId, plan, key) => {
+  const { dateStr, slot } = parseSlotKey(key);
+  const meal = getSlotValue(plan, dateStr, slot);
+  return {
+    user_id: userId,
+    plan_date: dateStr,
+    slot,
+    meal,
+    deleted: meal === null
+  };
+};
+
+// The server version of a row. Realtime and REST format timestamps differently,
+// so versions are compared as milliseconds.
+export const getRowVersion = (row) => {
+  const time = new Date(row?.updated_at).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+// A queued local edit remembers the server version it was made on top of ({ base, editedAt }).
+// The remote row wins when the server has written the slot since then.
+export const isRemoteChanged = (row, pendingEdit) => (
+  !pendingEdit || getRowVersion(row) !== pendingEdit.base
+);
@@ -0,0 +1,233 @@
+import { getSlotMeals } from './mealSlots';
+import { isPlanEntry } from './planEntries';
+import { normalizeIngredientName, getDisplayName } from './ingredientNames';
+import { getIngredientQuantity, sumQuantities } from './ingredients';
+
+// 🔪 MEAL PREP: Turn a handful of planned meals into one batch-cooking session:
+// a merged chopping list, oven and stovetop jobs longest first, and containers per day
+
+// Cut words in ingredients ("onion, diced") and steps ("Chop the peppers"), mapped to
+// the label shown on the chopping list
+const CUT_STYLES = [
+  { label: 'chopped', pattern: /\b(chop|chops|chopped|chopping)\b/ },
+  { label: 'diced', pattern: /\b(dice|dices|diced|dicing)\b/ },
+  { label: 'minced', pattern: /\b(mince|minces|minced|mincing)\b/ },
+  { label: 'sliced', pattern: /\b(slice|slices|sliced|slicing)\b/ },
+  { label: 'cubed', pattern: /\b(cube|cubed|cubing)\b/ },
+  { label: 'grated', pattern: /\b(grate|grated|grating|shred|shredded)\b/ },
+  { label: 'julienned', pattern: /\b(julienne|julienned)\b/ },
+  { label: 'peeled', pattern: /\b(peel|peeled|peeling)\b/ },
+  { label: 'trimmed', pattern: /\b(trim|trimmed|trimming)\b/ },
+  { label: 'zested', pattern: /\b(zest|zested)\b/ }
+];
+
+// Oven is checked first so "baking pan" counts as oven work. Ingredients sharing a word
+// with a method ("baking soda", "brown sugar") only match when the word is used as one.
+const OVEN_PATTERN = /\b(oven|preheat|bake|baked|roast|roasted|roasting|broil|broiled|sheet pan|baking (?:dish|sheet|tray|pan))\b/;
+const STOVETOP_PATTERN = /\b(saut[eé]|saut[eé]ed|simmer|simmering|boil|boiling|fry|fried|frying|stir-fry|sear|seared|skillet|(?:a|the|frying|large|hot|same) pan|saucepan|pot|wok|poach|poached|steam|steamed|browned|browning|brown (?:the|on|in|all)|reduce)\b/;
+
+// "20 minutes", "1 hour", "10-15 mins": the upper bound, in minutes
+const DURATION_PATTERN = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(hours?|hrs?|minutes?|mins?)\b/g;
+
+export const EQUIPMENT = {
+  oven: { id: 'oven', name: 'Oven', emoji: '🔥' },
+  stovetop: { id: 'stovetop', name: 'Stovetop', emoji: '🍳' },
+  none: { id: 'none', name: 'No cooking', emoji: '🥗' }
+};
+
+const getCutStyles = (text) => {
+  const lower = String(text || '').toLowerCase();
+  return CUT_STYLES.filter(style => style.pattern.test(lower)).map(style => style.label);
+};
+
+export const getStepEquipment = (step) => {
+  const lower = String(step || '').toLowerCase();
+  if (OVEN_PATTERN.test(lower)) return 'oven';
+  if (STOVETOP_PATTERN.test(lower)) return 'stovetop';
+  return 'none';
+};
+
+export const getStepMinutes = (step) => {
+  let minutes = 0;
+  for (const match of String(step || '').toLowerCase().matchAll(DURATION_PATTERN)) {
+    const value = parseFloat(match[2] || match[1]);
+    minutes = Math.max(minutes, match[3].startsWith('h') ? value * 60 : value);
+  }
+  return minutes;
+};
+
+const getSteps = (meal) => (Array.isArray(meal?.steps) ? meal.steps : [])
+  .map(step => String(step || '').trim())
+  .filter(Boolean);
+
+// key is the normalized name, e.g. "red onion" for "Red onions, finely diced"
+// Whole words only, so "oil" isn't found in "boil"; plurals like "tomatoes" and "cherries" count
+const mentionsIngredient = (step, key) => {
+  const lastWord = key.split(' ').pop();
+  if (lastWord.length <= 2) return false;
+  const stem = lastWord.endsWith('y') ? `${lastWord.slice(0, -1)}(?:y|ies)` : lastWord;
+  return new RegExp(`\\b${stem}(s|es)?\\b`).test(step.toLowerCase());
+};
+
+// Every ingredient that needs cutting, merged across meals by name, with its amounts
+// summed the same way as the shopping list
+export const buildChoppingList = (meals, getIngredients) => {
+  const items = {};
+
+  meals.forEach(meal => {
+    const cutSteps = getSteps(meal).filter(step => getCutStyles(step).length > 0);
+    getIngredients(meal).forEach(ingredient => {
+      const key = normalizeIngredientName(ingredient.name);
+      if (!key) return;
+
+      const cuts = new Set(getCutStyles(`${ingredient.name} ${ingredient.note || ''} ${ingredient.amount || ''}`));
+      cutSteps
+        .filter(step => mentionsIngredient(step, key))
+        .forEach(step => getCutStyles(step).forEach(cut => cuts.add(cut)));
+      if (cuts.size === 0) return;
+
+      if (!items[key]) {
+        items[key] = { names: [], quantities: [], cuts: new Set(), meals: [] };
+      }
+      const item = items[key];
+      item.names.push(ingredient.name);
+      if (ingredient.amount || Number.isFinite(ingredient.quantity)) item.quantities.push(getIngredientQuantity(ingredient));
+      cuts.forEach(cut => item.cuts.add(cut));
+      if (!item.meals.includes(meal.title)) item.meals.push(meal.title);
+    });
+  });
+
+  return Object.values(items)
+    .map(({ names, quantities, ...item }) => ({
+      ...item,
+      name: getDisplayName(names).toLowerCase(),
+      amount: quantities.length > 0 ? sumQuantities(quantities) : '',
+      cuts: [...item.cuts]
+    }))
+    .sort((a, b) => b.meals.length - a.meals.length || a.name.localeCompare(b.name));
+};
+
+// One job per meal and heat source, with the steps that belong to it. Meals without
+// timed steps fall back to the recipe's cook time.
+const getMealJobs = (meal) => {
+  const steps = getSteps(meal);
+  const byEquipment = { oven: [], stovetop: [] };
+  steps.forEach(step => {
+    const equipment = getStepEquipment(step);
+    if (byEquipment[equipment]) byEquipment[equipment].push(step);
+  });
+
+  const jobs = Object.entries(byEquipment)
+    .filter(([, jobSteps]) => jobSteps.length > 0)
+    .map(([equipment, jobSteps]) => ({
+      equipment,
+      steps: jobSteps,
+      minutes: jobSteps.reduce((sum, step) => sum + getStepMinutes(step), 0)
+    }));
+
+  const cookTime = parseInt(meal.cookTime, 10) || 0;
+  jobs.forEach(job => {
+    if (job.minutes === 0) job.minutes = Math.round(cookTime / jobs.length);
+  });
+
+  if (jobs.length === 0) {
+    return [{ equipment: 'none', steps, minutes: cookTime }];
+  }
+  return jobs;
+};
+
+// Oven dishes go in longest first and share the oven; stovetop dishes run one after
+// another, longest first, while the oven works
+export const buildCookingTimeline = (meals) => {
+  const jobs = meals.flatMap(meal => getMealJobs(meal).map(job => ({ ...job, meal })));
+  const byLongest = (a, b) => b.minutes - a.minutes || a.meal.title.localeCompare(b.meal.title);
+
+  const ovenJobs = jobs.filter(job => job.equipment === 'oven').sort(byLongest);
+  const stovetopJobs = jobs.filter(job => job.equipment === 'stovetop').sort(byLongest);
+  const coldJobs = jobs.filter(job => job.equipment === 'none');
+
+  let stovetopStart = 0;
+  const timedStovetop = stovetopJobs.map(job => {
+    const timed = { ...job, startAt: stovetopStart };
+    stovetopStart += job.minutes;
+    return timed;
+  });
+
+  return {
+    oven: ovenJobs.map(job => ({ ...job, startAt: 0 })),
+    stovetop: timedStovetop,
+    cold: coldJobs,
+    totalMinutes: Math.max(ovenJobs[0]?.minutes || 0, stovetopStart)
+  };
+};
+
+// Portions per day: a meal's own day keeps what its leftovers don't take
+export const buildContainerPlan = (entries, planEntries, getServings) => {
+  const days = {};
+  const addContainer = (dateStr, container) => {
+    if (!days[dateStr]) days[dateStr] = [];
+    days[dateStr].push(container);
+  };
+
+  entries.forEach(({ dateStr, mealType, meal }) => {
+    const leftovers = meal.planId
+      ? planEntries.filter(entry => entry.meal.leftoverOf?.planId === meal.planId)
+      : [];
+    const leftoverPortions = leftovers.reduce((sum, entry) => sum + getServings(entry.meal), 0);
+
+    addContainer(dateStr, {
+      title: meal.title,
+      mealType,
+      portions: Math.max(1, getServings(meal) - leftoverPortions)
+    });
+    leftovers.forEach(entry => addContainer(entry.dateStr, {
+      title: meal.title,
+      mealType: entry.mealType,
+      portions: getServings(entry.meal),
+      leftover: true
+    }));
+  });
+
+  return Object.keys(days).sort().map(dateStr => ({
+    dateStr,
+    containers: days[dateStr],
+    portions: days[dateStr].reduce((sum, container) => sum + container.portions, 0)
+  }));
+};
+
+// Every planned recipe of the given days, with its date and slot; notes, eating out
+// and skips have nothing to cook
+export const getPrepEntries = (days) => days.flatMap(({ dateStr, dayMeals }) =>
+  Object.keys(dayMeals || {}).flatMap(mealType =>
+    getSlotMeals(dayMeals, mealType).map((meal, index) => ({
+      key: meal.planId || `${dateStr}-${mealType}-${index}`,
+      dateStr,
+      mealType,
+      meal
+    }))
+  )
+).filter(entry => !isPlanEntry(entry.meal));
+
+// The whole plan as steps for Cooking Mode
+export const buildPrepSessionSteps = ({ choppingList, timeline, containerPlan, formatDay }) => {
+  const steps = [];
+  if (timeline.oven.length > 0) {
+    steps.push('Preheat the oven. Check each recipe for its temperature before the first dish goes in.');
+  }
+  if (choppingList.length > 0) {
+    steps.push(`Chop and prep: ${choppingList.map(item => `${item.name}${item.amount ? ` (${item.amount})` : ''}, ${item.cuts.join('/')}`).join('; ')}.`);
+  }
+  timeline.oven.forEach(job => {
+    steps.push(`${EQUIPMENT.oven.emoji} ${job.meal.title}${job.minutes ? ` (${job.minutes} min)` : ''}: ${job.steps.join(' ')}`);
+  });
+  timeline.stovetop.forEach(job => {
+    steps.push(`${EQUIPMENT.stovetop.emoji} ${job.meal.title}${job.minutes ? ` (${job.minutes} min)` : ''}: ${job.steps.join(' ')}`);
+  });
+  timeline.cold.forEach(job => {
+    if (job.steps.length > 0) steps.push(`${EQUIPMENT.none.emoji} ${job.meal.title}: ${job.steps.join(' ')}`);
+  });
+  if (containerPlan.length > 0) {
+    steps.push(`Cool, then pack: ${containerPlan.map(day => `${formatDay(day.dateStr)} – ${day.containers.map(container => `${container.title} ×${container.portions}`).join(', ')}`).join('; ')}.`);
+  }
+  return steps;
+};
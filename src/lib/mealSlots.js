@@ -0,0 +1,73 @@
+// Meal slots shown in the Scheduler. Users can rename, reorder and limit these and
+// add their own (brunch, pre-workout, lunchbox...); the list lives in user preferences.
+export const DEFAULT_MEAL_SLOTS = [
+  { id: 'breakfast', name: 'Breakfast', icon: '🍳', order: 0, maxPerDay: 1, countsForXP: true, builtIn: true },
+  { id: 'lunch', name: 'Lunch', icon: '🥗', order: 1, maxPerDay: 1, countsForXP: true, builtIn: true },
+  { id: 'dinner', name: 'Dinner', icon: '🍽️', order: 2, maxPerDay: 1, countsForXP: true, builtIn: true },
+  { id: 'snacks', name: 'Snacks', icon: '🍪', order: 3, maxPerDay: 5, countsForXP: true, builtIn: true }
+];
+
+export const MAX_MEALS_PER_SLOT = 10;
+
+// When each default slot starts in calendar exports
+export const DEFAULT_MEAL_TIMES = { breakfast: '08:00', lunch: '12:30', dinner: '18:30', snacks: '15:30' };
+
+// Slots sorted for display, falling back to the defaults when none are configured
+export const getMealSlots = (slots) => {
+  const source = Array.isArray(slots) && slots.length > 0 ? slots : DEFAULT_MEAL_SLOTS;
+  return [...source].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+};
+
+// Slots holding more than one meal per day store an array; the rest store a single meal
+export const isMultiSlot = (slot) => (slot?.maxPerDay || 1) > 1;
+
+// Meals planned in a slot as an array, whichever way the slot is stored
+export const getSlotMeals = (dayMeals = {}, slotId) => {
+  const value = dayMeals[slotId];
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return value ? [value] : [];
+};
+
+// Store a slot's meals on an already copied day, dropping the slot when empty.
+// Extra meals are kept as an array even when the slot's limit was lowered later.
+export const setSlotMeals = (dayMeals, slotId, meals, multi) => {
+  const remaining = meals.filter(Boolean);
+  if (remaining.length === 0) {
+    delete dayMeals[slotId];
+  } else if (multi || remaining.length > 1) {
+    dayMeals[slotId] = remaining;
+  } else {
+    dayMeals[slotId] = remaining[0];
+  }
+};
+
+// Times (HH:MM) for slots without one: an hour after the slot before it, or noon.
+// New slots get theirs when created; older custom slots get the same one on export.
+const DEFAULT_SLOT_TIME = '12:00';
+
+const addHour = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return DEFAULT_SLOT_TIME;
+  const hours = Math.min(parseInt(match[1], 10) + 1, 23);
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+export const withDefaultSlotTimes = (slots, mealTimes = DEFAULT_MEAL_TIMES) => {
+  const times = { ...DEFAULT_MEAL_TIMES, ...mealTimes };
+  getMealSlots(slots).forEach((slot, index, ordered) => {
+    if (times[slot.id]) return;
+    times[slot.id] = index > 0 ? addHour(times[ordered[index - 1].id]) : DEFAULT_SLOT_TIME;
+  });
+  return times;
+};
+
+export const createSlotId = (name, slots = []) => {
+  const base = `custom_${String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'slot'}`;
+  let id = base;
+  let suffix = 2;
+  while (slots.some(slot => slot.id === id)) {
+    id = `${base}_${suffix}`;
+    suffix += 1;
+  }
+  return id;
+};
@@ -0,0 +1,222 @@
+import { getSlotMeals } from './mealSlots';
+import { isSkipEntry } from './planEntries';
+import { getIngredientQuantity, GRAMS_PER_UNIT, ML_PER_UNIT } from './ingredients';
+import { INGREDIENT_NUTRITION } from './ingredientNutritionData';
+import { normalizeIngredientName } from './ingredientNames';
+
+// Per-serving nutrition stored on recipes as { calories, protein, carbs, fat, fiber }
+export const NUTRIENTS = [
+  { id: 'calories', name: 'Calories', unit: 'kcal', color: 'bg-orange-400' },
+  { id: 'protein', name: 'Protein', unit: 'g', color: 'bg-red-400' },
+  { id: 'carbs', name: 'Carbs', unit: 'g', color: 'bg-amber-400' },
+  { id: 'fat', name: 'Fat', unit: 'g', color: 'bg-yellow-400' },
+  { id: 'fiber', name: 'Fiber', unit: 'g', color: 'bg-green-400' }
+];
+
+// Keep only valid, non-negative numbers; null when nothing is filled in
+export const normalizeNutrition = (nutrition) => {
+  if (!nutrition || typeof nutrition !== 'object') return null;
+
+  const normalized = {};
+  NUTRIENTS.forEach(({ id }) => {
+    const value = parseFloat(nutrition[id]);
+    if (Number.isFinite(value) && value >= 0) {
+      normalized[id] = Math.round(value * 10) / 10;
+    }
+  });
+  return Object.keys(normalized).length > 0 ? normalized : null;
+};
+
+export const sumNutrition = (list) => {
+  const totals = {};
+  list.forEach(nutrition => {
+    if (!nutrition) return;
+    NUTRIENTS.forEach(({ id }) => {
+      if (typeof nutrition[id] === 'number') {
+        totals[id] = (totals[id] || 0) + nutrition[id];
+      }
+    });
+  });
+  return totals;
+};
+
+// Totals are per person: one serving of every meal planned that day
+export const getDayNutrition = (dayMeals = {}) => {
+  const meals = Object.keys(dayMeals)
+    .flatMap(slotId => getSlotMeals(dayMeals, slotId))
+    .filter(meal => !isSkipEntry(meal));
+  const perMeal = meals.map(meal => normalizeNutrition(meal.nutrition)).filter(Boolean);
+  return {
+    totals: sumNutrition(perMeal),
+    mealCount: meals.length,
+    mealsWithNutrition: perMeal.length
+  };
+};
+
+// Week totals plus the average over the days that have any nutrition data
+export const getWeekNutrition = (days) => {
+  const dayNutrition = days.map(getDayNutrition);
+  const trackedDays = dayNutrition.filter(day => day.mealsWithNutrition > 0);
+  const totals = sumNutrition(trackedDays.map(day => day.totals));
+  const dailyAverage = {};
+  Object.entries(totals).forEach(([id, value]) => {
+    dailyAverage[id] = value / trackedDays.length;
+  });
+
+  return {
+    totals,
+    dailyAverage,
+    trackedDays: trackedDays.length,
+    mealCount: dayNutrition.reduce((sum, day) => sum + day.mealCount, 0),
+    mealsWithNutrition: dayNutrition.reduce((sum, day) => sum + day.mealsWithNutrition, 0)
+  };
+};
+
+export const formatNutrient = (id, value) => {
+  const nutrient = NUTRIENTS.find(entry => entry.id === id);
+  const rounded = Math.round(value || 0).toLocaleString();
+  return nutrient?.unit === 'g' ? `${rounded}g` : `${rounded} ${nutrient?.unit || ''}`.trim();
+};
+
+// 🧮 ESTIMATES: Recipe nutrition computed from its ingredients and the bundled dataset
+const DEFAULT_SIZE_GRAMS = { can: 400, package: 450, bunch: 100, slice: 30, pinch: 0.4, dash: 0.6 };
+
+export const CONFIDENCE_LEVELS = [
+  { id: 'high', label: 'High', min: 0.8, className: 'text-green-700 bg-green-100' },
+  { id: 'medium', label: 'Medium', min: 0.5, className: 'text-amber-700 bg-amber-100' },
+  { id: 'low', label: 'Low', min: 0, className: 'text-red-700 bg-red-100' }
+];
+
+// Keywords and names go through the same normalization as the shopping list, so
+// "Tomatoes, diced" and "tomato" land on the same entry
+const KEYWORD_INDEX = INGREDIENT_NUTRITION
+  .flatMap(entry => entry.keywords.map(keyword => ({ keyword: normalizeIngredientName(keyword), entry })))
+  .filter(({ keyword }) => keyword)
+  .sort((a, b) => b.keyword.length - a.keyword.length);
+
+// Words that qualify an ingredient without making it a different food. A keyword found
+// alongside other words ("ice cream", "potato chips") is a different food, not a match.
+// "Cooked" and "dried" are left out: they change the weight per cup ("cooked rice").
+const QUALIFIER_WORDS = new Set([
+  'boneless', 'skinless', 'skin-on', 'bone-in', 'lean', 'extra-lean', 'raw', 'uncooked',
+  'frozen', 'thawed', 'canned', 'tinned', 'toasted', 'roasted', 'melted',
+  'softened', 'cold', 'warm', 'hot', 'lukewarm', 'room', 'temperature', 'beaten', 'packed', 'heaping',
+  'light', 'dark', 'plain', 'unsweetened', 'sweetened', 'unsalted', 'salted', 'low-sodium',
+  'reduced-sodium', 'low-fat', 'fat-free', 'nonfat', 'firm', 'extra-firm', 'silken', 'ground',
+  'whole', 'homemade', 'store-bought'
+]);
+// Below the high confidence level, since the match ignored part of the name
+const PARTIAL_MATCH_SCORE = 0.7;
+
+// Longest keyword wins, so "olive oil" beats "oil" and "sweet potato" beats "potato"
+export const matchIngredient = (name) => {
+  const normalized = normalizeIngredientName(name);
+  if (!normalized) return null;
+
+  const padded = ` ${normalized} `;
+  const hit = KEYWORD_INDEX.find(({ keyword }) => padded.includes(` ${keyword} `));
+  if (!hit) return null;
+  if (hit.keyword === normalized) return { entry: hit.entry, score: 1 };
+
+  const extraWords = padded.replace(` ${hit.keyword} `, ' ').trim().split(/\s+/);
+  if (!extraWords.every(word => QUALIFIER_WORDS.has(word))) return null;
+  return { entry: hit.entry, score: PARTIAL_MATCH_SCORE };
+};
+
+// Grams for a parsed amount, with how sure we are about the conversion
+const toGrams = (parsed, entry) => {
+  const { value, unit } = parsed;
+  if (GRAMS_PER_UNIT[unit]) return { grams: value * GRAMS_PER_UNIT[unit], score: 1 };
+  if (ML_PER_UNIT[unit]) {
+    return { grams: value * ML_PER_UNIT[unit] * (entry.density || 1), score: entry.density ? 0.9 : 0.7 };
+  }
+
+  const sizeGrams = {
+    piece: entry.pieceGrams,
+    clove: entry.pieceGrams,
+    slice: entry.pieceGrams,
+    pinch: entry.pieceGrams,
+    dash: entry.pieceGrams,
+    head: entry.headGrams || entry.pieceGrams,
+    can: entry.canGrams,
+    package: entry.packageGrams,
+    bunch: entry.bunchGrams
+  }[unit];
+  if (sizeGrams) return { grams: value * sizeGrams, score: 0.75 };
+  if (DEFAULT_SIZE_GRAMS[unit]) return { grams: value * DEFAULT_SIZE_GRAMS[unit], score: 0.5 };
+  return null;
+};
+
+export const getConfidenceLevel = (confidence) =>
+  CONFIDENCE_LEVELS.find(level => confidence >= level.min) || CONFIDENCE_LEVELS[CONFIDENCE_LEVELS.length - 1];
+
+// Per-serving estimate. "To taste" amounts are ignored; ingredients missing from the
+// dataset, or in units we can't weigh, are listed in `unmatched` and lower the confidence.
+export const estimateRecipeNutrition = (ingredients, servings) => {
+  const list = (Array.isArray(ingredients) ? ingredients : []).filter(ingredient => ingredient?.name?.trim());
+  const totals = {};
+  const matched = [];
+  const unmatched = [];
+  let scoreSum = 0;
+  let counted = 0;
+
+  list.forEach(ingredient => {
+    const parsed = getIngredientQuantity(ingredient);
+    if (parsed.unit === 'to taste') return;
+    counted++;
+
+    const match = matchIngredient(ingredient.name);
+    if (!match) {
+      unmatched.push({ name: ingredient.name.trim(), reason: 'Not in the ingredient database' });
+      return;
+    }
+
+    const conversion = toGrams(parsed, match.entry);
+    if (!conversion) {
+      unmatched.push({ name: ingredient.name.trim(), reason: `Can't weigh "${parsed.original}"` });
+      return;
+    }
+
+    NUTRIENTS.forEach(({ id }) => {
+      totals[id] = (totals[id] || 0) + (match.entry.per100g[id] * conversion.grams) / 100;
+    });
+    scoreSum += match.score * conversion.score;
+    matched.push({ name: ingredient.name.trim(), matchedAs: match.entry.name, grams: Math.round(conversion.grams) });
+  });
+
+  if (counted === 0) return null;
+
+  const servingCount = parseInt(servings, 10) > 0 ? parseInt(servings, 10) : 1;
+  const perServing = {};
+  Object.entries(totals).forEach(([id, value]) => {
+    perServing[id] = value / servingCount;
+  });
+  const confidence = scoreSum / counted;
+
+  return {
+    nutrition: matched.length > 0 ? normalizeNutrition(perServing) : null,
+    confidence,
+    level: getConfidenceLevel(confidence).id,
+    matched,
+    unmatched
+  };
+};
+
+// Values the author typed in. Rows from the database and shared links carry only
+// these in `nutrition`; loaded recipes keep them in `nutritionOverrides`.
+export const getNutritionOverrides = (recipe) => normalizeNutrition(
+  recipe?.nutritionOverrides !== undefined ? recipe.nutritionOverrides : recipe?.nutrition
+);
+
+// Author overrides win over the estimate, field by field
+export const withEstimatedNutrition = (recipe) => {
+  const nutritionOverrides = getNutritionOverrides(recipe);
+  const nutritionEstimate = estimateRecipeNutrition(recipe.ingredients, recipe.servings);
+
+  return {
+    ...recipe,
+    nutritionOverrides,
+    nutritionEstimate,
+    nutrition: normalizeNutrition({ ...(nutritionEstimate?.nutrition || {}), ...(nutritionOverrides || {}) })
+  };
+};
@@ -0,0 +1,48 @@
+// 📝 PLAN ENTRIES: A slot can hold a free-text note, an eating-out entry or a skip marker
+// instead of a recipe. Entries have no ingredients, so they never reach the shopping list.
+export const ENTRY_TYPES = [
+  { id: 'note', name: 'Note', emoji: '📝', hint: 'Free text, e.g. "At grandma\'s"' },
+  { id: 'eatingOut', name: 'Eating out', emoji: '🍽️', hint: 'Takeout or a restaurant, with an optional cost' },
+  { id: 'skip', name: 'Skip', emoji: '⏭️', hint: 'Nothing planned on purpose' }
+];
+
+export const getEntryType = (meal) => ENTRY_TYPES.find(type => type.id === meal?.entryType) || null;
+
+export const isPlanEntry = (meal) => Boolean(getEntryType(meal));
+
+export const isSkipEntry = (meal) => meal?.entryType === 'skip';
+
+// What eating out costs for the whole table, or null when no cost was given
+export const getEntryCost = (meal) => {
+  if (meal?.entryType !== 'eatingOut') return null;
+  const cost = parseFloat(meal.cost);
+  return Number.isFinite(cost) && cost >= 0 ? cost : null;
+};
+
+// Build an entry from the form fields; returns { success, entry } or { success, message }
+export const createPlanEntry = ({ type, text = '', restaurant = '', cost = '' }) => {
+  const note = String(text).trim();
+  const place = String(restaurant).trim();
+
+  if (type === 'note') {
+    if (!note) return { success: false, message: 'Write something for the note' };
+    return { success: true, entry: { entryType: 'note', title: note } };
+  }
+
+  if (type === 'eatingOut') {
+    const amount = cost === '' || cost === null ? null : parseFloat(cost);
+    if (amount !== null && (!Number.isFinite(amount) || amount < 0)) {
+      return { success: false, message: 'Enter a valid cost' };
+    }
+    return {
+      success: true,
+      entry: { entryType: 'eatingOut', title: place || note || 'Eating out', restaurant: place, cost: amount, note: place ? note : '' }
+    };
+  }
+
+  if (type === 'skip') {
+    return { success: true, entry: { entryType: 'skip', title: note || 'Skipped' } };
+  }
+
+  return { success: false, message: 'Unknown entry type' };
+};
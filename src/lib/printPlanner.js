@@ -0,0 +1,187 @@
+import { format } from 'date-fns';
+import { getMealSlots, getSlotMeals } from './mealSlots';
+import { getEntryType, getEntryCost, isPlanEntry } from './planEntries';
+import { formatCost } from './groceryCost';
+import { GROCERY_CATEGORIES, categorizeItem } from './groceryCategories';
+import { toLocalDate } from './dates';
+import { getIngredientLabel } from './ingredients';
+
+// 🖨️ PRINTABLE PLANNER: A self-contained HTML document for a week, printed from a hidden
+// frame so the browser's "Save as PDF" works offline. Page 1 is the meal grid; the shopping
+// list and recipe cards follow on their own pages when asked for.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const STYLES = `
+  @page { size: A4 landscape; margin: 10mm; }
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #111827; margin: 0; font-size: 10pt; }
+  h1 { font-size: 16pt; margin: 0 0 2mm; }
+  h2 { font-size: 13pt; margin: 0 0 3mm; }
+  h3 { font-size: 11pt; margin: 0 0 1.5mm; }
+  .subtitle { color: #6b7280; margin: 0 0 4mm; }
+  .page { page-break-after: always; break-after: page; }
+  .page:last-child { page-break-after: auto; break-after: auto; }
+  table.grid { width: 100%; border-collapse: collapse; table-layout: fixed; }
+  .grid th, .grid td { border: 1px solid #d1d5db; padding: 1.5mm; vertical-align: top; }
+  .grid thead th { background: #f3f4f6; font-size: 9pt; }
+  .grid tbody th { width: 22mm; text-align: left; font-size: 9pt; background: #f9fafb; }
+  .grid td { height: 24mm; font-size: 8.5pt; }
+  .meal { margin-bottom: 1mm; }
+  .meal-title { font-weight: 600; }
+  .meal-meta { color: #6b7280; font-size: 7.5pt; }
+  .columns { column-count: 3; column-gap: 8mm; }
+  .category { break-inside: avoid; margin-bottom: 4mm; }
+  .category ul { list-style: none; margin: 0; padding: 0; }
+  .category li { padding: 0.8mm 0; border-bottom: 1px dotted #e5e7eb; }
+  .box { display: inline-block; width: 3mm; height: 3mm; border: 1px solid #6b7280; margin-right: 2mm; vertical-align: middle; }
+  .cards { column-count: 2; column-gap: 8mm; }
+  .card { break-inside: avoid; border: 1px solid #d1d5db; border-radius: 3mm; padding: 4mm; margin-bottom: 5mm; }
+  .card ul, .card ol { margin: 1mm 0 2mm; padding-left: 5mm; }
+  .card li { margin-bottom: 0.8mm; }
+`;
+
+const describeMeal = (meal, currency) => {
+  const entryType = getEntryType(meal);
+  if (entryType) {
+    const cost = getEntryCost(meal);
+    const meta = [meal.note, cost !== null ? formatCost(cost, currency) : null].filter(Boolean).join(' · ');
+    return { title: `${entryType.emoji} ${meal.title}`, meta };
+  }
+  const meta = [
+    meal.leftoverOf ? 'Leftovers' : null,
+    meal.plannedServings ? `${meal.plannedServings} serving${meal.plannedServings !== 1 ? 's' : ''}` : null,
+    !meal.leftoverOf && parseInt(meal.cookTime, 10) > 0 ? `${parseInt(meal.cookTime, 10)} min` : null
+  ].filter(Boolean).join(' · ');
+  return { title: meal.title, meta };
+};
+
+const renderGridPage = ({ days, slots, title, currency }) => {
+  const headerCells = days
+    .map(({ dateStr }) => `<th>${escapeHtml(format(toLocalDate(dateStr), 'EEE d MMM'))}</th>`)
+    .join('');
+  const rows = slots.map(slot => {
+    const cells = days.map(({ meals }) => {
+      const content = getSlotMeals(meals, slot.id).map(meal => {
+        const { title: mealTitle, meta } = describeMeal(meal, currency);
+        return `<div class="meal"><div class="meal-title">${escapeHtml(mealTitle)}</div>${meta ? `<div class="meal-meta">${escapeHtml(meta)}</div>` : ''}</div>`;
+      }).join('');
+      return `<td>${content}</td>`;
+    }).join('');
+    return `<tr><th scope="row">${escapeHtml(slot.name)}</th>${cells}</tr>`;
+  }).join('');
+
+  return `
+    <section class="page">
+      <h1>${escapeHtml(title)}</h1>
+      <table class="grid">
+        <thead><tr><th></th>${headerCells}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </section>`;
+};
+
+// Shopping items grouped in the same store order as the Shopping List page
+export const groupShoppingItems = (items) => Object.keys(GROCERY_CATEGORIES)
+  .map(categoryId => ({
+    id: categoryId,
+    name: GROCERY_CATEGORIES[categoryId].name,
+    items: items.filter(item => categorizeItem(item.name) === categoryId)
+  }))
+  .filter(category => category.items.length > 0);
+
+const renderShoppingPage = (items) => {
+  const categories = groupShoppingItems(items).map(category => `
+    <div class="category">
+      <h3>${escapeHtml(category.name)}</h3>
+      <ul>${category.items.map(item => `<li><span class="box"></span>${escapeHtml([item.amount, getIngredientLabel(item)].filter(Boolean).join(' '))}</li>`).join('')}</ul>
+    </div>`).join('');
+
+  return `
+    <section class="page">
+      <h2>🛒 Shopping list</h2>
+      <p class="subtitle">${items.length} item${items.length !== 1 ? 's' : ''} for the week's meals</p>
+      <div class="columns">${categories}</div>
+    </section>`;
+};
+
+// One card per recipe cooked this week; leftovers and plan entries have none
+export const getWeekRecipes = (days) => {
+  const recipes = new Map();
+  days.forEach(({ meals }) => {
+    Object.keys(meals || {}).forEach(mealType => {
+      getSlotMeals(meals, mealType)
+        .filter(meal => !isPlanEntry(meal) && !meal.leftoverOf)
+        .forEach(meal => {
+          const key = meal.recipeId || meal.id || meal.title;
+          if (!recipes.has(key)) recipes.set(key, meal);
+        });
+    });
+  });
+  return [...recipes.values()];
+};
+
+const renderRecipePages = (meals, getIngredients) => {
+  const cards = meals.map(meal => {
+    const ingredients = getIngredients(meal).filter(ingredient => ingredient.name && ingredient.name.trim());
+    const steps = (Array.isArray(meal.steps) ? meal.steps : []).filter(step => step && String(step).trim());
+    const meta = [
+      meal.plannedServings ? `${meal.plannedServings} servings` : null,
+      parseInt(meal.cookTime, 10) > 0 ? `${parseInt(meal.cookTime, 10)} min` : null
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <article class="card">
+        <h3>${escapeHtml(meal.title)}</h3>
+        ${meta ? `<div class="meal-meta">${escapeHtml(meta)}</div>` : ''}
+        ${ingredients.length > 0 ? `<ul>${ingredients.map(ingredient => `<li>${escapeHtml([ingredient.amount, getIngredientLabel(ingredient)].filter(Boolean).join(' '))}</li>`).join('')}</ul>` : ''}
+        ${steps.length > 0 ? `<ol>${steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>` : ''}
+      </article>`;
+  }).join('');
+
+  return `
+    <section class="page">
+      <h2>📖 Recipes</h2>
+      <div class="cards">${cards}</div>
+    </section>`;
+};
+
+// days: [{ dateStr, meals }] for one week. shoppingItems and recipes are left out when null.
+export const buildPrintablePlanner = ({ days, slots, title, currency = 'USD', shoppingItems = null, recipes = null, getIngredients = (meal) => meal.ingredients || [] }) => {
+  const pages = [renderGridPage({ days, slots: getMealSlots(slots), title, currency })];
+  if (shoppingItems && shoppingItems.length > 0) pages.push(renderShoppingPage(shoppingItems));
+  if (recipes && recipes.length > 0) pages.push(renderRecipePages(recipes, getIngredients));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>${pages.join('')}</body>
+</html>`;
+};
+
+// Print from a hidden frame; the print dialog offers "Save as PDF"
+export const printHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // print() blocks until the dialog closes in most browsers; the delay covers the rest
+    setTimeout(() => frame.remove(), 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
@@ -0,0 +1,39 @@
+// 🛒 SHARED SHOPPING LISTS: A household's list is one row of custom items and checked item
+// keys. Members send what they changed since the version they last saw, not the whole list,
+// so two people checking items at the same time both keep their checkmarks.
+export const EMPTY_SHOPPING_LIST = { customItems: [], checkedItems: [] };
+
+// What changed between two versions of a list: custom items by id, checkmarks by key
+export const getShoppingListChanges = (base = EMPTY_SHOPPING_LIST, next = EMPTY_SHOPPING_LIST) => {
+  const baseItemIds = new Set(base.customItems.map(item => item.id));
+  const nextItemIds = new Set(next.customItems.map(item => item.id));
+  const baseChecked = new Set(base.checkedItems);
+  const nextChecked = new Set(next.checkedItems);
+
+  return {
+    addedItems: next.customItems.filter(item => !baseItemIds.has(item.id)),
+    removedItemIds: [...baseItemIds].filter(id => !nextItemIds.has(id)),
+    checked: [...nextChecked].filter(key => !baseChecked.has(key)),
+    unchecked: [...baseChecked].filter(key => !nextChecked.has(key))
+  };
+};
+
+export const hasShoppingListChanges = (changes) =>
+  Object.values(changes).some(list => list.length > 0);
+
+// Apply changes to a list. Applying the same changes twice gives the same list, so a
+// change already saved by this member can safely be applied again.
+export const applyShoppingListChanges = (list = EMPTY_SHOPPING_LIST, changes) => {
+  const removed = new Set(changes.removedItemIds);
+  const customItems = list.customItems.filter(item => !removed.has(item.id));
+  const itemIds = new Set(customItems.map(item => item.id));
+  changes.addedItems.forEach(item => {
+    if (!itemIds.has(item.id) && !removed.has(item.id)) customItems.push(item);
+  });
+
+  const checkedItems = new Set(list.checkedItems);
+  changes.checked.forEach(key => checkedItems.add(key));
+  changes.unchecked.forEach(key => checkedItems.delete(key));
+
+  return { customItems, checkedItems: [...checkedItems] };
+};
@@ -0,0 +1,197 @@
+import { getSlotMeals } from './mealSlots';
+import { isPlanEntry } from './planEntries';
+
+// ⚖️ VARIETY: Rules the week is checked against; each can be turned off in Settings
+export const DEFAULT_VARIETY_RULES = {
+  checkRepeats: true,
+  maxRepeats: 1,
+  checkProteins: true,
+  maxSameProtein: 3,
+  checkCuisines: true,
+  maxSameCuisine: 3,
+  checkVegetables: true
+};
+
+export const PROTEINS = [
+  { id: 'chicken', name: 'Chicken', keywords: ['chicken'] },
+  { id: 'beef', name: 'Beef', keywords: ['beef', 'steak', 'brisket', 'veal'] },
+  { id: 'pork', name: 'Pork', keywords: ['pork', 'bacon', 'ham', 'sausage', 'chorizo', 'prosciutto', 'pancetta'] },
+  { id: 'turkey', name: 'Turkey', keywords: ['turkey'] },
+  { id: 'lamb', name: 'Lamb', keywords: ['lamb', 'mutton'] },
+  { id: 'fish', name: 'Fish', keywords: ['fish', 'salmon', 'tuna', 'cod', 'tilapia', 'trout', 'halibut', 'sardine', 'anchovy', 'mackerel'] },
+  { id: 'seafood', name: 'Seafood', keywords: ['shrimp', 'prawn', 'scallop', 'crab', 'lobster', 'mussel', 'clam', 'squid', 'calamari'] },
+  { id: 'tofu', name: 'Tofu & tempeh', keywords: ['tofu', 'tempeh', 'seitan'] },
+  { id: 'eggs', name: 'Eggs', keywords: ['egg'] },
+  { id: 'legumes', name: 'Beans & lentils', keywords: ['lentil', 'chickpea', 'garbanzo', 'black bean', 'kidney bean', 'pinto bean', 'cannellini', 'edamame'] }
+];
+
+export const CUISINES = [
+  'american', 'chinese', 'french', 'greek', 'indian', 'italian', 'japanese', 'korean',
+  'mediterranean', 'mexican', 'middle eastern', 'spanish', 'thai', 'vietnamese'
+];
+
+// Onion and garlic are left out on purpose: nearly every savory dish has them
+const VEGETABLE_KEYWORDS = [
+  'artichoke', 'arugula', 'asparagus', 'aubergine', 'beet', 'bell pepper', 'bok choy', 'broccoli',
+  'brussels sprout', 'cabbage', 'capsicum', 'carrot', 'cauliflower', 'celery', 'chard', 'corn',
+  'courgette', 'cucumber', 'eggplant', 'green bean', 'greens', 'kale', 'leek', 'lettuce', 'mushroom',
+  'okra', 'pea', 'pumpkin', 'radish', 'salad', 'spinach', 'squash', 'sweet potato', 'tomato', 'zucchini'
+];
+
+const containsKeyword = (text, keyword) =>
+  new RegExp(`\\b${keyword}(s|es)?\\b`).test(text);
+
+const getIngredientText = (meal) => (Array.isArray(meal?.ingredients) ? meal.ingredients : [])
+  .map(ingredient => String(ingredient?.name || '').toLowerCase())
+  .join(' | ');
+
+export const normalizeVarietyRules = (rules) => {
+  const source = rules && typeof rules === 'object' ? rules : {};
+  const toLimit = (value, fallback) => (parseInt(value, 10) > 0 ? parseInt(value, 10) : fallback);
+  return {
+    checkRepeats: source.checkRepeats ?? DEFAULT_VARIETY_RULES.checkRepeats,
+    maxRepeats: toLimit(source.maxRepeats, DEFAULT_VARIETY_RULES.maxRepeats),
+    checkProteins: source.checkProteins ?? DEFAULT_VARIETY_RULES.checkProteins,
+    maxSameProtein: toLimit(source.maxSameProtein, DEFAULT_VARIETY_RULES.maxSameProtein),
+    checkCuisines: source.checkCuisines ?? DEFAULT_VARIETY_RULES.checkCuisines,
+    maxSameCuisine: toLimit(source.maxSameCuisine, DEFAULT_VARIETY_RULES.maxSameCuisine),
+    checkVegetables: source.checkVegetables ?? DEFAULT_VARIETY_RULES.checkVegetables
+  };
+};
+
+export const getMealProteins = (meal) => {
+  const text = getIngredientText(meal);
+  return PROTEINS
+    .filter(protein => protein.keywords.some(keyword => containsKeyword(text, keyword)))
+    .map(protein => protein.id);
+};
+
+export const getMealCuisines = (meal) => (Array.isArray(meal?.tags) ? meal.tags : [])
+  .map(tag => String(tag).toLowerCase().trim())
+  .filter(tag => CUISINES.includes(tag));
+
+export const hasVegetables = (meal) => {
+  const text = `${getIngredientText(meal)} | ${String(meal?.title || '').toLowerCase()}`;
+  return VEGETABLE_KEYWORDS.some(keyword => containsKeyword(text, keyword));
+};
+
+const getRecipeKey = (meal) => meal?.recipeId || meal?.id || String(meal?.title || '').toLowerCase();
+
+// Library recipes that fix a warning, best fits first: not planned this week, with
+// vegetables, and not adding to another overused protein or cuisine
+const suggestSwaps = (candidates, fixesWarning, { plannedKeys, overusedProteins, overusedCuisines }, limit = 3) => {
+  const score = (recipe) =>
+    (hasVegetables(recipe) ? 1 : 0) -
+    getMealProteins(recipe).filter(id => overusedProteins.has(id)).length -
+    getMealCuisines(recipe).filter(cuisine => overusedCuisines.has(cuisine)).length;
+
+  return candidates
+    .filter(recipe => !plannedKeys.has(getRecipeKey(recipe)) && fixesWarning(recipe))
+    .sort((a, b) => score(b) - score(a) || String(a.title).localeCompare(String(b.title)))
+    .slice(0, limit);
+};
+
+// The meal a swap replaces: the latest one that isn't locked or already past
+const pickSwapTarget = (entries, todayStr) => [...entries]
+  .reverse()
+  .find(entry => entry.dateStr >= todayStr && !entry.meal.locked && !entry.meal.leftoverOf) || null;
+
+// Check a week of planned days ({ dateStr, dayMeals }) against the rules. Each warning
+// carries the meals involved, the meal a swap would replace, and suggested recipes.
+export const analyzeWeekVariety = (days, rules, candidates = [], todayStr = '') => {
+  const activeRules = normalizeVarietyRules(rules);
+  const entries = days.flatMap(({ dateStr, dayMeals }) =>
+    Object.keys(dayMeals || {}).flatMap(mealType => {
+      const meals = getSlotMeals(dayMeals, mealType);
+      const isArray = Array.isArray(dayMeals[mealType]);
+      return meals.map((meal, index) => ({ dateStr, mealType, slotIndex: isArray ? index : null, meal }));
+    })
+  ).filter(entry => !isPlanEntry(entry.meal));
+  // Leftovers repeat a meal on purpose, so only cooked meals count toward the limits
+  const cookedEntries = entries.filter(entry => !entry.meal.leftoverOf);
+
+  const countBy = (getKeys) => {
+    const groups = {};
+    cookedEntries.forEach(entry => {
+      getKeys(entry.meal).forEach(key => {
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(entry);
+      });
+    });
+    return groups;
+  };
+
+  const byRecipe = countBy(meal => [getRecipeKey(meal)]);
+  const byProtein = countBy(getMealProteins);
+  const byCuisine = countBy(getMealCuisines);
+
+  const context = {
+    plannedKeys: new Set(Object.keys(byRecipe)),
+    overusedProteins: new Set(Object.keys(byProtein).filter(id => byProtein[id].length > activeRules.maxSameProtein)),
+    overusedCuisines: new Set(Object.keys(byCuisine).filter(cuisine => byCuisine[cuisine].length > activeRules.maxSameCuisine))
+  };
+  const warnings = [];
+
+  if (activeRules.checkRepeats) {
+    Object.entries(byRecipe)
+      .filter(([, recipeEntries]) => recipeEntries.length > activeRules.maxRepeats)
+      .forEach(([key, recipeEntries]) => {
+        const title = recipeEntries[0].meal.title;
+        warnings.push({
+          id: `repeat-${key}`,
+          type: 'repeat',
+          message: `${title} is planned ${recipeEntries.length} times this week`,
+          entries: recipeEntries,
+          target: pickSwapTarget(recipeEntries, todayStr),
+          suggestions: suggestSwaps(candidates, () => true, context)
+        });
+      });
+  }
+
+  if (activeRules.checkProteins) {
+    PROTEINS
+      .filter(protein => context.overusedProteins.has(protein.id))
+      .forEach(protein => {
+        warnings.push({
+          id: `protein-${protein.id}`,
+          type: 'protein',
+          message: `${protein.name} in ${byProtein[protein.id].length} meals (limit ${activeRules.maxSameProtein})`,
+          entries: byProtein[protein.id],
+          target: pickSwapTarget(byProtein[protein.id], todayStr),
+          suggestions: suggestSwaps(candidates, recipe => !getMealProteins(recipe).includes(protein.id), context)
+        });
+      });
+  }
+
+  if (activeRules.checkCuisines) {
+    [...context.overusedCuisines].sort().forEach(cuisine => {
+      warnings.push({
+        id: `cuisine-${cuisine}`,
+        type: 'cuisine',
+        message: `${cuisine.charAt(0).toUpperCase()}${cuisine.slice(1)} in ${byCuisine[cuisine].length} meals (limit ${activeRules.maxSameCuisine})`,
+        entries: byCuisine[cuisine],
+        target: pickSwapTarget(byCuisine[cuisine], todayStr),
+        suggestions: suggestSwaps(candidates, recipe => !getMealCuisines(recipe).includes(cuisine), context)
+      });
+    });
+  }
+
+  if (activeRules.checkVegetables) {
+    // Past days can't be changed any more, so they aren't flagged
+    days.filter(({ dateStr }) => dateStr >= todayStr).forEach(({ dateStr }) => {
+      const dayEntries = entries.filter(entry => entry.dateStr === dateStr);
+      if (dayEntries.length === 0 || dayEntries.some(entry => hasVegetables(entry.meal))) return;
+      warnings.push({
+        id: `vegetables-${dateStr}`,
+        type: 'vegetables',
+        dateStr,
+        message: 'No vegetables planned',
+        entries: dayEntries,
+        target: pickSwapTarget(dayEntries, todayStr),
+        suggestions: suggestSwaps(candidates, hasVegetables, context)
+      });
+    });
+  }
+
+  return warnings;
+};
@@ -6,24 +6,38 @@ import { useRecipes } from '../contexts/RecipeContext';
 import { useMealPlan } from '../contexts/MealPlanContext';
 import { useCookingMode } from '../contexts/CookingModeContext';
 import { useGamification } from '../contexts/GamificationContext';
+import { useHousehold } from '../contexts/HouseholdContext';
+import { useSettings } from '../contexts/SettingsContext';
+import { isMultiSlot, getSlotMeals } from '../lib/mealSlots';
+import { getDayNutrition, getWeekNutrition } from '../lib/nutrition';
+import { getEntryType, isPlanEntry } from '../lib/planEntries';
+import { getWeekStart } from '../lib/dates';
+import NutritionTotals from '../components/NutritionTotals';
 import Layout from '../components/Layout';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
-import { format, addDays } from 'date-fns';
+import { format, addDays, isSameDay } from 'date-fns';
 
-const { FiChef, FiCalendar, FiTrendingUp, FiStar, FiClock, FiPlay, FiAward, FiTarget, FiShoppingCart, FiBook, FiCookie, FiExternalLink, FiZap } = FiIcons;
+const { FiChef, FiCalendar, FiTrendingUp, FiStar, FiClock, FiPlay, FiAward, FiTarget, FiShoppingCart, FiBook, FiExternalLink, FiZap } = FiIcons;
 
 const Dashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
   const { recipes, savedRecipes } = useRecipes();
-  const { mealPlan, getMealsForDay } = useMealPlan();
+  const { mealPlan, mealSlots, getMealsForDay, isLeftoverMeal } = useMealPlan();
   const { startCookingMode } = useCookingMode();
   const { addXP, badges } = useGamification();
+  const { household } = useHousehold();
+  const { preferences } = useSettings();
 
   const today = new Date();
   const todayMeals = getMealsForDay(today);
-  const upcomingDays = Array.from({ length: 7 }, (_, i) => addDays(today, i));
+  // This week, starting on the day chosen in Settings
+  const weekStart = getWeekStart(today, preferences?.weekStartsOn);
+  const weekDays = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  // 🥗 NUTRITION: Per-person totals from one serving of each planned meal
+  const todayNutrition = getDayNutrition(todayMeals);
+  const weekNutrition = getWeekNutrition(weekDays.map(day => getMealsForDay(day)));
 
   const stats = [
     { title: 'Recipes Cooked', value: user?.recipesCooked || 0, icon: FiChef, color: 'from-primary-500/90 to-primary-600/90' },
@@ -47,17 +61,6 @@ const Dashboard = () => {
     navigate('/shopping-list');
   };
 
-  // Helper function to get meal icon
-  const getMealIcon = (mealType) => {
-    switch (mealType) {
-      case 'breakfast': return '🍳';
-      case 'lunch': return '🥗';
-      case 'dinner': return '🍽️';
-      case 'snacks': return '🍪';
-      default: return '🍴';
-    }
-  };
-
   // ✅ ENHANCED: Handle recipe URL click
   const handleRecipeUrlClick = (url) => {
     if (url) {
@@ -403,11 +406,11 @@ const Dashboard = () => {
 
               <div className="space-y-4 relative z-10">
                 {/* Main Meals */}
-                {['breakfast', 'lunch', 'dinner'].map((mealType, index) => {
-                  const meal = todayMeals[mealType];
+                {mealSlots.filter(slot => !isMultiSlot(slot)).map((slot, index) => {
+                  const meal = getSlotMeals(todayMeals, slot.id)[0];
                   return (
                     <motion.div
-                      key={mealType}
+                      key={slot.id}
                       initial={{ opacity: 0, x: -30 }}
                       animate={{ opacity: 1, x: 0 }}
                       transition={{ delay: 0.1 + index * 0.1 }}
@@ -428,15 +431,25 @@ const Dashboard = () => {
                           transition={{ duration: 4, repeat: Infinity }}
                           className="w-10 h-10 bg-gradient-to-br from-primary-100/60 to-secondary-100/60 rounded-lg flex items-center justify-center"
                         >
-                          <span className="text-lg">{getMealIcon(mealType)}</span>
+                          <span className="text-lg">{slot.icon}</span>
                         </motion.div>
                         <div>
-                          <p className="font-medium text-gray-900 capitalize">
-                            {mealType}
+                          <p className="font-medium text-gray-900">
+                            {slot.name}
                           </p>
                           {meal ? (
                             <div className="flex items-center space-x-2">
                               <p className="text-sm text-gray-600">{meal.title}</p>
+                              {isLeftoverMeal(meal) && (
+                                <span className="text-[10px] font-semibold text-emerald-700 bg-emerald-100/80 px-1.5 py-0.5 rounded-full">
+                                  ♻️ Leftovers
+                                </span>
+                              )}
+                              {getEntryType(meal) && (
+                                <span className="text-[10px] font-semibold text-slate-700 bg-slate-100/80 px-1.5 py-0.5 rounded-full">
+                                  {getEntryType(meal).emoji} {getEntryType(meal).name}
+                                </span>
+                              )}
                               {/* ✅ ENHANCED: Recipe URL link for meals */}
                               {meal.url && (
                                 <motion.button
@@ -453,9 +466,12 @@ const Dashboard = () => {
                           ) : (
                             <p className="text-sm text-gray-400">No meal planned</p>
                           )}
+                          {household && meal?.addedBy?.username && (
+                            <p className="text-xs text-gray-400">Added by {meal.addedBy.username}</p>
+                          )}
                         </div>
                       </div>
-                      {meal && (
+                      {meal && !isLeftoverMeal(meal) && !isPlanEntry(meal) && (
                         <ShimmerButton
                           onClick={() => startCookingMode(meal)}
                           className="bg-primary-500/90 text-white px-4 py-2 rounded-lg font-medium hover:bg-primary-600/90 transition-colors duration-200 flex items-center space-x-2"
@@ -468,112 +484,146 @@ const Dashboard = () => {
                   );
                 })}
 
-                {/* Snacks Section */}
-                <AnimatePresence>
-                  {todayMeals.snacks && todayMeals.snacks.length > 0 && (
-                    <motion.div
-                      initial={{ opacity: 0, height: 0 }}
-                      animate={{ opacity: 1, height: 'auto' }}
-                      exit={{ opacity: 0, height: 0 }}
-                      className="p-4 bg-gradient-to-r from-amber-50/60 to-orange-50/60 rounded-lg border border-amber-200/50 relative overflow-hidden"
-                    >
-                      {/* Animated background pattern */}
-                      <motion.div
-                        animate={{ 
-                          backgroundPosition: ['0% 0%', '100% 100%', '0% 0%']
-                        }}
-                        transition={{ duration: 8, repeat: Infinity }}
-                        className="absolute inset-0 opacity-5"
-                        style={{
-                          backgroundImage: 'url("data:image/svg+xml,%3Csvg width="40" height="40" viewBox="0 0 40 40" xmlns="http://www.w3.org/2000/svg"%3E%3Cg fill="%23f59e0b" fill-opacity="0.4"%3E%3Cpath d="M20 20c0-11.046-8.954-20-20-20v20h20z"/%3E%3C/g%3E%3C/svg%3E")',
-                          backgroundSize: '40px 40px'
-                        }}
-                      />
-
-                      <div className="flex items-center justify-between mb-3 relative z-10">
-                        <div className="flex items-center space-x-3">
-                          <motion.div 
+                {/* Slots holding several meals (snacks, custom slots) */}
+                {mealSlots.filter(isMultiSlot).map(slot => {
+                  const slotMeals = getSlotMeals(todayMeals, slot.id);
+                  return (
+                    <AnimatePresence key={slot.id}>
+                      {slotMeals.length > 0 && (
+                        <motion.div
+                          initial={{ opacity: 0, height: 0 }}
+                          animate={{ opacity: 1, height: 'auto' }}
+                          exit={{ opacity: 0, height: 0 }}
+                          className="p-4 bg-gradient-to-r from-amber-50/60 to-orange-50/60 rounded-lg border border-amber-200/50 relative overflow-hidden"
+                        >
+                          {/* Animated background pattern */}
+                          <motion.div
                             animate={{ 
-                              scale: [1, 1.1, 1],
-                              rotate: [0, 5, 0, -5, 0]
+                              backgroundPosition: ['0% 0%', '100% 100%', '0% 0%']
                             }}
-                            transition={{ duration: 3, repeat: Infinity }}
-                            className="w-10 h-10 bg-gradient-to-br from-amber-100/60 to-orange-100/60 rounded-lg flex items-center justify-center"
-                          >
-                            <SafeIcon icon={FiCookie} className="text-lg text-amber-600" />
-                          </motion.div>
-                          <div>
-                            <p className="font-medium text-gray-900">Snacks</p>
-                            <p className="text-sm text-gray-600">
-                              {todayMeals.snacks.length} snack{todayMeals.snacks.length !== 1 ? 's' : ''} planned
-                            </p>
-                          </div>
-                        </div>
-                      </div>
+                            transition={{ duration: 8, repeat: Infinity }}
+                            className="absolute inset-0 opacity-5"
+                            style={{
+                              backgroundImage: 'url("data:image/svg+xml,%3Csvg width="40" height="40" viewBox="0 0 40 40" xmlns="http://www.w3.org/2000/svg"%3E%3Cg fill="%23f59e0b" fill-opacity="0.4"%3E%3Cpath d="M20 20c0-11.046-8.954-20-20-20v20h20z"/%3E%3C/g%3E%3C/svg%3E")',
+                              backgroundSize: '40px 40px'
+                            }}
+                          />
 
-                      {/* Snack List */}
-                      <div className="space-y-2 relative z-10">
-                        {todayMeals.snacks.map((snack, index) => (
-                          <motion.div
-                            key={index}
-                            initial={{ opacity: 0, x: -10 }}
-                            animate={{ opacity: 1, x: 0 }}
-                            transition={{ delay: index * 0.1 }}
-                            whileHover={{ scale: 1.02, x: 5 }}
-                            className="flex items-center justify-between p-3 bg-white/60 rounded-lg border border-amber-200/30 group"
-                          >
+                          <div className="flex items-center justify-between mb-3 relative z-10">
                             <div className="flex items-center space-x-3">
-                              <motion.span 
+                              <motion.div 
                                 animate={{ 
-                                  backgroundColor: [
-                                    'rgba(245, 158, 11, 0.2)',
-                                    'rgba(245, 158, 11, 0.4)',
-                                    'rgba(245, 158, 11, 0.2)'
-                                  ]
+                                  scale: [1, 1.1, 1],
+                                  rotate: [0, 5, 0, -5, 0]
                                 }}
-                                transition={{ duration: 2, repeat: Infinity }}
-                                className="w-6 h-6 text-amber-700 rounded-full flex items-center justify-center text-xs font-bold"
+                                transition={{ duration: 3, repeat: Infinity }}
+                                className="w-10 h-10 bg-gradient-to-br from-amber-100/60 to-orange-100/60 rounded-lg flex items-center justify-center"
                               >
-                                {index + 1}
-                              </motion.span>
+                                <span className="text-lg">{slot.icon}</span>
+                              </motion.div>
                               <div>
-                                <div className="flex items-center space-x-2">
-                                  <p className="font-medium text-gray-900 text-sm">{snack.title}</p>
-                                  {/* ✅ ENHANCED: Recipe URL link for snacks */}
-                                  {snack.url && (
-                                    <motion.button
-                                      whileHover={{ scale: 1.1 }}
-                                      whileTap={{ scale: 0.9 }}
-                                      onClick={() => handleRecipeUrlClick(snack.url)}
-                                      className="p-1 text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded transition-colors duration-200"
-                                      title="View recipe details"
-                                    >
-                                      <SafeIcon icon={FiExternalLink} className="text-xs" />
-                                    </motion.button>
-                                  )}
-                                </div>
-                                <div className="flex items-center space-x-2 text-xs text-gray-500">
-                                  <SafeIcon icon={FiClock} className="text-xs" />
-                                  <span>{snack.cookTime}m</span>
-                                  <span>•</span>
-                                  <span>{snack.difficulty}</span>
-                                </div>
+                                <p className="font-medium text-gray-900">{slot.name}</p>
+                                <p className="text-sm text-gray-600">
+                                  {slotMeals.length} planned
+                                </p>
                               </div>
                             </div>
-                            <ShimmerButton
-                              onClick={() => startCookingMode(snack)}
-                              className="bg-amber-500/90 text-white px-3 py-1.5 rounded-lg font-medium hover:bg-amber-600/90 transition-colors duration-200 flex items-center space-x-1 text-sm"
-                            >
-                              <SafeIcon icon={FiPlay} className="text-xs" />
-                              <span>Cook</span>
-                            </ShimmerButton>
-                          </motion.div>
-                        ))}
-                      </div>
-                    </motion.div>
-                  )}
-                </AnimatePresence>
+                          </div>
+
+                          {/* Slot meal list */}
+                          <div className="space-y-2 relative z-10">
+                            {slotMeals.map((slotMeal, index) => (
+                              <motion.div
+                                key={index}
+                                initial={{ opacity: 0, x: -10 }}
+                                animate={{ opacity: 1, x: 0 }}
+                                transition={{ delay: index * 0.1 }}
+                                whileHover={{ scale: 1.02, x: 5 }}
+                                className="flex items-center justify-between p-3 bg-white/60 rounded-lg border border-amber-200/30 group"
+                              >
+                                <div className="flex items-center space-x-3">
+                                  <motion.span 
+                                    animate={{ 
+                                      backgroundColor: [
+                                        'rgba(245, 158, 11, 0.2)',
+                                        'rgba(245, 158, 11, 0.4)',
+                                        'rgba(245, 158, 11, 0.2)'
+                                      ]
+                                    }}
+                                    transition={{ duration: 2, repeat: Infinity }}
+                                    className="w-6 h-6 text-amber-700 rounded-full flex items-center justify-center text-xs font-bold"
+                                  >
+                                    {index + 1}
+                                  </motion.span>
+                                  <div>
+                                    <div className="flex items-center space-x-2">
+                                      <p className="font-medium text-gray-900 text-sm">{slotMeal.title}</p>
+                                      {isLeftoverMeal(slotMeal) && (
+                                        <span className="text-[10px] font-semibold text-emerald-700 bg-emerald-100/80 px-1.5 py-0.5 rounded-full">
+                                          ♻️ Leftovers
+                                        </span>
+                                      )}
+                                      {getEntryType(slotMeal) && (
+                                        <span className="text-[10px] font-semibold text-slate-700 bg-slate-100/80 px-1.5 py-0.5 rounded-full">
+                                          {getEntryType(slotMeal).emoji} {getEntryType(slotMeal).name}
+                                        </span>
+                                      )}
+                                      {/* ✅ ENHANCED: Recipe URL link for slot meals */}
+                                      {slotMeal.url && (
+                                        <motion.button
+                                          whileHover={{ scale: 1.1 }}
+                                          whileTap={{ scale: 0.9 }}
+                                          onClick={() => handleRecipeUrlClick(slotMeal.url)}
+                                          className="p-1 text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded transition-colors duration-200"
+                                          title="View recipe details"
+                                        >
+                                          <SafeIcon icon={FiExternalLink} className="text-xs" />
+                                        </motion.button>
+                                      )}
+                                    </div>
+                                    {!isPlanEntry(slotMeal) && (
+                                      <div className="flex items-center space-x-2 text-xs text-gray-500">
+                                        <SafeIcon icon={FiClock} className="text-xs" />
+                                        <span>{slotMeal.cookTime}m</span>
+                                        <span>•</span>
+                                        <span>{slotMeal.difficulty}</span>
+                                      </div>
+                                    )}
+                                  </div>
+                                </div>
+                                {!isLeftoverMeal(slotMeal) && !isPlanEntry(slotMeal) && (
+                                  <ShimmerButton
+                                    onClick={() => startCookingMode(slotMeal)}
+                                    className="bg-amber-500/90 text-white px-3 py-1.5 rounded-lg font-medium hover:bg-amber-600/90 transition-colors duration-200 flex items-center space-x-1 text-sm"
+                                  >
+                                    <SafeIcon icon={FiPlay} className="text-xs" />
+                                    <span>Cook</span>
+                                  </ShimmerButton>
+                                )}
+                              </motion.div>
+                            ))}
+                          </div>
+                        </motion.div>
+                      )}
+                    </AnimatePresence>
+                  );
+                })}
               </div>
+
+              {/* Today's nutrition against the daily targets */}
+              {todayNutrition.mealsWithNutrition > 0 && (
+                <div className="mt-6 p-4 bg-gray-50/50 rounded-lg relative z-10">
+                  <div className="flex items-center justify-between mb-3">
+                    <p className="font-medium text-gray-900">🥗 Today's Nutrition</p>
+                    {todayNutrition.mealsWithNutrition < todayNutrition.mealCount && (
+                      <p className="text-xs text-gray-500">
+                        {todayNutrition.mealsWithNutrition} of {todayNutrition.mealCount} meals have nutrition info
+                      </p>
+                    )}
+                  </div>
+                  <NutritionTotals totals={todayNutrition.totals} targets={preferences?.nutritionTargets} />
+                </div>
+              )}
             </div>
 
             {/* Weekly Overview */}
@@ -600,15 +650,12 @@ const Dashboard = () => {
                 This Week's Plan
               </h3>
               <div className="grid grid-cols-7 gap-2 relative z-10">
-                {upcomingDays.map((day, index) => {
+                {weekDays.map((day, index) => {
                   const dayMeals = getMealsForDay(day);
-                  const mealCount = Object.keys(dayMeals).reduce((count, key) => {
-                    if (key === 'snacks' && Array.isArray(dayMeals[key])) {
-                      return count + dayMeals[key].length;
-                    }
-                    return dayMeals[key] ? count + 1 : count;
-                  }, 0);
-                  const isToday = index === 0;
+                  const dayMealList = Object.keys(dayMeals).flatMap(slotId => getSlotMeals(dayMeals, slotId));
+                  const mealCount = dayMealList.length;
+                  const leftoverCount = dayMealList.filter(isLeftoverMeal).length;
+                  const isToday = isSameDay(day, today);
 
                   return (
                     <motion.div
@@ -653,10 +700,21 @@ const Dashboard = () => {
                       >
                         {mealCount} meal{mealCount !== 1 ? 's' : ''}
                       </motion.div>
+                      {leftoverCount > 0 && (
+                        <p className="mt-1 text-[10px] text-emerald-700" title={`${leftoverCount} leftover meal${leftoverCount !== 1 ? 's' : ''}`}>
+                          ♻️ {leftoverCount}
+                        </p>
+                      )}
                     </motion.div>
                   );
                 })}
               </div>
+              {weekNutrition.mealsWithNutrition > 0 && (
+                <div className="mt-4 text-gray-600 relative z-10">
+                  <p className="text-xs font-semibold text-gray-500 uppercase mb-1">Week total (per person)</p>
+                  <NutritionTotals totals={weekNutrition.totals} compact className="text-xs" />
+                </div>
+              )}
             </motion.div>
           </FloatingElement>
 
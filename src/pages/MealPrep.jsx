@@ -0,0 +1,325 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { format, addDays, isSunday, nextSunday, startOfDay } from 'date-fns';
+import { useMealPlan } from '../contexts/MealPlanContext';
+import { useCookingMode } from '../contexts/CookingModeContext';
+import { EQUIPMENT, buildChoppingList, buildCookingTimeline, buildContainerPlan, buildPrepSessionSteps, getPrepEntries } from '../lib/mealPrep';
+import { toLocalDate } from '../lib/dates';
+import Layout from '../components/Layout';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const { FiPackage, FiPlay, FiScissors, FiClock, FiCalendar, FiCheck, FiArrowLeft } = FiIcons;
+
+const DATE_PARAM_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PREP_DAY_OPTIONS = [3, 4, 5, 6, 7];
+
+// Sunday is the default prep day: today if it is Sunday, otherwise the next one
+const getDefaultPrepDate = () => {
+  const today = startOfDay(new Date());
+  return isSunday(today) ? today : nextSunday(today);
+};
+
+const MealPrep = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { mealSlots, getMealsForDay, getMealServings, getScaledIngredients } = useMealPlan();
+  const { startCookingMode } = useCookingMode();
+
+  const dateParam = searchParams.get('date');
+  const prepDate = dateParam && DATE_PARAM_PATTERN.test(dateParam) ? toLocalDate(dateParam) : getDefaultPrepDate();
+  const [dayCount, setDayCount] = useState(5);
+  // Meals left out of the batch; everything else in the range is cooked
+  const [excludedKeys, setExcludedKeys] = useState(new Set());
+
+  const formatDay = (dateStr) => format(toLocalDate(dateStr), 'EEE d');
+  const getSlotName = (mealType) => mealSlots.find(slot => slot.id === mealType)?.name || mealType;
+
+  // The prep day itself and the days after it
+  const rangeEntries = getPrepEntries(
+    Array.from({ length: dayCount + 1 }, (_, offset) => {
+      const dateStr = format(addDays(prepDate, offset), 'yyyy-MM-dd');
+      return { dateStr, dayMeals: getMealsForDay(toLocalDate(dateStr)) };
+    })
+  );
+
+  // Leftovers follow the meal they come from, so only cooked meals can be picked
+  const cookableEntries = rangeEntries.filter(entry => !entry.meal.leftoverOf);
+  const selectedEntries = cookableEntries.filter(entry => !excludedKeys.has(entry.key));
+  const selectedMeals = selectedEntries.map(entry => entry.meal);
+
+  const choppingList = buildChoppingList(selectedMeals, getScaledIngredients);
+  const timeline = buildCookingTimeline(selectedMeals);
+  const containerPlan = buildContainerPlan(selectedEntries, rangeEntries, getMealServings);
+  const containerCount = containerPlan.reduce((sum, day) => sum + day.containers.length, 0);
+
+  const setPrepDate = (dateStr) => {
+    setExcludedKeys(new Set());
+    setSearchParams({ date: dateStr });
+  };
+
+  const toggleEntry = (key) => {
+    setExcludedKeys(prev => {
+      const updated = new Set(prev);
+      if (updated.has(key)) {
+        updated.delete(key);
+      } else {
+        updated.add(key);
+      }
+      return updated;
+    });
+  };
+
+  const handleStartSession = () => {
+    const steps = buildPrepSessionSteps({ choppingList, timeline, containerPlan, formatDay });
+    if (steps.length === 0) {
+      toast.error('Pick at least one meal to prep');
+      return;
+    }
+    startCookingMode({
+      id: `prep-${format(prepDate, 'yyyy-MM-dd')}`,
+      title: `Prep day · ${format(prepDate, 'EEE, MMM d')}`,
+      steps,
+      ingredients: choppingList.map(item => ({ name: item.name, amount: item.amount }))
+    });
+  };
+
+  const renderJob = (job) => (
+    <li key={`${job.meal.planId || job.meal.title}-${job.equipment}`} className="bg-white/70 rounded-xl p-4">
+      <div className="flex items-center justify-between gap-2">
+        <p className="font-semibold text-gray-900">{job.meal.title}</p>
+        <span className="text-xs font-semibold text-gray-600 flex items-center whitespace-nowrap">
+          <SafeIcon icon={FiClock} className="mr-1" />
+          {job.minutes ? `${job.minutes} min` : 'No time given'}
+          {job.startAt > 0 && ` · start at +${job.startAt} min`}
+        </span>
+      </div>
+      {job.steps.length > 0 && (
+        <ol className="mt-2 space-y-1 text-sm text-gray-600 list-decimal list-inside">
+          {job.steps.map((step, index) => (
+            <li key={index}>{step}</li>
+          ))}
+        </ol>
+      )}
+    </li>
+  );
+
+  return (
+    <Layout>
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8 flex flex-wrap items-start justify-between gap-4"
+        >
+          <div>
+            <button
+              onClick={() => navigate('/scheduler')}
+              className="text-sm font-semibold text-primary-600 hover:text-primary-700 flex items-center space-x-1 mb-2"
+            >
+              <SafeIcon icon={FiArrowLeft} />
+              <span>Scheduler</span>
+            </button>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+              <SafeIcon icon={FiPackage} className="mr-3 text-primary-600" />
+              Prep Day
+            </h1>
+            <p className="text-gray-600">
+              Batch-cook the coming days in one go: chop once, keep the oven busy, and pack a container for each day.
+            </p>
+          </div>
+
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={handleStartSession}
+            disabled={selectedEntries.length === 0}
+            className="px-4 py-2 btn-gradient text-white rounded-xl font-semibold shadow-lg flex items-center space-x-2 disabled:opacity-50"
+          >
+            <SafeIcon icon={FiPlay} />
+            <span>Start prep session</span>
+          </motion.button>
+        </motion.div>
+
+        {/* Prep day and meals to batch */}
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="glass rounded-2xl p-6 shadow-lg mb-6"
+        >
+          <div className="flex flex-wrap items-end gap-4 mb-4">
+            <div>
+              <label htmlFor="prep-date" className="block text-sm font-semibold text-gray-700 mb-2">
+                Prep day
+              </label>
+              <input
+                id="prep-date"
+                type="date"
+                value={format(prepDate, 'yyyy-MM-dd')}
+                onChange={(e) => e.target.value && setPrepDate(e.target.value)}
+                className="px-4 py-2 input-modern rounded-xl font-medium"
+              />
+            </div>
+            <div>
+              <label htmlFor="prep-days" className="block text-sm font-semibold text-gray-700 mb-2">
+                Cook for the next
+              </label>
+              <select
+                id="prep-days"
+                value={dayCount}
+                onChange={(e) => setDayCount(parseInt(e.target.value, 10))}
+                className="px-4 py-2 input-modern rounded-xl font-medium"
+              >
+                {PREP_DAY_OPTIONS.map(days => (
+                  <option key={days} value={days}>{days} days</option>
+                ))}
+              </select>
+            </div>
+            <p className="text-sm text-gray-500 pb-2">
+              {format(prepDate, 'EEE, MMM d')} – {format(addDays(prepDate, dayCount), 'EEE, MMM d')}
+            </p>
+          </div>
+
+          {cookableEntries.length === 0 ? (
+            <div className="text-center py-8">
+              <SafeIcon icon={FiCalendar} className="text-4xl text-gray-300 mx-auto mb-2" />
+              <p className="text-gray-600">No meals planned for these days yet.</p>
+            </div>
+          ) : (
+            <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-2">
+              {cookableEntries.map(entry => {
+                const selected = !excludedKeys.has(entry.key);
+                return (
+                  <button
+                    key={entry.key}
+                    onClick={() => toggleEntry(entry.key)}
+                    className={`text-left p-3 rounded-xl border-2 transition-colors duration-200 flex items-start space-x-3 ${
+                      selected ? 'border-primary-400 bg-primary-50/70' : 'border-gray-200 bg-white/60 opacity-70'
+                    }`}
+                  >
+                    <span className={`mt-0.5 w-5 h-5 rounded-md border-2 flex items-center justify-center flex-shrink-0 ${
+                      selected ? 'bg-primary-500 border-primary-500 text-white' : 'border-gray-300'
+                    }`}>
+                      {selected && <SafeIcon icon={FiCheck} className="text-xs" />}
+                    </span>
+                    <span className="min-w-0">
+                      <span className="block font-semibold text-gray-900 truncate">{entry.meal.title}</span>
+                      <span className="block text-xs text-gray-500">
+                        {formatDay(entry.dateStr)} · {getSlotName(entry.mealType)} · {getMealServings(entry.meal)} servings
+                      </span>
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </motion.div>
+
+        {selectedEntries.length > 0 && (
+          <div className="grid lg:grid-cols-2 gap-6">
+            {/* Merged chopping list */}
+            <motion.div
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="glass rounded-2xl p-6 shadow-lg"
+            >
+              <h2 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+                <SafeIcon icon={FiScissors} className="mr-2 text-primary-600" />
+                Chopping List
+              </h2>
+              <p className="text-sm text-gray-500 mb-4">Cut everything first, grouped across recipes.</p>
+              {choppingList.length === 0 ? (
+                <p className="text-sm text-gray-600">Nothing in these recipes needs chopping.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {choppingList.map(item => (
+                    <li key={item.name} className="py-2">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-medium text-gray-900 capitalize">{item.name}</span>
+                        <span className="text-sm text-gray-600 text-right">{item.amount}</span>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        {item.cuts.join(', ')} · {item.meals.join(', ')}
+                      </p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </motion.div>
+
+            {/* Containers per day */}
+            <motion.div
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="glass rounded-2xl p-6 shadow-lg"
+            >
+              <h2 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+                <SafeIcon icon={FiPackage} className="mr-2 text-primary-600" />
+                Containers ({containerCount})
+              </h2>
+              <p className="text-sm text-gray-500 mb-4">Label each container with the day it's eaten.</p>
+              <ul className="space-y-3">
+                {containerPlan.map(day => (
+                  <li key={day.dateStr}>
+                    <p className="text-sm font-semibold text-gray-700">
+                      {format(toLocalDate(day.dateStr), 'EEEE, MMM d')}
+                      <span className="text-gray-500 font-normal"> · {day.portions} portion{day.portions !== 1 ? 's' : ''}</span>
+                    </p>
+                    <ul className="mt-1 flex flex-wrap gap-2">
+                      {day.containers.map((container, index) => (
+                        <li key={index} className="text-xs bg-white/80 border border-gray-200 px-2 py-1 rounded-lg text-gray-700">
+                          {container.leftover && '♻️ '}{container.title} · {getSlotName(container.mealType)} ×{container.portions}
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            </motion.div>
+
+            {/* Oven and stovetop timeline */}
+            <motion.div
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="glass rounded-2xl p-6 shadow-lg lg:col-span-2"
+            >
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <SafeIcon icon={FiClock} className="mr-2 text-primary-600" />
+                  Cooking Timeline
+                </h2>
+                {timeline.totalMinutes > 0 && (
+                  <p className="text-sm text-gray-600">About {timeline.totalMinutes} min of cooking after prep</p>
+                )}
+              </div>
+              <div className="grid md:grid-cols-3 gap-4">
+                {[
+                  { equipment: EQUIPMENT.oven, jobs: timeline.oven, hint: 'Longest first; they share the oven.' },
+                  { equipment: EQUIPMENT.stovetop, jobs: timeline.stovetop, hint: 'Longest first, one after another.' },
+                  { equipment: EQUIPMENT.none, jobs: timeline.cold, hint: 'Assemble while things cook.' }
+                ].map(({ equipment, jobs, hint }) => (
+                  <div key={equipment.id}>
+                    <p className="font-semibold text-gray-800">
+                      {equipment.emoji} {equipment.name}
+                    </p>
+                    <p className="text-xs text-gray-500 mb-2">{hint}</p>
+                    {jobs.length === 0 ? (
+                      <p className="text-sm text-gray-400">Nothing here</p>
+                    ) : (
+                      <ul className="space-y-2">{jobs.map(renderJob)}</ul>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </motion.div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default MealPrep;
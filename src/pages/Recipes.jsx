@@ -5,10 +5,15 @@ import { useCookingMode } from '../contexts/CookingModeContext';
 import { useGamification } from '../contexts/GamificationContext';
 import { useAuth } from '../contexts/AuthContext';
 import { useRating } from '../contexts/RatingContext';
+import { useSettings } from '../contexts/SettingsContext';
+import { getPricing, getRecipeCost, formatCost } from '../lib/groceryCost';
+import { EMPTY_INGREDIENT_FORM, toIngredientForm, fromIngredientForm } from '../lib/ingredients';
 import Layout from '../components/Layout';
 import SafeIcon from '../common/SafeIcon';
 import RatingDisplay from '../components/RatingDisplay';
 import InlineRating from '../components/InlineRating';
+import RecipeNutritionFields from '../components/RecipeNutritionFields';
+import RecipeIngredientFields from '../components/RecipeIngredientFields';
 import * as FiIcons from 'react-icons/fi';
 import toast from 'react-hot-toast';
 
@@ -31,7 +36,8 @@ const Recipes = () => {
     cookTime: '',
     servings: '',
     difficulty: 'Easy',
-    ingredients: [{ name: '', amount: '' }],
+    nutritionOverrides: {},
+    ingredients: [{ ...EMPTY_INGREDIENT_FORM }],
     steps: [''],
     tags: [],
     image: '',
@@ -60,6 +66,8 @@ const Recipes = () => {
   const { addXP } = useGamification();
   const { user } = useAuth();
   const { loadRatings, getRatingStats, sortRecipesByRating } = useRating();
+  const { preferences } = useSettings();
+  const pricing = getPricing(preferences);
 
   // Get all unique recipes for empty state check only
   const allRecipes = getAllUniqueRecipes();
@@ -181,7 +189,8 @@ const Recipes = () => {
     }
     setEditingRecipe({
       ...recipe,
-      ingredients: recipe.ingredients || [{ name: '', amount: '' }],
+      // Free-text ingredients are split into the structured fields here
+      ingredients: recipe.ingredients?.length > 0 ? recipe.ingredients.map(toIngredientForm) : [{ ...EMPTY_INGREDIENT_FORM }],
       steps: recipe.steps || [''],
       tags: recipe.tags || []
     });
@@ -194,7 +203,10 @@ const Recipes = () => {
     if (!editingRecipe) return;
 
     try {
-      const result = await updateRecipe(editingRecipe.id, editingRecipe);
+      const result = await updateRecipe(editingRecipe.id, {
+        ...editingRecipe,
+        ingredients: editingRecipe.ingredients.map(fromIngredientForm)
+      });
       if (result.success) {
         toast.success('✅ Recipe updated successfully!');
         addXP(15, 'Recipe updated');
@@ -294,15 +306,6 @@ const Recipes = () => {
     }
   };
 
-  const handleAddIngredient = (isEdit = false) => {
-    const targetRecipe = isEdit ? editingRecipe : newRecipe;
-    const setTargetRecipe = isEdit ? setEditingRecipe : setNewRecipe;
-    setTargetRecipe(prev => ({
-      ...prev,
-      ingredients: [...prev.ingredients, { name: '', amount: '' }]
-    }));
-  };
-
   const handleAddStep = (isEdit = false) => {
     const targetRecipe = isEdit ? editingRecipe : newRecipe;
     const setTargetRecipe = isEdit ? setEditingRecipe : setNewRecipe;
@@ -314,7 +317,7 @@ const Recipes = () => {
 
   const handleSubmitRecipe = (e) => {
     e.preventDefault();
-    const result = addRecipe(newRecipe);
+    const result = addRecipe({ ...newRecipe, ingredients: newRecipe.ingredients.map(fromIngredientForm) });
     if (result.success) {
       toast.success('Recipe added successfully!');
       addXP(20, 'Recipe created');
@@ -325,7 +328,8 @@ const Recipes = () => {
         cookTime: '',
         servings: '',
         difficulty: 'Easy',
-        ingredients: [{ name: '', amount: '' }],
+        nutritionOverrides: {},
+        ingredients: [{ ...EMPTY_INGREDIENT_FORM }],
         steps: [''],
         tags: [],
         image: '',
@@ -484,61 +488,22 @@ const Recipes = () => {
         </div>
       </motion.div>
 
+      {/* Nutrition Section */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.55 }}
+      >
+        <RecipeNutritionFields recipe={recipe} setRecipe={setRecipe} idPrefix={isEdit ? 'edit' : 'new'} />
+      </motion.div>
+
       {/* Ingredients Section */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ delay: 0.6 }}
       >
-        <div className="flex items-center justify-between mb-4">
-          <label className="block text-sm font-semibold text-gray-700">
-            Ingredients
-          </label>
-          <motion.button
-            type="button"
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            onClick={() => handleAddIngredient(isEdit)}
-            className="text-primary-600 hover:text-primary-700 font-semibold text-sm flex items-center space-x-1"
-          >
-            <SafeIcon icon={FiPlus} />
-            <span>Add Ingredient</span>
-          </motion.button>
-        </div>
-        <div className="space-y-3">
-          {recipe.ingredients.map((ingredient, index) => (
-            <motion.div
-              key={index}
-              initial={{ opacity: 0, x: -20 }}
-              animate={{ opacity: 1, x: 0 }}
-              transition={{ delay: 0.1 * index }}
-              className="grid grid-cols-2 gap-3"
-            >
-              <input
-                type="text"
-                placeholder="Ingredient name"
-                value={ingredient.name}
-                onChange={(e) => {
-                  const updated = [...recipe.ingredients];
-                  updated[index].name = e.target.value;
-                  setRecipe(prev => ({ ...prev, ingredients: updated }));
-                }}
-                className="px-4 py-3 border-2 border-gray-200 rounded-xl font-medium bg-white focus:border-primary-500 focus:outline-none transition-colors duration-200"
-              />
-              <input
-                type="text"
-                placeholder="Amount (e.g., 2 cups, 500g)"
-                value={ingredient.amount}
-                onChange={(e) => {
-                  const updated = [...recipe.ingredients];
-                  updated[index].amount = e.target.value;
-                  setRecipe(prev => ({ ...prev, ingredients: updated }));
-                }}
-                className="px-4 py-3 border-2 border-gray-200 rounded-xl font-medium bg-white focus:border-primary-500 focus:outline-none transition-colors duration-200"
-              />
-            </motion.div>
-          ))}
-        </div>
+        <RecipeIngredientFields recipe={recipe} setRecipe={setRecipe} idPrefix={isEdit ? 'edit' : 'new'} />
       </motion.div>
 
       {/* Steps Section */}
@@ -999,6 +964,7 @@ const Recipes = () => {
               >
                 {filteredRecipes.map((recipe, index) => {
                   const ratingStats = getRatingStats(recipe.id);
+                  const recipeCost = getRecipeCost(recipe, pricing);
                   const canRate = canRateRecipe(recipe);
                   const canShareToCommunity = canShareRecipeToCommuity(recipe);
                   const canEdit = canUserEditRecipe(recipe);
@@ -1161,6 +1127,22 @@ const Recipes = () => {
                               <SafeIcon icon={FiUsers} className="mr-1" />
                               {recipe.servings}
                             </div>
+                            {typeof recipe.nutrition?.calories === 'number' && (
+                              <div
+                                className="flex items-center"
+                                title={typeof recipe.nutritionOverrides?.calories === 'number' ? 'Calories per serving' : 'Calories per serving, estimated from the ingredients'}
+                              >
+                                🔥 {typeof recipe.nutritionOverrides?.calories === 'number' ? '' : '~'}{Math.round(recipe.nutrition.calories)} kcal
+                              </div>
+                            )}
+                            {recipeCost.pricedCount > 0 && (
+                              <div
+                                className="flex items-center"
+                                title={`Estimated ${formatCost(recipeCost.total, pricing.currency)} for the whole recipe`}
+                              >
+                                💲 {formatCost(recipeCost.perServing, pricing.currency)}/serving
+                              </div>
+                            )}
                           </div>
                           {recipe.shared && recipe.sharedByUserId && (
                             <span className="text-xs bg-green-100 text-green-700 px-3 py-1 rounded-full font-semibold">
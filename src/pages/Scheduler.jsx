@@ -1,28 +1,134 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { format, addDays, startOfWeek, isToday, isBefore, startOfDay } from 'date-fns';
+import { useNavigate } from 'react-router-dom';
+import { format, addDays, isToday, isBefore, isSameDay, startOfDay, isValid, differenceInCalendarDays, eachDayOfInterval, startOfMonth, addMonths } from 'date-fns';
 import { useMealPlan } from '../contexts/MealPlanContext';
 import { useRecipes } from '../contexts/RecipeContext';
 import { useCookingMode } from '../contexts/CookingModeContext';
 import { useGamification } from '../contexts/GamificationContext';
+import { useSettings } from '../contexts/SettingsContext';
+import { useHousehold } from '../contexts/HouseholdContext';
+import { DEFAULT_GENERATOR_OPTIONS } from '../lib/mealPlanGenerator';
+import { buildMealPlanCalendar } from '../lib/icsExport';
+import { buildPrintablePlanner, getWeekRecipes, printHtml } from '../lib/printPlanner';
+import { isMultiSlot, getSlotMeals } from '../lib/mealSlots';
+import { getDayNutrition, getWeekNutrition } from '../lib/nutrition';
+import { getPricing, getDayCost, getWeekCost, getPlannedMealCost, getRecipeCost, formatCost } from '../lib/groceryCost';
+import { analyzeWeekVariety } from '../lib/variety';
+import { getEntryType, getEntryCost, isPlanEntry } from '../lib/planEntries';
+import { getIngredientLabel } from '../lib/ingredients';
+import { toLocalDate, getWeekStart, normalizeWeekStart } from '../lib/dates';
 import Layout from '../components/Layout';
+import MonthCalendar from '../components/MonthCalendar';
+import NutritionTotals from '../components/NutritionTotals';
+import BudgetMeter from '../components/BudgetMeter';
+import PlanEntryForm from '../components/PlanEntryForm';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import toast from 'react-hot-toast';
 
-const { FiCalendar, FiPlus, FiX, FiClock, FiUsers, FiPlay, FiChevronLeft, FiChevronRight, FiCoffee, FiSun, FiMoon, FiCookie } = FiIcons;
+const { FiCalendar, FiPlus, FiX, FiClock, FiUsers, FiPlay, FiChevronLeft, FiChevronRight, FiCoffee, FiSun, FiMoon, FiCookie, FiLayers, FiSave, FiTrash2, FiMove, FiList, FiMinus, FiZap, FiLock, FiUnlock, FiRepeat, FiDownload, FiRotateCcw, FiRotateCw, FiGrid, FiPackage, FiPrinter } = FiIcons;
+
+// Longest range the calendar export accepts
+const MAX_EXPORT_DAYS = 92;
+
+// Colors of the built-in slots; custom slots take the next color from CUSTOM_SLOT_STYLES
+const MEAL_TYPE_STYLES = {
+  breakfast: {
+    bgColor: 'bg-gradient-to-br from-orange-100/60 to-yellow-100/60',
+    lightBg: 'from-orange-50/60 to-yellow-50/60',
+    borderColor: 'border-orange-300/50',
+    textColor: 'text-orange-700',
+    hoverBg: 'hover:bg-orange-50/50'
+  },
+  lunch: {
+    bgColor: 'bg-gradient-to-br from-green-100/60 to-emerald-100/60',
+    lightBg: 'from-green-50/60 to-emerald-50/60',
+    borderColor: 'border-green-300/50',
+    textColor: 'text-green-700',
+    hoverBg: 'hover:bg-green-50/50'
+  },
+  dinner: {
+    bgColor: 'bg-gradient-to-br from-purple-100/60 to-blue-100/60',
+    lightBg: 'from-purple-50/60 to-blue-50/60',
+    borderColor: 'border-purple-300/50',
+    textColor: 'text-purple-700',
+    hoverBg: 'hover:bg-purple-50/50'
+  },
+  snacks: {
+    bgColor: 'bg-gradient-to-br from-amber-100/60 to-orange-100/60',
+    lightBg: 'from-amber-50/60 to-orange-50/60',
+    borderColor: 'border-amber-300/50',
+    textColor: 'text-amber-700',
+    hoverBg: 'hover:bg-amber-50/50'
+  }
+};
+
+const CUSTOM_SLOT_STYLES = [
+  {
+    bgColor: 'bg-gradient-to-br from-sky-100/60 to-cyan-100/60',
+    lightBg: 'from-sky-50/60 to-cyan-50/60',
+    borderColor: 'border-sky-300/50',
+    textColor: 'text-sky-700',
+    hoverBg: 'hover:bg-sky-50/50'
+  },
+  {
+    bgColor: 'bg-gradient-to-br from-pink-100/60 to-rose-100/60',
+    lightBg: 'from-pink-50/60 to-rose-50/60',
+    borderColor: 'border-pink-300/50',
+    textColor: 'text-pink-700',
+    hoverBg: 'hover:bg-pink-50/50'
+  },
+  {
+    bgColor: 'bg-gradient-to-br from-teal-100/60 to-lime-100/60',
+    lightBg: 'from-teal-50/60 to-lime-50/60',
+    borderColor: 'border-teal-300/50',
+    textColor: 'text-teal-700',
+    hoverBg: 'hover:bg-teal-50/50'
+  },
+  {
+    bgColor: 'bg-gradient-to-br from-indigo-100/60 to-violet-100/60',
+    lightBg: 'from-indigo-50/60 to-violet-50/60',
+    borderColor: 'border-indigo-300/50',
+    textColor: 'text-indigo-700',
+    hoverBg: 'hover:bg-indigo-50/50'
+  }
+];
 
 const Scheduler = () => {
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [selectedMealType, setSelectedMealType] = useState(null);
   const [showRecipeModal, setShowRecipeModal] = useState(false);
-  const [currentWeek, setCurrentWeek] = useState(startOfWeek(new Date()));
+  const [currentWeek, setCurrentWeek] = useState(getWeekStart(new Date()));
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
+  const [showTemplateModal, setShowTemplateModal] = useState(false);
+  const [templateName, setTemplateName] = useState('');
+  const [expandedMealKey, setExpandedMealKey] = useState(null);
+  const [showGeneratorModal, setShowGeneratorModal] = useState(false);
+  const [generatorOptions, setGeneratorOptions] = useState(DEFAULT_GENERATOR_OPTIONS);
+  const [moveSource, setMoveSource] = useState(null);
+  const [moveTarget, setMoveTarget] = useState({ date: '', mealType: 'breakfast' });
+  const [leftoverSource, setLeftoverSource] = useState(null);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [exportRange, setExportRange] = useState({ start: '', end: '' });
+  const [showPrintModal, setShowPrintModal] = useState(false);
+  const [printOptions, setPrintOptions] = useState({ shoppingList: true, recipes: false });
+  const [leftoverTarget, setLeftoverTarget] = useState({ date: '', mealType: '', servings: 1 });
+  const [viewMode, setViewMode] = useState('week'); // 'week' or 'month'
+  const [currentMonth, setCurrentMonth] = useState(startOfMonth(new Date()));
+  const [monthSelection, setMonthSelection] = useState(null);
+  const [selectingRange, setSelectingRange] = useState(false);
+  // Kept in a ref so dragging never re-renders (and remounts) the grid mid-drag
+  const dragSourceRef = useRef(null);
 
-  const { mealPlan, addMealToDay, removeMealFromDay, getMealsForDay } = useMealPlan();
-  const { recipes, sharedRecipes } = useRecipes();
+  const { mealPlan, mealSlots, templates, canUndo, canRedo, undoPlanChange, redoPlanChange, addMealToDay, addEntryToDay, removeMealFromDay, updateMealServings, toggleMealLock, autoPlanWeek, moveMeal, addLeftover, isLeftoverMeal, getLeftoverSource, getLeftoverServingsAvailable, getMealsForDay, getMealServings, getScaledIngredients, getAllIngredients, getEarliestHistoryDate, clearDateRange, deletedRecipeMealCount, removeMealsWithDeletedRecipes, saveWeekAsTemplate, applyTemplate, deleteTemplate } = useMealPlan();
+  const { recipes, sharedRecipes, savedRecipes } = useRecipes();
   const { startCookingMode } = useCookingMode();
   const { addXP, addMealPlanningXP } = useGamification();
+  const { preferences } = useSettings();
+  const weekStartsOn = normalizeWeekStart(preferences?.weekStartsOn);
+  const { household } = useHousehold();
+  const navigate = useNavigate();
 
   // Listen for window resize
   React.useEffect(() => {
@@ -33,93 +139,538 @@ const Scheduler = () => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  // Weeks start on the day chosen in Settings; realign when it loads or changes
+  React.useEffect(() => {
+    setCurrentWeek(getWeekStart(new Date(), weekStartsOn));
+  }, [weekStartsOn]);
+
   const weekDays = Array.from({ length: 7 }, (_, i) => addDays(currentWeek, i));
 
-  const mealTypes = [
-    {
-      id: 'breakfast',
-      name: 'Breakfast',
-      icon: '🍳',
-      bgColor: 'bg-gradient-to-br from-orange-100/60 to-yellow-100/60',
-      lightBg: 'from-orange-50/60 to-yellow-50/60',
-      borderColor: 'border-orange-300/50',
-      textColor: 'text-orange-700',
-      hoverBg: 'hover:bg-orange-50/50'
-    },
-    {
-      id: 'lunch',
-      name: 'Lunch',
-      icon: '🥗',
-      bgColor: 'bg-gradient-to-br from-green-100/60 to-emerald-100/60',
-      lightBg: 'from-green-50/60 to-emerald-50/60',
-      borderColor: 'border-green-300/50',
-      textColor: 'text-green-700',
-      hoverBg: 'hover:bg-green-50/50'
-    },
-    {
-      id: 'dinner',
-      name: 'Dinner',
-      icon: '🍽️',
-      bgColor: 'bg-gradient-to-br from-purple-100/60 to-blue-100/60',
-      lightBg: 'from-purple-50/60 to-blue-50/60',
-      borderColor: 'border-purple-300/50',
-      textColor: 'text-purple-700',
-      hoverBg: 'hover:bg-purple-50/50'
-    },
-    {
-      id: 'snacks',
-      name: 'Snacks',
-      icon: '🍪',
-      bgColor: 'bg-gradient-to-br from-amber-100/60 to-orange-100/60',
-      lightBg: 'from-amber-50/60 to-orange-50/60',
-      borderColor: 'border-amber-300/50',
-      textColor: 'text-amber-700',
-      hoverBg: 'hover:bg-amber-50/50',
-      limit: 5
+  // Slots come from the user's settings, in their chosen order
+  let customSlotCount = 0;
+  const mealTypes = mealSlots.map(slot => ({
+    ...slot,
+    ...(MEAL_TYPE_STYLES[slot.id] || CUSTOM_SLOT_STYLES[customSlotCount++ % CUSTOM_SLOT_STYLES.length]),
+    limit: slot.maxPerDay || 1
+  }));
+  const xpSlotIds = mealTypes.filter(mealType => mealType.countsForXP).map(mealType => mealType.id);
+
+  // Only slots holding several meals address a meal by its index
+  const getSlotIndex = (mealTypeId, mealIndex) => (
+    isMultiSlot(mealTypes.find(mealType => mealType.id === mealTypeId)) ? mealIndex : null
+  );
+
+  // ↩️ UNDO/REDO: Plan edits can be undone from their toast, the header or Ctrl+Z / Ctrl+Shift+Z
+  const handleUndo = () => {
+    const result = undoPlanChange();
+    if (result.success) {
+      toast.success(`Undone: ${result.label}`);
+    } else {
+      toast.error(result.message);
     }
-  ];
+  };
+
+  const handleRedo = () => {
+    const result = redoPlanChange();
+    if (result.success) {
+      toast.success(`Redone: ${result.label}`);
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  const toastWithUndo = (message) => {
+    toast.success((t) => (
+      <span className="flex items-center space-x-3">
+        <span>{message}</span>
+        <button
+          onClick={() => {
+            toast.dismiss(t.id);
+            handleUndo();
+          }}
+          className="px-2 py-1 text-sm font-bold text-primary-600 hover:bg-primary-50 rounded-lg"
+        >
+          Undo
+        </button>
+      </span>
+    ), { duration: 5000 });
+  };
+
+  // The shortcut listener is added once and calls the latest handlers through a ref
+  const undoShortcutsRef = useRef({ handleUndo, handleRedo });
+  undoShortcutsRef.current = { handleUndo, handleRedo };
+
+  React.useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      // Leave undo inside text fields to the browser
+      const tagName = e.target.tagName;
+      if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || e.target.isContentEditable) return;
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        undoShortcutsRef.current.handleRedo();
+      } else {
+        undoShortcutsRef.current.handleUndo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   const today = startOfDay(new Date());
-  const availableDays = weekDays.filter(day => !isBefore(day, today));
+  // Past days stay visible but read-only, served from the meal plan history
+  const availableDays = weekDays;
+  const isArchiveWeek = isBefore(currentWeek, getWeekStart(today, weekStartsOn));
+  // 🥗 NUTRITION: Per-person totals from one serving of each planned meal
+  const nutritionTargets = preferences?.nutritionTargets || {};
+  const weekNutrition = getWeekNutrition(availableDays.map(day => getMealsForDay(day)));
+  // 💲 COSTS: Planned servings priced from the ingredient prices in Settings
+  const pricing = getPricing(preferences);
+  const weekCost = getWeekCost(availableDays.map(day => getMealsForDay(day)), pricing);
+  // ⚖️ VARIETY: Warnings for the week, with swaps from the user's own and saved recipes
+  const libraryRecipes = [...recipes, ...savedRecipes.filter(saved => !recipes.some(recipe => recipe.id === saved.id))];
+  const varietyWarnings = analyzeWeekVariety(
+    availableDays.map(day => ({ dateStr: format(day, 'yyyy-MM-dd'), dayMeals: getMealsForDay(day) })),
+    preferences?.varietyRules,
+    libraryRecipes,
+    format(today, 'yyyy-MM-dd')
+  );
 
-  const handleAddMeal = (recipe) => {
+  // Recipes and plan entries both fill the selected slot and count as planned for XP
+  const handleAddMeal = (recipe, entry = null) => {
     if (selectedDate && selectedMealType) {
       const dayMeals = getMealsForDay(selectedDate);
       const mealTypeConfig = mealTypes.find(mt => mt.id === selectedMealType);
+      const slotLabel = mealTypeConfig.name.toLowerCase();
 
       // Check meal limits
-      if (selectedMealType === 'snacks') {
-        const currentSnacks = dayMeals.snacks || [];
-        if (currentSnacks.length >= 5) {
-          toast.error('Maximum 5 snacks per day allowed!');
-          return;
-        }
-      } else {
-        // For breakfast, lunch, dinner - only 1 meal allowed
-        if (dayMeals[selectedMealType]) {
-          toast.error(`Only one ${selectedMealType} meal allowed per day!`);
-          return;
-        }
+      if (getSlotMeals(dayMeals, selectedMealType).length >= mealTypeConfig.limit) {
+        toast.error(isMultiSlot(mealTypeConfig)
+          ? `Maximum ${mealTypeConfig.limit} ${slotLabel} per day allowed!`
+          : `Only one ${slotLabel} meal allowed per day!`);
+        return;
       }
 
-      addMealToDay(selectedDate, selectedMealType, recipe);
+      if (entry) {
+        addEntryToDay(selectedDate, selectedMealType, entry);
+      } else {
+        addMealToDay(selectedDate, selectedMealType, recipe);
+      }
       
       // 🎯 NEW: Award generous XP for meal planning
-      const xpAwarded = addMealPlanningXP(selectedMealType);
-      
-      // Always show success message for adding meal
-      if (!xpAwarded) {
-        toast.success(`${recipe.title} added to ${selectedMealType}!`);
+      if (mealTypeConfig.countsForXP) {
+        addMealPlanningXP(selectedMealType, { label: slotLabel, xpSlotIds });
       }
       
+      // Always show success message for adding meal, with Undo even when XP was awarded
+      toastWithUndo(`${(entry || recipe).title} added to ${slotLabel}!`);
+      
       setShowRecipeModal(false);
       setSelectedMealType(null);
     }
   };
 
-  const handleRemoveMeal = (date, mealType, snackIndex = null) => {
-    removeMealFromDay(date, mealType, snackIndex);
-    toast.success('Meal removed from schedule');
+  const handleRemoveMeal = (date, mealType, slotIndex = null) => {
+    removeMealFromDay(date, mealType, slotIndex);
+    toastWithUndo('Meal removed from schedule');
+  };
+
+  // 🪄 PLAN MY WEEK: Fill empty and unlocked generated slots from your recipes
+  const toggleGeneratorMealType = (mealTypeId) => {
+    setGeneratorOptions(prev => ({
+      ...prev,
+      mealTypes: prev.mealTypes.includes(mealTypeId)
+        ? prev.mealTypes.filter(id => id !== mealTypeId)
+        : [...prev.mealTypes, mealTypeId]
+    }));
+  };
+
+  const handleGenerateWeek = () => {
+    if (generatorOptions.mealTypes.length === 0) {
+      toast.error('Pick at least one meal to plan');
+      return;
+    }
+
+    const result = autoPlanWeek(currentWeek, generatorOptions);
+    if (!result.success) {
+      toast.error(result.message);
+      return;
+    }
+
+    if (result.filled === 0) {
+      toast.error('No new recipes fit the open slots - try adding more recipes');
+    } else {
+      toastWithUndo(`🪄 Planned ${result.filled} meal${result.filled !== 1 ? 's' : ''}!`);
+      if (result.unfilled > 0) {
+        toast(`${result.unfilled} slot${result.unfilled !== 1 ? 's' : ''} left empty - not enough matching recipes`);
+      }
+    }
+    setShowGeneratorModal(false);
+  };
+
+  const renderLockButton = (day, mealType, mealIndex, meal, size) => {
+    if (!meal.generated) return null;
+    return (
+      <motion.button
+        whileHover={{ scale: 1.1 }}
+        whileTap={{ scale: 0.9 }}
+        onClick={() => toggleMealLock(day, mealType, getSlotIndex(mealType, mealIndex))}
+        className={`${size === 'sm' ? 'p-1 rounded' : 'p-2 rounded-lg'} ${meal.locked ? 'text-amber-600 hover:bg-amber-100' : 'text-gray-500 hover:bg-gray-100'} transition-colors duration-200`}
+        aria-label={meal.locked ? `Unlock ${meal.title}` : `Lock ${meal.title}`}
+        aria-pressed={Boolean(meal.locked)}
+        title={meal.locked ? 'Locked - kept when regenerating' : 'Lock to keep when regenerating'}
+      >
+        <SafeIcon icon={meal.locked ? FiLock : FiUnlock} className={size === 'sm' ? 'text-xs' : 'text-sm'} />
+      </motion.button>
+    );
+  };
+
+  // 🔀 MOVE & SWAP: Drag-and-drop on desktop, "Move to…" dialog everywhere
+  const performMove = (source, target) => {
+    const result = moveMeal(source, target);
+    if (!result.success) {
+      toast.error(result.message);
+    } else if (!result.unchanged) {
+      toastWithUndo(result.swapped ? 'Meals swapped!' : 'Meal moved!');
+    }
+    return result.success;
+  };
+
+  const handleDragStart = (e, day, mealType, slotIndex) => {
+    dragSourceRef.current = { date: day, mealType, slotIndex };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', mealType);
+  };
+
+  const handleDragEnd = () => {
+    dragSourceRef.current = null;
+  };
+
+  const getDropTargetProps = (day, mealType, slotIndex = null) => ({
+    onDragOver: (e) => {
+      if (!dragSourceRef.current) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      e.currentTarget.classList.add('ring-2', 'ring-primary-400');
+    },
+    onDragLeave: (e) => {
+      e.currentTarget.classList.remove('ring-2', 'ring-primary-400');
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      e.currentTarget.classList.remove('ring-2', 'ring-primary-400');
+      const source = dragSourceRef.current;
+      dragSourceRef.current = null;
+      if (source) {
+        performMove(source, { date: day, mealType, slotIndex });
+      }
+    }
+  });
+
+  const openMoveModal = (day, mealType, slotIndex, meal) => {
+    setMoveSource({ date: day, mealType, slotIndex, title: meal.title });
+    setMoveTarget({ date: format(day, 'yyyy-MM-dd'), mealType });
+  };
+
+  const handleConfirmMove = () => {
+    const targetDay = availableDays.find(day => format(day, 'yyyy-MM-dd') === moveTarget.date);
+    if (!moveSource || !targetDay) return;
+
+    const { title, ...source } = moveSource;
+    if (performMove(source, { date: targetDay, mealType: moveTarget.mealType })) {
+      setMoveSource(null);
+    }
+  };
+
+  // ♻️ LEFTOVERS: Plan extra servings of a meal into a later slot
+  const openLeftoverModal = (day, mealType, slotIndex, meal) => {
+    const available = getLeftoverServingsAvailable(meal);
+    const nextDay = addDays(day, 1);
+    const defaultDay = availableDays.some(weekDay => isSameDay(weekDay, nextDay)) ? nextDay : day;
+    // Same day: the slot after the meal's own. Next day: the slot before it, so dinner
+    // leftovers become lunch. Either falls back to a slot that's configured.
+    const sourceIndex = mealTypes.findIndex(type => type.id === mealType);
+    const defaultMealType = isSameDay(defaultDay, day)
+      ? mealTypes[sourceIndex + 1] || mealTypes[0]
+      : mealTypes[sourceIndex - 1] || mealTypes[sourceIndex] || mealTypes[0];
+    // With nothing left over, the default is a household's worth cooked extra
+    setLeftoverSource({ date: day, mealType, slotIndex, title: meal.title, available, cooked: getMealServings(meal) });
+    setLeftoverTarget({
+      date: format(defaultDay, 'yyyy-MM-dd'),
+      mealType: defaultMealType?.id || mealType,
+      servings: Math.max(1, available > 0 ? Math.min(preferences?.householdSize || 1, available) : preferences?.householdSize || 1)
+    });
+  };
+
+  // Servings beyond what's left over are cooked extra with the original meal
+  const leftoverExtraServings = leftoverSource
+    ? Math.max(0, (parseInt(leftoverTarget.servings, 10) || 0) - leftoverSource.available)
+    : 0;
+
+  const handleConfirmLeftover = () => {
+    const targetDay = availableDays.find(day => format(day, 'yyyy-MM-dd') === leftoverTarget.date);
+    if (!leftoverSource || !targetDay) return;
+
+    const { title, available, cooked, ...source } = leftoverSource;
+    const result = addLeftover(source, { date: targetDay, mealType: leftoverTarget.mealType }, leftoverTarget.servings);
+    if (result.success) {
+      toastWithUndo(result.addedServings > 0
+        ? `♻️ Leftovers of ${title} planned, cooking ${cooked + result.addedServings} servings`
+        : `♻️ Leftovers of ${title} planned!`);
+      setLeftoverSource(null);
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  const renderLeftoverBadge = (meal) => {
+    if (!isLeftoverMeal(meal)) return null;
+    const source = getLeftoverSource(meal);
+    const sourceSlot = source && mealTypes.find(mealType => mealType.id === source.mealType);
+    const sourceLabel = source ? ` · from ${format(toLocalDate(source.date), 'EEE')} ${sourceSlot ? sourceSlot.name.toLowerCase() : source.mealType}` : '';
+    return (
+      <span className="inline-flex items-center text-[10px] font-semibold text-emerald-700 bg-emerald-100/80 px-1.5 py-0.5 rounded-full mb-1">
+        ♻️ Leftovers{sourceLabel}
+      </span>
+    );
+  };
+
+  // 🔗 The meal still shows its last saved copy after its recipe is deleted
+  const renderDeletedRecipeBadge = (meal) => {
+    if (!meal.sourceDeleted) return null;
+    return (
+      <span
+        className="inline-flex items-center text-[10px] font-semibold text-amber-800 bg-amber-100/80 px-1.5 py-0.5 rounded-full mb-1"
+        title="The recipe was deleted; this meal keeps its last saved copy"
+      >
+        ⚠️ Recipe deleted
+      </span>
+    );
+  };
+
+  const handleVarietySwap = (target, recipe) => {
+    const date = toLocalDate(target.dateStr);
+    addMealToDay(date, target.mealType, recipe, target.slotIndex);
+    toastWithUndo(`Swapped ${target.meal.title} for ${recipe.title} on ${format(date, 'EEE')}`);
+  };
+
+  const handleRemoveDeletedRecipeMeals = () => {
+    const result = removeMealsWithDeletedRecipes();
+    if (result.success) {
+      toastWithUndo(`Removed ${result.removed} meal${result.removed !== 1 ? 's' : ''} with deleted recipes`);
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  // 📝 PLAN ENTRIES: Notes, eating out and skip markers in place of a recipe
+  const renderEntryBadge = (meal) => {
+    const entryType = getEntryType(meal);
+    if (!entryType) return null;
+    const cost = getEntryCost(meal);
+    return (
+      <span className="inline-flex items-center text-[10px] font-semibold text-slate-700 bg-slate-100/80 px-1.5 py-0.5 rounded-full mb-1">
+        {entryType.emoji} {entryType.name}{cost !== null && ` · ${formatCost(cost, pricing.currency)}`}
+      </span>
+    );
+  };
+
+  const renderEntryDetails = (meal) => {
+    if (!meal.note) return null;
+    return <p className="text-xs text-gray-600 truncate mt-1">{meal.note}</p>;
+  };
+
+  // 👪 HOUSEHOLD: Show who planned each meal when the plan is shared
+  const renderAddedBy = (meal) => {
+    if (!household || !meal.addedBy?.username) return null;
+    return (
+      <p className="text-[10px] text-gray-500 truncate">Added by {meal.addedBy.username}</p>
+    );
+  };
+
+  const renderLeftoverButton = (day, mealType, mealIndex, meal, size) => {
+    if (isLeftoverMeal(meal) || isPlanEntry(meal)) return null;
+    return (
+      <motion.button
+        whileHover={{ scale: 1.1 }}
+        whileTap={{ scale: 0.9 }}
+        onClick={() => openLeftoverModal(day, mealType, getSlotIndex(mealType, mealIndex), meal)}
+        className={`${size === 'sm' ? 'p-1 rounded' : 'p-2 rounded-lg'} text-emerald-600 hover:text-emerald-700 hover:bg-emerald-100 transition-colors duration-200`}
+        aria-label={`Plan leftovers of ${meal.title}`}
+        title="Plan leftovers…"
+      >
+        <SafeIcon icon={FiRepeat} className={size === 'sm' ? 'text-xs' : 'text-sm'} />
+      </motion.button>
+    );
+  };
+
+  // 📅 CALENDAR EXPORT: Download the selected range as an .ics file
+  const setExportWeek = () => {
+    setExportRange({
+      start: format(currentWeek, 'yyyy-MM-dd'),
+      end: format(addDays(currentWeek, 6), 'yyyy-MM-dd')
+    });
+  };
+
+  const openExportModal = () => {
+    setExportWeek();
+    setShowExportModal(true);
+  };
+
+  const handleExportCalendar = (e) => {
+    e.preventDefault();
+    const start = toLocalDate(exportRange.start);
+    const end = toLocalDate(exportRange.end);
+
+    if (!isValid(start) || !isValid(end)) {
+      toast.error('Choose a start and end date');
+      return;
+    }
+    if (isBefore(end, start)) {
+      toast.error('The end date must be after the start date');
+      return;
+    }
+    if (differenceInCalendarDays(end, start) >= MAX_EXPORT_DAYS) {
+      toast.error(`Export up to ${MAX_EXPORT_DAYS} days at a time`);
+      return;
+    }
+
+    const days = eachDayOfInterval({ start, end }).map(day => ({
+      dateStr: format(day, 'yyyy-MM-dd'),
+      meals: getMealsForDay(day)
+    }));
+    const { content, eventCount } = buildMealPlanCalendar({
+      days,
+      slots: mealSlots,
+      mealTimes: preferences?.mealTimes,
+      getIngredients: getScaledIngredients
+    });
+
+    if (eventCount === 0) {
+      toast.error('No meals planned in that range');
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `meal-plan-${exportRange.start}-to-${exportRange.end}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    toast.success(`📅 Exported ${eventCount} meal${eventCount !== 1 ? 's' : ''} to your calendar file`);
+    setShowExportModal(false);
+  };
+
+  // 🖨️ PRINT: The week as a one-page grid, optionally with its shopping list and recipe cards
+  const handlePrintWeek = (e) => {
+    e.preventDefault();
+    const days = weekDays.map(day => ({
+      dateStr: format(day, 'yyyy-MM-dd'),
+      meals: getMealsForDay(day)
+    }));
+    if (days.every(({ meals }) => Object.keys(meals).length === 0)) {
+      toast.error('No meals planned this week');
+      return;
+    }
+
+    const html = buildPrintablePlanner({
+      days,
+      slots: mealSlots,
+      title: `Meal plan · week of ${format(currentWeek, 'MMMM d, yyyy')}`,
+      currency: pricing.currency,
+      shoppingItems: printOptions.shoppingList
+        ? getAllIngredients({ start: days[0].dateStr, end: days[days.length - 1].dateStr })
+        : null,
+      recipes: printOptions.recipes ? getWeekRecipes(days) : null,
+      getIngredients: getScaledIngredients
+    });
+    printHtml(html);
+    setShowPrintModal(false);
+  };
+
+  // 🍽️ SERVINGS: Adjust planned servings; shopping quantities scale to match
+  const getMealKey = (day, mealType, mealIndex) => `${format(day, 'yyyy-MM-dd')}-${mealType}-${mealIndex}`;
+
+  const toggleIngredients = (mealKey) => {
+    setExpandedMealKey(prev => (prev === mealKey ? null : mealKey));
+  };
+
+  const renderServingsControl = (day, mealType, mealIndex, meal, isPastDay) => {
+    const servings = getMealServings(meal);
+    const slotIndex = getSlotIndex(mealType, mealIndex);
+
+    if (isPastDay) {
+      return (
+        <div className="flex items-center text-xs text-gray-600">
+          <SafeIcon icon={FiUsers} className="mr-1 text-xs" />
+          {servings}
+        </div>
+      );
+    }
+
+    return (
+      <div className="flex items-center text-xs text-gray-600" title="Planned servings">
+        <SafeIcon icon={FiUsers} className="mr-1 text-xs" />
+        <button
+          onClick={() => updateMealServings(day, mealType, servings - 1, slotIndex)}
+          disabled={servings <= 1}
+          className="px-1 rounded hover:bg-white/70 disabled:opacity-40"
+          aria-label={`Fewer servings of ${meal.title}`}
+        >
+          <SafeIcon icon={FiMinus} className="text-xs" />
+        </button>
+        <span className="font-semibold min-w-[1rem] text-center">{servings}</span>
+        <button
+          onClick={() => updateMealServings(day, mealType, servings + 1, slotIndex)}
+          className="px-1 rounded hover:bg-white/70"
+          aria-label={`More servings of ${meal.title}`}
+        >
+          <SafeIcon icon={FiPlus} className="text-xs" />
+        </button>
+      </div>
+    );
+  };
+
+  const renderScaledIngredients = (meal) => {
+    if (isLeftoverMeal(meal)) {
+      return (
+        <p className="mt-2 pt-2 border-t border-gray-200/70 text-xs text-gray-500">
+          Cooked with the original meal - nothing extra to shop for
+        </p>
+      );
+    }
+
+    const ingredients = getScaledIngredients(meal).filter(ingredient => ingredient.name && ingredient.name.trim());
+    const mealCost = getPlannedMealCost(meal, pricing);
+    return (
+      <ul className="mt-2 pt-2 border-t border-gray-200/70 space-y-1">
+        {ingredients.length > 0 ? ingredients.map((ingredient, index) => (
+          <li key={index} className="text-xs text-gray-700 flex justify-between gap-2">
+            <span className="truncate">{getIngredientLabel(ingredient)}</span>
+            <span className="text-gray-500 whitespace-nowrap">{ingredient.amount}</span>
+          </li>
+        )) : (
+          <li className="text-xs text-gray-400">No ingredients listed</li>
+        )}
+        {mealCost && (
+          <li
+            className="text-xs text-emerald-700 font-semibold pt-1 flex justify-between gap-2"
+            title={mealCost.missing.length > 0 ? `No price for: ${mealCost.missing.join(', ')}` : undefined}
+          >
+            <span>💲 {formatCost(mealCost.perServing, pricing.currency)} / serving</span>
+            <span>
+              {formatCost(mealCost.total, pricing.currency)}
+              {mealCost.missing.length > 0 && '+'}
+            </span>
+          </li>
+        )}
+      </ul>
+    );
   };
 
   const openRecipeModal = (date, mealType) => {
@@ -128,26 +679,99 @@ const Scheduler = () => {
     setShowRecipeModal(true);
   };
 
+  // 📋 TEMPLATES: Save the current week or apply a saved rotation to it
+  const handleSaveTemplate = (e) => {
+    e.preventDefault();
+    const result = saveWeekAsTemplate(templateName, currentWeek);
+    if (result.success) {
+      toast.success(`Template "${result.template.name}" saved!`);
+      setTemplateName('');
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  const handleApplyTemplate = (template, mode) => {
+    const result = applyTemplate(template.id, currentWeek, mode);
+    if (result.success) {
+      toastWithUndo(`${template.name} ${mode === 'replace' ? 'replaced' : 'merged into'} week of ${format(currentWeek, 'MMM d')}`);
+      setShowTemplateModal(false);
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  const handleDeleteTemplate = (template) => {
+    deleteTemplate(template.id);
+    toast.success(`Template "${template.name}" deleted`);
+  };
+
   const nextWeek = () => {
     setCurrentWeek(addDays(currentWeek, 7));
   };
 
   const prevWeek = () => {
     const newWeek = addDays(currentWeek, -7);
-    if (!isBefore(newWeek, startOfWeek(today))) {
+    const earliestHistoryDate = getEarliestHistoryDate();
+    const earliestWeek = earliestHistoryDate
+      ? getWeekStart(earliestHistoryDate, weekStartsOn)
+      : getWeekStart(today, weekStartsOn);
+    if (!isBefore(newWeek, earliestWeek)) {
       setCurrentWeek(newWeek);
     }
   };
 
-  const allRecipes = [...recipes, ...sharedRecipes];
+  const goToCurrentWeek = () => {
+    setCurrentWeek(getWeekStart(today, weekStartsOn));
+  };
+
+  // 🗓️ MONTH VIEW: Click a day to edit its week; pick a range to clear it or shop for it
+  const handleMonthDayClick = (day, e) => {
+    if (selectingRange || e.shiftKey) {
+      setMonthSelection(prev => {
+        // The first click anchors the range, the next one closes it
+        if (!prev || prev.complete) {
+          return { start: day, end: day, complete: false };
+        }
+        return isBefore(day, prev.start)
+          ? { start: day, end: prev.start, complete: true }
+          : { start: prev.start, end: day, complete: true };
+      });
+      return;
+    }
+
+    setCurrentWeek(getWeekStart(day, weekStartsOn));
+    setViewMode('week');
+  };
+
+  const cancelMonthSelection = () => {
+    setMonthSelection(null);
+    setSelectingRange(false);
+  };
+
+  const handleClearSelection = () => {
+    if (!monthSelection) return;
+    const rangeLabel = `${format(monthSelection.start, 'MMM d')} – ${format(monthSelection.end, 'MMM d')}`;
+    if (!window.confirm(`Clear all meals planned ${rangeLabel}? Past days are kept.`)) return;
 
-  const getMealDisplay = (dayMeals, mealType) => {
-    if (mealType === 'snacks') {
-      return dayMeals.snacks || [];
+    const result = clearDateRange(monthSelection.start, monthSelection.end);
+    if (result.success) {
+      toastWithUndo(`Cleared ${result.cleared} day${result.cleared !== 1 ? 's' : ''}`);
+      cancelMonthSelection();
+    } else {
+      toast.error(result.message);
     }
-    return dayMeals[mealType] ? [dayMeals[mealType]] : [];
   };
 
+  const handleShoppingListForSelection = () => {
+    if (!monthSelection) return;
+    navigate(`/shopping-list?from=${format(monthSelection.start, 'yyyy-MM-dd')}&to=${format(monthSelection.end, 'yyyy-MM-dd')}`);
+  };
+
+  const allRecipes = [...recipes, ...sharedRecipes];
+
+  const getMealDisplay = (dayMeals, mealType) => getSlotMeals(dayMeals, mealType);
+
   // Mobile Card-based Layout
   const MobileScheduler = () => (
     <div className="space-y-6">
@@ -212,6 +836,7 @@ const Scheduler = () => {
       {/* Daily Cards */}
       {availableDays.map((day, dayIndex) => {
         const dayMeals = getMealsForDay(day);
+        const dayCost = getDayCost(dayMeals, pricing);
         const isPastDay = isBefore(day, today);
 
         return (
@@ -236,18 +861,26 @@ const Scheduler = () => {
               <p className="text-sm opacity-90">
                 {format(day, 'MMMM d, yyyy')}
               </p>
+              <NutritionTotals totals={getDayNutrition(dayMeals).totals} compact className="mt-1 opacity-90" />
+              {dayCost.pricedMeals > 0 && (
+                <p className="text-[11px] mt-0.5 opacity-90">
+                  💲 {formatCost(dayCost.total, pricing.currency)}
+                </p>
+              )}
             </div>
 
             {/* Meals for this day */}
             <div className="p-4 space-y-4">
               {mealTypes.map((mealType) => {
                 const meals = getMealDisplay(dayMeals, mealType.id);
-                const canAddMore = mealType.id === 'snacks' 
-                  ? meals.length < (mealType.limit || 1) 
-                  : meals.length === 0;
+                const canAddMore = meals.length < mealType.limit;
 
                 return (
-                  <div key={mealType.id} className="space-y-2">
+                  <div
+                    key={mealType.id}
+                    className="space-y-2 rounded-xl transition-shadow duration-200"
+                    {...(!isPastDay ? getDropTargetProps(day, mealType.id) : {})}
+                  >
                     {/* Meal Type Header */}
                     <div className="flex items-center justify-between">
                       <div className="flex items-center space-x-3">
@@ -287,52 +920,92 @@ const Scheduler = () => {
                           initial={{ opacity: 0, scale: 0.9 }}
                           animate={{ opacity: 1, scale: 1 }}
                           className={`bg-gradient-to-r ${mealType.lightBg} border ${mealType.borderColor} p-3 rounded-xl`}
+                          {...(!isPastDay && isMultiSlot(mealType) ? getDropTargetProps(day, mealType.id, mealIndex) : {})}
                         >
-                          <div className="flex items-center justify-between">
+                          <div
+                            className="flex items-center justify-between"
+                            draggable={!isPastDay}
+                            onDragStart={(e) => handleDragStart(e, day, mealType.id, getSlotIndex(mealType.id, mealIndex))}
+                            onDragEnd={handleDragEnd}
+                          >
                             <div className="flex-1 min-w-0">
+                              {renderLeftoverBadge(meal)}
+                              {renderDeletedRecipeBadge(meal)}
+                              {renderEntryBadge(meal)}
                               <p className="font-semibold text-gray-900 text-sm truncate">
                                 {meal.title}
                               </p>
-                              <div className="flex items-center space-x-3 mt-1">
-                                <div className="flex items-center text-xs text-gray-600">
-                                  <SafeIcon icon={FiClock} className="mr-1 text-xs" />
-                                  {meal.cookTime}m
+                              {renderAddedBy(meal)}
+                              {isPlanEntry(meal) ? renderEntryDetails(meal) : (
+                                <div className="flex items-center space-x-3 mt-1">
+                                  <div className="flex items-center text-xs text-gray-600">
+                                    <SafeIcon icon={FiClock} className="mr-1 text-xs" />
+                                    {meal.cookTime}m
+                                  </div>
+                                  {renderServingsControl(day, mealType.id, mealIndex, meal, isPastDay)}
                                 </div>
-                                <div className="flex items-center text-xs text-gray-600">
-                                  <SafeIcon icon={FiUsers} className="mr-1 text-xs" />
-                                  {meal.servings}
-                                </div>
-                              </div>
+                              )}
                             </div>
                             
                             {/* Action Buttons */}
                             <div className="flex items-center space-x-2 ml-2">
-                              <motion.button
-                                whileHover={{ scale: 1.1 }}
-                                whileTap={{ scale: 0.9 }}
-                                onClick={() => startCookingMode(meal)}
-                                className="p-2 text-green-600 hover:text-green-700 hover:bg-green-100 rounded-lg transition-colors duration-200"
-                              >
-                                <SafeIcon icon={FiPlay} className="text-sm" />
-                              </motion.button>
-                              <motion.button
-                                whileHover={{ scale: 1.1 }}
-                                whileTap={{ scale: 0.9 }}
-                                onClick={() => handleRemoveMeal(day, mealType.id, mealType.id === 'snacks' ? mealIndex : null)}
-                                className="p-2 text-red-600 hover:text-red-700 hover:bg-red-100 rounded-lg transition-colors duration-200"
-                              >
-                                <SafeIcon icon={FiX} className="text-sm" />
-                              </motion.button>
+                              {!isPlanEntry(meal) && (
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => toggleIngredients(getMealKey(day, mealType.id, mealIndex))}
+                                  className="p-2 text-gray-600 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+                                  aria-label={`Show ingredients for ${meal.title}`}
+                                  aria-expanded={expandedMealKey === getMealKey(day, mealType.id, mealIndex)}
+                                >
+                                  <SafeIcon icon={FiList} className="text-sm" />
+                                </motion.button>
+                              )}
+                              {!isLeftoverMeal(meal) && !isPlanEntry(meal) && (
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => startCookingMode(meal)}
+                                  className="p-2 text-green-600 hover:text-green-700 hover:bg-green-100 rounded-lg transition-colors duration-200"
+                                >
+                                  <SafeIcon icon={FiPlay} className="text-sm" />
+                                </motion.button>
+                              )}
+                              {!isPastDay && renderLockButton(day, mealType.id, mealIndex, meal, 'md')}
+                              {!isPastDay && renderLeftoverButton(day, mealType.id, mealIndex, meal, 'md')}
+                              {!isPastDay && (
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => openMoveModal(day, mealType.id, getSlotIndex(mealType.id, mealIndex), meal)}
+                                  className="p-2 text-blue-600 hover:text-blue-700 hover:bg-blue-100 rounded-lg transition-colors duration-200"
+                                  aria-label={`Move ${meal.title}`}
+                                  title="Move to…"
+                                >
+                                  <SafeIcon icon={FiMove} className="text-sm" />
+                                </motion.button>
+                              )}
+                              {!isPastDay && (
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => handleRemoveMeal(day, mealType.id, getSlotIndex(mealType.id, mealIndex))}
+                                  className="p-2 text-red-600 hover:text-red-700 hover:bg-red-100 rounded-lg transition-colors duration-200"
+                                >
+                                  <SafeIcon icon={FiX} className="text-sm" />
+                                </motion.button>
+                              )}
                             </div>
                           </div>
+                          {expandedMealKey === getMealKey(day, mealType.id, mealIndex) && renderScaledIngredients(meal)}
                         </motion.div>
                       ))}
                     </div>
 
                     {/* Max reached indicator */}
-                    {!isPastDay && !canAddMore && mealType.id === 'snacks' && (
+                    {!isPastDay && !canAddMore && isMultiSlot(mealType) && (
                       <div className="text-xs text-gray-500 text-center py-2 bg-gray-50 rounded-lg">
-                        Maximum {mealType.limit} snacks reached
+                        Maximum {mealType.limit} {mealType.name.toLowerCase()} reached
                       </div>
                     )}
 
@@ -408,9 +1081,7 @@ const Scheduler = () => {
               const dayMeals = getMealsForDay(day);
               const meals = getMealDisplay(dayMeals, mealType.id);
               const isPastDay = isBefore(day, today);
-              const canAddMore = mealType.id === 'snacks' 
-                ? meals.length < (mealType.limit || 1) 
-                : meals.length === 0;
+              const canAddMore = meals.length < mealType.limit;
 
               return (
                 <div
@@ -420,6 +1091,7 @@ const Scheduler = () => {
                       ? 'bg-gray-50 opacity-50' 
                       : 'hover:bg-gray-50'
                   } transition-colors duration-200`}
+                  {...(!isPastDay ? getDropTargetProps(day, mealType.id) : {})}
                 >
                   <div className="space-y-2">
                     {/* Existing Meals */}
@@ -428,44 +1100,84 @@ const Scheduler = () => {
                         key={mealIndex}
                         initial={{ opacity: 0, scale: 0.8 }}
                         animate={{ opacity: 1, scale: 1 }}
-                        className="relative group"
+                        className="relative group rounded-lg"
+                        {...(!isPastDay && isMultiSlot(mealType) ? getDropTargetProps(day, mealType.id, mealIndex) : {})}
                       >
-                        <div className={`bg-gradient-to-br ${mealType.lightBg} border ${mealType.borderColor} p-2 rounded-lg`}>
+                        <div
+                          className={`bg-gradient-to-br ${mealType.lightBg} border ${mealType.borderColor} p-2 rounded-lg ${!isPastDay ? 'cursor-move' : ''}`}
+                          draggable={!isPastDay}
+                          onDragStart={(e) => handleDragStart(e, day, mealType.id, getSlotIndex(mealType.id, mealIndex))}
+                          onDragEnd={handleDragEnd}
+                        >
                           <div className="flex items-start justify-between">
                             <div className="flex-1 min-w-0">
+                              {renderLeftoverBadge(meal)}
+                              {renderDeletedRecipeBadge(meal)}
+                              {renderEntryBadge(meal)}
                               <p className="font-medium text-gray-900 text-xs truncate">
                                 {meal.title}
                               </p>
-                              <div className="flex items-center space-x-2 mt-1">
-                                <div className="flex items-center text-xs text-gray-600">
-                                  <SafeIcon icon={FiClock} className="mr-1" />
-                                  {meal.cookTime}m
-                                </div>
-                                <div className="flex items-center text-xs text-gray-600">
-                                  <SafeIcon icon={FiUsers} className="mr-1" />
-                                  {meal.servings}
+                              {renderAddedBy(meal)}
+                              {isPlanEntry(meal) ? renderEntryDetails(meal) : (
+                                <div className="flex items-center space-x-2 mt-1">
+                                  <div className="flex items-center text-xs text-gray-600">
+                                    <SafeIcon icon={FiClock} className="mr-1" />
+                                    {meal.cookTime}m
+                                  </div>
+                                  {renderServingsControl(day, mealType.id, mealIndex, meal, isPastDay)}
                                 </div>
-                              </div>
+                              )}
                             </div>
-                            <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
-                              <motion.button
-                                whileHover={{ scale: 1.1 }}
-                                whileTap={{ scale: 0.9 }}
-                                onClick={() => startCookingMode(meal)}
-                                className="p-1 text-green-600 hover:text-green-700 hover:bg-green-100 rounded"
-                              >
-                                <SafeIcon icon={FiPlay} className="text-xs" />
-                              </motion.button>
-                              <motion.button
-                                whileHover={{ scale: 1.1 }}
-                                whileTap={{ scale: 0.9 }}
-                                onClick={() => handleRemoveMeal(day, mealType.id, mealType.id === 'snacks' ? mealIndex : null)}
-                                className="p-1 text-red-600 hover:text-red-700 hover:bg-red-100 rounded"
-                              >
-                                <SafeIcon icon={FiX} className="text-xs" />
-                              </motion.button>
+                            <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity duration-200">
+                              {!isPlanEntry(meal) && (
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => toggleIngredients(getMealKey(day, mealType.id, mealIndex))}
+                                  className="p-1 text-gray-600 hover:text-gray-700 hover:bg-gray-100 rounded"
+                                  aria-label={`Show ingredients for ${meal.title}`}
+                                  aria-expanded={expandedMealKey === getMealKey(day, mealType.id, mealIndex)}
+                                >
+                                  <SafeIcon icon={FiList} className="text-xs" />
+                                </motion.button>
+                              )}
+                              {!isLeftoverMeal(meal) && !isPlanEntry(meal) && (
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => startCookingMode(meal)}
+                                  className="p-1 text-green-600 hover:text-green-700 hover:bg-green-100 rounded"
+                                >
+                                  <SafeIcon icon={FiPlay} className="text-xs" />
+                                </motion.button>
+                              )}
+                              {!isPastDay && renderLockButton(day, mealType.id, mealIndex, meal, 'sm')}
+                              {!isPastDay && renderLeftoverButton(day, mealType.id, mealIndex, meal, 'sm')}
+                              {!isPastDay && (
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => openMoveModal(day, mealType.id, getSlotIndex(mealType.id, mealIndex), meal)}
+                                  className="p-1 text-blue-600 hover:text-blue-700 hover:bg-blue-100 rounded"
+                                  aria-label={`Move ${meal.title}`}
+                                  title="Move to…"
+                                >
+                                  <SafeIcon icon={FiMove} className="text-xs" />
+                                </motion.button>
+                              )}
+                              {!isPastDay && (
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => handleRemoveMeal(day, mealType.id, getSlotIndex(mealType.id, mealIndex))}
+                                  className="p-1 text-red-600 hover:text-red-700 hover:bg-red-100 rounded"
+                                >
+                                  <SafeIcon icon={FiX} className="text-xs" />
+                                </motion.button>
+                              )}
                             </div>
                           </div>
+                          {expandedMealKey === getMealKey(day, mealType.id, mealIndex) && renderScaledIngredients(meal)}
                         </div>
                       </motion.div>
                     ))}
@@ -483,9 +1195,9 @@ const Scheduler = () => {
                     )}
 
                     {/* Max reached indicator */}
-                    {!isPastDay && !canAddMore && mealType.id === 'snacks' && (
+                    {!isPastDay && !canAddMore && isMultiSlot(mealType) && (
                       <div className="text-xs text-gray-500 text-center py-2">
-                        Max snacks reached
+                        Max {mealType.name.toLowerCase()} reached
                       </div>
                     )}
                   </div>
@@ -494,6 +1206,34 @@ const Scheduler = () => {
             })}
           </div>
         ))}
+
+        {/* Nutrition per day */}
+        {weekNutrition.mealsWithNutrition > 0 && (
+          <div className="grid grid-cols-8 bg-gray-50">
+            <div className="p-4 border-r border-gray-200 flex items-center">
+              <p className="font-semibold text-gray-900 text-sm">🥗 Nutrition</p>
+            </div>
+            {availableDays.map((day, dayIndex) => (
+              <div key={dayIndex} className="p-3 border-r border-gray-200 last:border-r-0 text-gray-700">
+                <NutritionTotals totals={getDayNutrition(getMealsForDay(day)).totals} targets={nutritionTargets} compact />
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Cost per day */}
+        {weekCost.pricedMeals > 0 && (
+          <div className="grid grid-cols-8 bg-gray-50 border-t border-gray-200">
+            <div className="p-4 border-r border-gray-200 flex items-center">
+              <p className="font-semibold text-gray-900 text-sm">💲 Cost</p>
+            </div>
+            {weekCost.dayCosts.map((dayCost, dayIndex) => (
+              <div key={dayIndex} className="p-3 border-r border-gray-200 last:border-r-0 text-sm font-semibold text-gray-700">
+                {dayCost.pricedMeals > 0 ? formatCost(dayCost.total, pricing.currency) : '–'}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </motion.div>
   );
@@ -515,132 +1255,1012 @@ const Scheduler = () => {
               <p className="text-gray-600">
                 Plan your meals for the week ahead - earn XP for each meal planned!
               </p>
+              {household && (
+                <p className="mt-2 inline-flex items-center text-sm font-semibold text-green-700 bg-green-100/80 px-3 py-1 rounded-full">
+                  👪 Shared with {household.name}
+                </p>
+              )}
             </div>
 
-            {/* Desktop Week Navigation */}
-            {!isMobile && (
-              <div className="flex items-center space-x-4">
+            <div className={`flex items-center ${isMobile ? 'justify-between' : 'space-x-4'}`}>
+              {!isArchiveWeek && viewMode === 'week' && (
                 <motion.button
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
-                  onClick={prevWeek}
-                  className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+                  onClick={() => setShowGeneratorModal(true)}
+                  className="px-4 py-2 btn-gradient text-white rounded-xl font-semibold shadow-lg flex items-center space-x-2"
                 >
-                  <SafeIcon icon={FiChevronLeft} />
+                  <SafeIcon icon={FiZap} />
+                  <span>Plan my week</span>
+                </motion.button>
+              )}
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowTemplateModal(true)}
+                className="px-4 py-2 bg-primary-50 text-primary-700 rounded-xl font-semibold hover:bg-primary-100 transition-colors duration-200 flex items-center space-x-2"
+              >
+                <SafeIcon icon={FiLayers} />
+                <span>Templates</span>
+              </motion.button>
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => navigate('/meal-prep')}
+                className="px-4 py-2 bg-secondary-50 text-secondary-700 rounded-xl font-semibold hover:bg-secondary-100 transition-colors duration-200 flex items-center space-x-2"
+                title="Batch-cook the coming days"
+              >
+                <SafeIcon icon={FiPackage} />
+                <span>Prep day</span>
+              </motion.button>
+
+              <div className="flex items-center space-x-1">
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={handleUndo}
+                  disabled={!canUndo}
+                  className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors duration-200 disabled:opacity-40"
+                  aria-label="Undo"
+                  title="Undo (Ctrl+Z)"
+                >
+                  <SafeIcon icon={FiRotateCcw} />
                 </motion.button>
-                
-                <div className="text-center">
-                  <p className="font-semibold text-gray-900">
-                    {format(currentWeek, 'MMMM yyyy')}
-                  </p>
-                  <p className="text-sm text-gray-600">
-                    Week of {format(currentWeek, 'MMM d')}
-                  </p>
-                </div>
-                
                 <motion.button
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
-                  onClick={nextWeek}
-                  className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+                  onClick={handleRedo}
+                  disabled={!canRedo}
+                  className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors duration-200 disabled:opacity-40"
+                  aria-label="Redo"
+                  title="Redo (Ctrl+Shift+Z)"
                 >
-                  <SafeIcon icon={FiChevronRight} />
+                  <SafeIcon icon={FiRotateCw} />
                 </motion.button>
               </div>
-            )}
-          </div>
-        </motion.div>
 
-        {/* Conditional Rendering based on device */}
-        {isMobile ? <MobileScheduler /> : <DesktopScheduler />}
-
-        {/* Recipe Selection Modal - Optimized for Mobile */}
-        <AnimatePresence>
-          {showRecipeModal && (
-            <motion.div
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              exit={{ opacity: 0 }}
-              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
-              onClick={() => setShowRecipeModal(false)}
-            >
-              <motion.div
-                initial={{ opacity: 0, scale: 0.8 }}
-                animate={{ opacity: 1, scale: 1 }}
-                exit={{ opacity: 0, scale: 0.8 }}
-                className={`bg-white rounded-2xl p-6 w-full shadow-2xl ${
-                  isMobile 
-                    ? 'max-h-[85vh] overflow-y-auto' 
-                    : 'max-w-4xl max-h-[80vh] overflow-y-auto'
-                }`}
-                onClick={(e) => e.stopPropagation()}
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={openExportModal}
+                className="px-4 py-2 bg-blue-50 text-blue-700 rounded-xl font-semibold hover:bg-blue-100 transition-colors duration-200 flex items-center space-x-2"
+                title="Export to calendar (.ics)"
               >
-                <div className="flex items-center justify-between mb-6">
-                  <div>
-                    <h2 className={`font-bold text-gray-900 ${isMobile ? 'text-xl' : 'text-2xl'}`}>
-                      Choose a Recipe
-                    </h2>
-                    <p className={`text-gray-600 ${isMobile ? 'text-sm' : ''}`}>
-                      {selectedDate && format(selectedDate, 'EEEE, MMMM d')} • {mealTypes.find(mt => mt.id === selectedMealType)?.name}
+                <SafeIcon icon={FiDownload} />
+                <span>Export</span>
+              </motion.button>
+
+              {viewMode === 'week' && (
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => setShowPrintModal(true)}
+                  className="px-4 py-2 bg-gray-100 text-gray-700 rounded-xl font-semibold hover:bg-gray-200 transition-colors duration-200 flex items-center space-x-2"
+                  title="Print or save the week as PDF"
+                >
+                  <SafeIcon icon={FiPrinter} />
+                  <span>Print</span>
+                </motion.button>
+              )}
+
+              {/* Desktop Week Navigation */}
+              {!isMobile && viewMode === 'week' && (
+                <div className="flex items-center space-x-4">
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={prevWeek}
+                    className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+                  >
+                    <SafeIcon icon={FiChevronLeft} />
+                  </motion.button>
+                
+                  <div className="text-center">
+                    <p className="font-semibold text-gray-900">
+                      {format(currentWeek, 'MMMM yyyy')}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Week of {format(currentWeek, 'MMM d')}
                     </p>
                   </div>
+                
                   <motion.button
-                    whileHover={{ scale: 1.1 }}
-                    whileTap={{ scale: 0.9 }}
-                    onClick={() => setShowRecipeModal(false)}
-                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={nextWeek}
+                    className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors duration-200"
                   >
-                    <SafeIcon icon={FiX} className="text-xl" />
+                    <SafeIcon icon={FiChevronRight} />
                   </motion.button>
                 </div>
+              )}
+            </div>
+          </div>
+        </motion.div>
 
-                <div className={`grid gap-4 ${isMobile ? 'grid-cols-1' : 'md:grid-cols-2 lg:grid-cols-3'}`}>
-                  {allRecipes.map((recipe) => (
-                    <motion.div
-                      key={recipe.id}
-                      whileHover={{ y: -2 }}
-                      className="bg-white border border-gray-200 rounded-xl overflow-hidden shadow-sm hover:shadow-md transition-all duration-200 cursor-pointer"
-                      onClick={() => handleAddMeal(recipe)}
-                    >
-                      <div className={`bg-gradient-to-br from-primary-50/60 to-secondary-50/60 relative overflow-hidden ${isMobile ? 'aspect-video' : 'aspect-video'}`}>
-                        {recipe.image ? (
-                          <img
-                            src={recipe.image}
-                            alt={recipe.title}
-                            className="w-full h-full object-cover"
-                          />
-                        ) : (
-                          <div className="w-full h-full flex items-center justify-center">
-                            <SafeIcon icon={FiCalendar} className="text-4xl text-primary-400" />
-                          </div>
-                        )}
-                      </div>
-                      
-                      <div className="p-4">
-                        <h3 className={`font-semibold text-gray-900 mb-2 ${isMobile ? 'text-base' : ''}`}>
-                          {recipe.title}
-                        </h3>
-                        <p className={`text-gray-600 mb-3 line-clamp-2 ${isMobile ? 'text-sm' : 'text-sm'}`}>
-                          {recipe.description}
-                        </p>
-                        <div className="flex items-center justify-between text-sm text-gray-500">
-                          <div className="flex items-center space-x-3">
-                            <div className="flex items-center">
-                              <SafeIcon icon={FiClock} className="mr-1" />
-                              {recipe.cookTime}m
-                            </div>
-                            <div className="flex items-center">
-                              <SafeIcon icon={FiUsers} className="mr-1" />
-                              {recipe.servings}
-                            </div>
-                          </div>
-                          <span className="text-xs bg-primary-50 text-primary-600 px-2 py-1 rounded-full">
-                            {recipe.difficulty}
-                          </span>
-                        </div>
-                      </div>
-                    </motion.div>
-                  ))}
+        {/* Week / Month toggle */}
+        <div className="mb-6 inline-flex bg-gray-100 rounded-xl p-1" role="group" aria-label="Scheduler view">
+          {[
+            { id: 'week', name: 'Week', icon: FiCalendar },
+            { id: 'month', name: 'Month', icon: FiGrid }
+          ].map(view => (
+            <button
+              key={view.id}
+              onClick={() => {
+                setViewMode(view.id);
+                if (view.id === 'month') setCurrentMonth(startOfMonth(currentWeek));
+              }}
+              aria-pressed={viewMode === view.id}
+              className={`px-4 py-2 rounded-lg text-sm font-semibold flex items-center space-x-2 transition-colors duration-200 ${
+                viewMode === view.id ? 'bg-white text-primary-700 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <SafeIcon icon={view.icon} />
+              <span>{view.name}</span>
+            </button>
+          ))}
+        </div>
+
+        {/* Archive banner for past weeks */}
+        {viewMode === 'week' && isArchiveWeek && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-6 p-4 bg-gray-100 border border-gray-200 rounded-xl flex items-center justify-between"
+          >
+            <p className="text-sm text-gray-700 font-medium">
+              📚 Viewing meal history - past weeks are read-only. Save this week as a template to reuse it.
+            </p>
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={goToCurrentWeek}
+              className="ml-4 px-3 py-1.5 text-sm bg-white text-primary-700 rounded-lg font-semibold border border-primary-200 hover:bg-primary-50 whitespace-nowrap"
+            >
+              This week
+            </motion.button>
+          </motion.div>
+        )}
+
+        {/* Week nutrition summary */}
+        {viewMode === 'week' && weekNutrition.mealsWithNutrition > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-6 glass rounded-2xl p-4 shadow-lg"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <h2 className="font-semibold text-gray-900">🥗 Week Nutrition</h2>
+              <p className="text-xs text-gray-500">
+                Per person · {weekNutrition.mealsWithNutrition} of {weekNutrition.mealCount} meals have nutrition info
+              </p>
+            </div>
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <p className="text-xs font-semibold text-gray-500 uppercase mb-2">Week total</p>
+                <NutritionTotals totals={weekNutrition.totals} compact className="text-gray-700 text-xs" />
+              </div>
+              <div>
+                <p className="text-xs font-semibold text-gray-500 uppercase mb-2">
+                  Daily average ({weekNutrition.trackedDays} day{weekNutrition.trackedDays !== 1 ? 's' : ''})
+                </p>
+                <NutritionTotals totals={weekNutrition.dailyAverage} targets={nutritionTargets} />
+              </div>
+            </div>
+          </motion.div>
+        )}
+
+        {/* Week cost against the grocery budget */}
+        {viewMode === 'week' && (weekCost.pricedMeals > 0 || pricing.weeklyBudget !== null) && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className={`mb-6 glass rounded-2xl p-4 shadow-lg ${pricing.weeklyBudget !== null && weekCost.total > pricing.weeklyBudget ? 'border-2 border-red-300' : ''}`}
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <h2 className="font-semibold text-gray-900">💲 Week Cost</h2>
+              <p className="text-xs text-gray-500">
+                {weekCost.pricedMeals} of {weekCost.mealCount} meals priced · leftovers are free
+              </p>
+            </div>
+            <div className="grid md:grid-cols-2 gap-4 items-center">
+              <BudgetMeter total={weekCost.total} budget={pricing.weeklyBudget} currency={pricing.currency} label="Planned groceries" />
+              <p className="text-sm text-gray-600">
+                About {formatCost(weekCost.total / 7, pricing.currency)} a day.
+                {weekCost.pricedMeals < weekCost.mealCount && ' Add prices on the Shopping List to price the rest.'}
+              </p>
+            </div>
+          </motion.div>
+        )}
+
+        {/* Variety and balance warnings */}
+        {viewMode === 'week' && varietyWarnings.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-6 glass rounded-2xl p-4 shadow-lg"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <h2 className="font-semibold text-gray-900">⚖️ Variety Check</h2>
+              <button
+                onClick={() => navigate('/settings')}
+                className="text-xs font-semibold text-primary-600 hover:text-primary-700"
+              >
+                Change rules
+              </button>
+            </div>
+            <ul className="space-y-3">
+              {varietyWarnings.map(warning => (
+                <li key={warning.id} className="bg-amber-50/80 border border-amber-200 rounded-xl p-3">
+                  <p className="text-sm font-semibold text-amber-800">
+                    {warning.dateStr && `${format(toLocalDate(warning.dateStr), 'EEEE')}: `}
+                    {warning.message}
+                  </p>
+                  {warning.type !== 'vegetables' && (
+                    <p className="text-xs text-amber-700 mt-0.5">
+                      {warning.entries.map(entry => `${format(toLocalDate(entry.dateStr), 'EEE')} ${entry.meal.title}`).join(' · ')}
+                    </p>
+                  )}
+                  {warning.target && warning.suggestions.length > 0 ? (
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <span className="text-xs text-gray-600">
+                        Swap {format(toLocalDate(warning.target.dateStr), 'EEE')}'s {warning.target.meal.title} for:
+                      </span>
+                      {warning.suggestions.map(recipe => (
+                        <button
+                          key={recipe.id}
+                          onClick={() => handleVarietySwap(warning.target, recipe)}
+                          className="text-xs font-semibold bg-white border border-amber-300 text-amber-800 px-2 py-1 rounded-lg hover:bg-amber-100"
+                        >
+                          <SafeIcon icon={FiRepeat} className="inline mr-1" />
+                          {recipe.title}
+                        </button>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {warning.target ? 'No saved recipe fits here yet.' : 'Only past or locked meals are involved.'}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </motion.div>
+        )}
+
+        {/* Upcoming meals whose recipe has been deleted */}
+        {deletedRecipeMealCount > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-6 bg-amber-50 border border-amber-200 rounded-2xl p-4 flex flex-wrap items-center justify-between gap-3"
+          >
+            <p className="text-sm text-amber-800">
+              ⚠️ {deletedRecipeMealCount} upcoming meal{deletedRecipeMealCount !== 1 ? 's use recipes' : ' uses a recipe'} you deleted. They keep their last saved copy until you remove them.
+            </p>
+            <button
+              onClick={handleRemoveDeletedRecipeMeals}
+              className="px-3 py-1.5 text-sm font-semibold text-amber-800 bg-white border border-amber-300 rounded-lg hover:bg-amber-100"
+            >
+              Remove them
+            </button>
+          </motion.div>
+        )}
+
+        {/* Conditional Rendering based on view and device */}
+        {viewMode === 'month' ? (
+          <MonthCalendar
+            month={currentMonth}
+            weekStartsOn={weekStartsOn}
+            mealSlots={mealSlots}
+            getMealsForDay={getMealsForDay}
+            selection={monthSelection}
+            selectingRange={selectingRange}
+            onDayClick={handleMonthDayClick}
+            onPrevMonth={() => setCurrentMonth(addMonths(currentMonth, -1))}
+            onNextMonth={() => setCurrentMonth(addMonths(currentMonth, 1))}
+            onThisMonth={() => setCurrentMonth(startOfMonth(today))}
+            onToggleSelecting={() => setSelectingRange(prev => !prev)}
+            onCancelSelection={cancelMonthSelection}
+            onClearSelection={handleClearSelection}
+            onShoppingListForSelection={handleShoppingListForSelection}
+          />
+        ) : isMobile ? <MobileScheduler /> : <DesktopScheduler />}
+
+        {/* Plan My Week Modal */}
+        <AnimatePresence>
+          {showGeneratorModal && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+              onClick={() => setShowGeneratorModal(false)}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.8 }}
+                className="bg-white rounded-2xl p-6 w-full max-w-md max-h-[85vh] overflow-y-auto shadow-2xl"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h2 className="text-2xl font-bold text-gray-900">Plan my week</h2>
+                    <p className="text-sm text-gray-600">
+                      Fills empty slots from your own and saved recipes
+                    </p>
+                  </div>
+                  <motion.button
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => setShowGeneratorModal(false)}
+                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+                  >
+                    <SafeIcon icon={FiX} className="text-xl" />
+                  </motion.button>
+                </div>
+
+                <div className="space-y-5 mb-6">
+                  <div>
+                    <p className="text-sm font-semibold text-gray-700 mb-2">Meals to plan</p>
+                    <div className="flex flex-wrap gap-2">
+                      {mealTypes.filter(mealType => !isMultiSlot(mealType)).map(mealType => (
+                        <label
+                          key={mealType.id}
+                          className={`px-3 py-2 rounded-xl border cursor-pointer text-sm font-semibold flex items-center space-x-2 ${
+                            generatorOptions.mealTypes.includes(mealType.id)
+                              ? `${mealType.bgColor} ${mealType.borderColor} ${mealType.textColor}`
+                              : 'border-gray-200 text-gray-500'
+                          }`}
+                        >
+                          <input
+                            type="checkbox"
+                            className="sr-only"
+                            checked={generatorOptions.mealTypes.includes(mealType.id)}
+                            onChange={() => toggleGeneratorMealType(mealType.id)}
+                          />
+                          <span>{mealType.icon}</span>
+                          <span>{mealType.name}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label htmlFor="max-weeknight-cook-time" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Max weeknight dinner cook time (minutes)
+                    </label>
+                    <input
+                      id="max-weeknight-cook-time"
+                      type="number"
+                      min="0"
+                      step="5"
+                      value={generatorOptions.maxWeeknightCookTime}
+                      onChange={(e) => setGeneratorOptions(prev => ({ ...prev, maxWeeknightCookTime: parseInt(e.target.value, 10) || 0 }))}
+                      className="w-32 px-4 py-3 input-modern rounded-xl font-medium"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Applies Monday to Friday. 0 means no limit.</p>
+                  </div>
+
+                  <div className="p-4 bg-gray-50 rounded-xl text-sm text-gray-600 space-y-1">
+                    <p>
+                      <span className="font-semibold">Diet:</span>{' '}
+                      {preferences?.dietaryPreferences?.length > 0 ? preferences.dietaryPreferences.join(', ') : 'No restrictions'}
+                    </p>
+                    <p>
+                      <span className="font-semibold">Preferred cuisine:</span>{' '}
+                      {preferences?.preferredCuisine?.length > 0 ? preferences.preferredCuisine.join(', ') : 'Any'}
+                    </p>
+                    <p>
+                      <span className="font-semibold">Skill level:</span>{' '}
+                      <span className="capitalize">{preferences?.cookingSkillLevel || 'beginner'}</span>
+                    </p>
+                    <p className="text-xs text-gray-500 pt-1">
+                      Recipes are not repeated. Lock 🔒 generated meals to keep them when you regenerate.
+                    </p>
+                  </div>
+                </div>
+
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={handleGenerateWeek}
+                  className="w-full btn-gradient text-white py-3 rounded-xl font-bold shadow-lg flex items-center justify-center space-x-2"
+                >
+                  <SafeIcon icon={FiZap} />
+                  <span>Generate</span>
+                </motion.button>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Week Templates Modal */}
+        <AnimatePresence>
+          {showTemplateModal && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+              onClick={() => setShowTemplateModal(false)}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.8 }}
+                className="bg-white rounded-2xl p-6 w-full max-w-lg max-h-[85vh] overflow-y-auto shadow-2xl"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h2 className="text-2xl font-bold text-gray-900">Week Templates</h2>
+                    <p className="text-sm text-gray-600">
+                      Week of {format(currentWeek, 'MMMM d, yyyy')}
+                    </p>
+                  </div>
+                  <motion.button
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => setShowTemplateModal(false)}
+                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+                  >
+                    <SafeIcon icon={FiX} className="text-xl" />
+                  </motion.button>
+                </div>
+
+                {/* Save current week */}
+                <form onSubmit={handleSaveTemplate} className="flex gap-3 mb-6">
+                  <input
+                    type="text"
+                    value={templateName}
+                    onChange={(e) => setTemplateName(e.target.value)}
+                    placeholder="Template name, e.g. Busy week"
+                    className="flex-1 px-4 py-3 input-modern rounded-xl font-medium"
+                  />
+                  <motion.button
+                    type="submit"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    className="bg-primary-500 text-white px-4 py-3 rounded-xl hover:bg-primary-600 transition-colors duration-200 flex items-center space-x-2 font-semibold"
+                  >
+                    <SafeIcon icon={FiSave} />
+                    <span>Save week</span>
+                  </motion.button>
+                </form>
+
+                {/* Saved templates */}
+                {templates.length > 0 ? (
+                  <div className="space-y-3">
+                    {templates.map((template) => (
+                      <div
+                        key={template.id}
+                        className="p-4 border border-gray-200 rounded-xl flex items-center justify-between"
+                      >
+                        <div className="min-w-0">
+                          <p className="font-semibold text-gray-900 truncate">{template.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {Object.keys(template.days).length} day{Object.keys(template.days).length !== 1 ? 's' : ''} planned
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-2 ml-2">
+                          <motion.button
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                            onClick={() => handleApplyTemplate(template, 'merge')}
+                            className="px-3 py-1.5 text-sm bg-green-100 text-green-700 rounded-lg font-semibold hover:bg-green-200"
+                            title="Fill only empty slots"
+                          >
+                            Merge
+                          </motion.button>
+                          <motion.button
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                            onClick={() => handleApplyTemplate(template, 'replace')}
+                            className="px-3 py-1.5 text-sm bg-amber-100 text-amber-700 rounded-lg font-semibold hover:bg-amber-200"
+                            title="Overwrite this week's meals"
+                          >
+                            Replace
+                          </motion.button>
+                          <motion.button
+                            whileHover={{ scale: 1.1 }}
+                            whileTap={{ scale: 0.9 }}
+                            onClick={() => handleDeleteTemplate(template)}
+                            className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg"
+                          >
+                            <SafeIcon icon={FiTrash2} className="text-sm" />
+                          </motion.button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-center text-sm text-gray-500 py-6">
+                    No templates yet - plan a week and save it here
+                  </p>
+                )}
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Move Meal Modal - keyboard accessible alternative to drag-and-drop */}
+        <AnimatePresence>
+          {moveSource && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+              onClick={() => setMoveSource(null)}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.8 }}
+                className="bg-white rounded-2xl p-6 w-full max-w-md shadow-2xl"
+                onClick={(e) => e.stopPropagation()}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="move-meal-title"
+              >
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h2 id="move-meal-title" className="text-2xl font-bold text-gray-900">Move meal</h2>
+                    <p className="text-sm text-gray-600 truncate">{moveSource.title}</p>
+                  </div>
+                  <motion.button
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => setMoveSource(null)}
+                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+                    aria-label="Close"
+                  >
+                    <SafeIcon icon={FiX} className="text-xl" />
+                  </motion.button>
+                </div>
+
+                <div className="space-y-4 mb-6">
+                  <div>
+                    <label htmlFor="move-meal-day" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Day
+                    </label>
+                    <select
+                      id="move-meal-day"
+                      value={moveTarget.date}
+                      onChange={(e) => setMoveTarget(prev => ({ ...prev, date: e.target.value }))}
+                      className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+                    >
+                      {availableDays.filter(day => !isBefore(day, today)).map(day => (
+                        <option key={format(day, 'yyyy-MM-dd')} value={format(day, 'yyyy-MM-dd')}>
+                          {format(day, 'EEEE, MMMM d')}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="move-meal-type" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Meal
+                    </label>
+                    <select
+                      id="move-meal-type"
+                      value={moveTarget.mealType}
+                      onChange={(e) => setMoveTarget(prev => ({ ...prev, mealType: e.target.value }))}
+                      className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+                    >
+                      {mealTypes.map(mealType => (
+                        <option key={mealType.id} value={mealType.id}>
+                          {mealType.icon} {mealType.name}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">
+                      An occupied one-meal slot swaps the two meals
+                    </p>
+                  </div>
+                </div>
+
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={handleConfirmMove}
+                  className="w-full bg-primary-500 text-white py-3 rounded-xl hover:bg-primary-600 transition-colors duration-200 flex items-center justify-center space-x-2 font-semibold"
+                >
+                  <SafeIcon icon={FiMove} />
+                  <span>Move</span>
+                </motion.button>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Calendar Export Modal */}
+        <AnimatePresence>
+          {showExportModal && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+              onClick={() => setShowExportModal(false)}
+            >
+              <motion.form
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.8 }}
+                className="bg-white rounded-2xl p-6 w-full max-w-md shadow-2xl"
+                onClick={(e) => e.stopPropagation()}
+                onSubmit={handleExportCalendar}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="export-calendar-title"
+              >
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h2 id="export-calendar-title" className="text-2xl font-bold text-gray-900">📅 Export to calendar</h2>
+                    <p className="text-sm text-gray-600">Download an .ics file for Google, Apple or Outlook Calendar</p>
+                  </div>
+                  <motion.button
+                    type="button"
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => setShowExportModal(false)}
+                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+                    aria-label="Close"
+                  >
+                    <SafeIcon icon={FiX} className="text-xl" />
+                  </motion.button>
+                </div>
+
+                <div className="space-y-4 mb-6">
+                  <button
+                    type="button"
+                    onClick={setExportWeek}
+                    className="text-sm font-semibold text-primary-600 hover:text-primary-700"
+                  >
+                    Use week of {format(currentWeek, 'MMM d')}
+                  </button>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label htmlFor="export-start" className="block text-sm font-semibold text-gray-700 mb-2">
+                        From
+                      </label>
+                      <input
+                        id="export-start"
+                        type="date"
+                        value={exportRange.start}
+                        onChange={(e) => setExportRange(prev => ({ ...prev, start: e.target.value }))}
+                        className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="export-end" className="block text-sm font-semibold text-gray-700 mb-2">
+                        To
+                      </label>
+                      <input
+                        id="export-end"
+                        type="date"
+                        value={exportRange.end}
+                        min={exportRange.start}
+                        onChange={(e) => setExportRange(prev => ({ ...prev, end: e.target.value }))}
+                        className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+                      />
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    Meals start at the times set in Settings → Meal Planning and last as long as the recipe's cook time.
+                  </p>
+                </div>
+
+                <motion.button
+                  type="submit"
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  className="w-full bg-primary-500 text-white py-3 rounded-xl hover:bg-primary-600 transition-colors duration-200 flex items-center justify-center space-x-2 font-semibold"
+                >
+                  <SafeIcon icon={FiDownload} />
+                  <span>Download .ics</span>
+                </motion.button>
+              </motion.form>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Print Modal */}
+        <AnimatePresence>
+          {showPrintModal && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+              onClick={() => setShowPrintModal(false)}
+            >
+              <motion.form
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.8 }}
+                className="bg-white rounded-2xl p-6 w-full max-w-md shadow-2xl"
+                onClick={(e) => e.stopPropagation()}
+                onSubmit={handlePrintWeek}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="print-week-title"
+              >
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h2 id="print-week-title" className="text-2xl font-bold text-gray-900">🖨️ Print week</h2>
+                    <p className="text-sm text-gray-600">Week of {format(currentWeek, 'MMM d')} on one page. Choose "Save as PDF" in the print dialog for a file.</p>
+                  </div>
+                  <motion.button
+                    type="button"
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => setShowPrintModal(false)}
+                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+                    aria-label="Close"
+                  >
+                    <SafeIcon icon={FiX} className="text-xl" />
+                  </motion.button>
+                </div>
+
+                <div className="space-y-3 mb-6">
+                  <label className="flex items-start space-x-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={printOptions.shoppingList}
+                      onChange={(e) => setPrintOptions(prev => ({ ...prev, shoppingList: e.target.checked }))}
+                      className="mt-1 w-4 h-4 text-primary-600 rounded"
+                    />
+                    <span>
+                      <span className="block font-medium text-gray-900">Shopping list</span>
+                      <span className="block text-xs text-gray-500">A second page with the week's ingredients, grouped by store section</span>
+                    </span>
+                  </label>
+                  <label className="flex items-start space-x-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={printOptions.recipes}
+                      onChange={(e) => setPrintOptions(prev => ({ ...prev, recipes: e.target.checked }))}
+                      className="mt-1 w-4 h-4 text-primary-600 rounded"
+                    />
+                    <span>
+                      <span className="block font-medium text-gray-900">Recipe cards</span>
+                      <span className="block text-xs text-gray-500">Ingredients and steps for every recipe cooked this week</span>
+                    </span>
+                  </label>
+                </div>
+
+                <motion.button
+                  type="submit"
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  className="w-full bg-primary-500 text-white py-3 rounded-xl hover:bg-primary-600 transition-colors duration-200 flex items-center justify-center space-x-2 font-semibold"
+                >
+                  <SafeIcon icon={FiPrinter} />
+                  <span>Print</span>
+                </motion.button>
+              </motion.form>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Leftovers Modal */}
+        <AnimatePresence>
+          {leftoverSource && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+              onClick={() => setLeftoverSource(null)}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.8 }}
+                className="bg-white rounded-2xl p-6 w-full max-w-md shadow-2xl"
+                onClick={(e) => e.stopPropagation()}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="leftover-title"
+              >
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h2 id="leftover-title" className="text-2xl font-bold text-gray-900">♻️ Plan leftovers</h2>
+                    <p className="text-sm text-gray-600 truncate">{leftoverSource.title}</p>
+                  </div>
+                  <motion.button
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => setLeftoverSource(null)}
+                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+                    aria-label="Close"
+                  >
+                    <SafeIcon icon={FiX} className="text-xl" />
+                  </motion.button>
+                </div>
+
+                  <div className="space-y-4 mb-6">
+                    <p className="text-sm text-gray-600">
+                      {leftoverSource.available > 0
+                        ? `${leftoverSource.available} serving${leftoverSource.available !== 1 ? 's' : ''} left after your household of ${preferences?.householdSize || 1} eats`
+                        : `Nothing left over yet: ${leftoverSource.cooked} serving${leftoverSource.cooked !== 1 ? 's' : ''} planned for your household of ${preferences?.householdSize || 1}`}
+                    </p>
+                    <div>
+                      <label htmlFor="leftover-day" className="block text-sm font-semibold text-gray-700 mb-2">
+                        Day
+                      </label>
+                      <select
+                        id="leftover-day"
+                        value={leftoverTarget.date}
+                        onChange={(e) => setLeftoverTarget(prev => ({ ...prev, date: e.target.value }))}
+                        className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+                      >
+                        {availableDays
+                          .filter(day => !isBefore(day, today) && !isBefore(day, startOfDay(leftoverSource.date)))
+                          .map(day => (
+                            <option key={format(day, 'yyyy-MM-dd')} value={format(day, 'yyyy-MM-dd')}>
+                              {format(day, 'EEEE, MMMM d')}
+                            </option>
+                          ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label htmlFor="leftover-meal-type" className="block text-sm font-semibold text-gray-700 mb-2">
+                        Meal
+                      </label>
+                      <select
+                        id="leftover-meal-type"
+                        value={leftoverTarget.mealType}
+                        onChange={(e) => setLeftoverTarget(prev => ({ ...prev, mealType: e.target.value }))}
+                        className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+                      >
+                        {mealTypes.map(mealType => (
+                          <option key={mealType.id} value={mealType.id}>
+                            {mealType.icon} {mealType.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label htmlFor="leftover-servings" className="block text-sm font-semibold text-gray-700 mb-2">
+                        Servings
+                      </label>
+                      <input
+                        id="leftover-servings"
+                        type="number"
+                        min="1"
+                        max="20"
+                        value={leftoverTarget.servings}
+                        onChange={(e) => setLeftoverTarget(prev => ({ ...prev, servings: e.target.value }))}
+                        className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+                      />
+                      {leftoverExtraServings > 0 && (
+                        <p className="text-xs text-emerald-700 mt-2">
+                          Cooks {leftoverExtraServings} more serving{leftoverExtraServings !== 1 ? 's' : ''} of the original meal ({leftoverSource.cooked + leftoverExtraServings} in total)
+                        </p>
+                      )}
+                    </div>
+                  </div>
+
+                  <motion.button
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={handleConfirmLeftover}
+                    className="w-full bg-emerald-500 text-white py-3 rounded-xl hover:bg-emerald-600 transition-colors duration-200 flex items-center justify-center space-x-2 font-semibold"
+                  >
+                    <SafeIcon icon={FiRepeat} />
+                    <span>Add leftovers</span>
+                  </motion.button>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Recipe Selection Modal - Optimized for Mobile */}
+        <AnimatePresence>
+          {showRecipeModal && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+              onClick={() => setShowRecipeModal(false)}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.8 }}
+                className={`bg-white rounded-2xl p-6 w-full shadow-2xl ${
+                  isMobile 
+                    ? 'max-h-[85vh] overflow-y-auto' 
+                    : 'max-w-4xl max-h-[80vh] overflow-y-auto'
+                }`}
+                onClick={(e) => e.stopPropagation()}
+              >
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h2 className={`font-bold text-gray-900 ${isMobile ? 'text-xl' : 'text-2xl'}`}>
+                      Choose a Recipe
+                    </h2>
+                    <p className={`text-gray-600 ${isMobile ? 'text-sm' : ''}`}>
+                      {selectedDate && format(selectedDate, 'EEEE, MMMM d')} • {mealTypes.find(mt => mt.id === selectedMealType)?.name}
+                    </p>
+                  </div>
+                  <motion.button
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => setShowRecipeModal(false)}
+                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+                  >
+                    <SafeIcon icon={FiX} className="text-xl" />
+                  </motion.button>
+                </div>
+
+                <div className="mb-6">
+                  <p className="text-sm font-semibold text-gray-700 mb-2">Not cooking from a recipe?</p>
+                  <PlanEntryForm currency={pricing.currency} onSave={(entry) => handleAddMeal(null, entry)} />
+                </div>
+
+                <div className={`grid gap-4 ${isMobile ? 'grid-cols-1' : 'md:grid-cols-2 lg:grid-cols-3'}`}>
+                  {allRecipes.map((recipe) => {
+                    const recipeCost = getRecipeCost(recipe, pricing);
+                    return (
+                      <motion.div
+                        key={recipe.id}
+                        whileHover={{ y: -2 }}
+                        className="bg-white border border-gray-200 rounded-xl overflow-hidden shadow-sm hover:shadow-md transition-all duration-200 cursor-pointer"
+                        onClick={() => handleAddMeal(recipe)}
+                      >
+                        <div className={`bg-gradient-to-br from-primary-50/60 to-secondary-50/60 relative overflow-hidden ${isMobile ? 'aspect-video' : 'aspect-video'}`}>
+                          {recipe.image ? (
+                            <img
+                              src={recipe.image}
+                              alt={recipe.title}
+                              className="w-full h-full object-cover"
+                            />
+                          ) : (
+                            <div className="w-full h-full flex items-center justify-center">
+                              <SafeIcon icon={FiCalendar} className="text-4xl text-primary-400" />
+                            </div>
+                          )}
+                        </div>
+                        
+                        <div className="p-4">
+                          <h3 className={`font-semibold text-gray-900 mb-2 ${isMobile ? 'text-base' : ''}`}>
+                            {recipe.title}
+                          </h3>
+                          <p className={`text-gray-600 mb-3 line-clamp-2 ${isMobile ? 'text-sm' : 'text-sm'}`}>
+                            {recipe.description}
+                          </p>
+                          <div className="flex items-center justify-between text-sm text-gray-500">
+                            <div className="flex items-center space-x-3">
+                              <div className="flex items-center">
+                                <SafeIcon icon={FiClock} className="mr-1" />
+                                {recipe.cookTime}m
+                              </div>
+                              <div className="flex items-center">
+                                <SafeIcon icon={FiUsers} className="mr-1" />
+                                {recipe.servings}
+                              </div>
+                              {recipeCost.pricedCount > 0 && (
+                                <div className="flex items-center text-emerald-700" title="Estimated cost per serving">
+                                  💲{formatCost(recipeCost.perServing, pricing.currency)}
+                                </div>
+                              )}
+                            </div>
+                            <span className="text-xs bg-primary-50 text-primary-600 px-2 py-1 rounded-full">
+                              {recipe.difficulty}
+                            </span>
+                          </div>
+                        </div>
+                      </motion.div>
+                    );
+                  })}
                 </div>
               </motion.div>
             </motion.div>
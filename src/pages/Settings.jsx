@@ -4,14 +4,26 @@ import { useAuth } from '../contexts/AuthContext';
 import { useSettings } from '../contexts/SettingsContext';
 import Layout from '../components/Layout';
 import UsernameInput from '../components/UsernameInput';
+import HouseholdSettings from '../components/HouseholdSettings';
+import MealSlotSettings from '../components/MealSlotSettings';
+import GroceryBudgetSettings from '../components/GroceryBudgetSettings';
+import VarietyRulesSettings from '../components/VarietyRulesSettings';
+import { getMealSlots, withDefaultSlotTimes } from '../lib/mealSlots';
+import { NUTRIENTS, normalizeNutrition } from '../lib/nutrition';
+import { normalizePrices } from '../lib/groceryCost';
+import { normalizeVarietyRules } from '../lib/variety';
+import { WEEK_START_OPTIONS, normalizeWeekStart } from '../lib/dates';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import toast from 'react-hot-toast';
 
 const {
-  FiSettings, FiUser, FiBell, FiSave, FiMail, FiCheck
+  FiSettings, FiUser, FiBell, FiSave, FiMail, FiCheck, FiCalendar, FiUsers, FiHome, FiClock, FiTarget
 } = FiIcons;
 
+// The household size field keeps what's typed and is clamped to 1-20 on blur and save
+const clampHouseholdSize = (value) => Math.min(20, Math.max(1, parseInt(value, 10) || 1));
+
 const Settings = () => {
   const { user } = useAuth();
   const { preferences, loading, updatePreferences } = useSettings();
@@ -31,6 +43,16 @@ const Settings = () => {
         avatarUrl: preferences.avatarUrl || '',
         notificationsEnabled: preferences.notificationsEnabled ?? true,
         emailNotifications: preferences.emailNotifications ?? true,
+        householdSize: String(preferences.householdSize || 2),
+        mealTimes: preferences.mealTimes,
+        mealSlots: preferences.mealSlots,
+        nutritionTargets: preferences.nutritionTargets || {},
+        weeklyBudget: preferences.weeklyBudget ?? '',
+        currency: preferences.currency || 'USD',
+        preferredStore: preferences.preferredStore || '',
+        ingredientPrices: preferences.ingredientPrices || [],
+        varietyRules: preferences.varietyRules,
+        weekStartsOn: normalizeWeekStart(preferences.weekStartsOn),
       });
       setHasChanges(false);
     }
@@ -46,19 +68,39 @@ const Settings = () => {
       formData.bio !== preferences.bio ||
       formData.avatarUrl !== preferences.avatarUrl ||
       formData.notificationsEnabled !== preferences.notificationsEnabled ||
-      formData.emailNotifications !== preferences.emailNotifications;
+      formData.emailNotifications !== preferences.emailNotifications ||
+      clampHouseholdSize(formData.householdSize) !== preferences.householdSize ||
+      JSON.stringify(formData.mealTimes) !== JSON.stringify(preferences.mealTimes) ||
+      JSON.stringify(formData.mealSlots) !== JSON.stringify(preferences.mealSlots) ||
+      JSON.stringify(normalizeNutrition(formData.nutritionTargets) || {}) !== JSON.stringify(preferences.nutritionTargets || {}) ||
+      String(formData.weeklyBudget ?? '') !== String(preferences.weeklyBudget ?? '') ||
+      formData.currency !== (preferences.currency || 'USD') ||
+      formData.preferredStore !== (preferences.preferredStore || '') ||
+      JSON.stringify(normalizePrices(formData.ingredientPrices)) !== JSON.stringify(normalizePrices(preferences.ingredientPrices)) ||
+      JSON.stringify(normalizeVarietyRules(formData.varietyRules)) !== JSON.stringify(normalizeVarietyRules(preferences.varietyRules)) ||
+      formData.weekStartsOn !== normalizeWeekStart(preferences.weekStartsOn);
 
     setHasChanges(hasFormChanges);
   }, [formData, preferences]);
 
+  // Slots saved before they got a time show the one they export at
+  const slotTimes = withDefaultSlotTimes(formData.mealSlots, formData.mealTimes);
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
   };
 
   const handleSave = async () => {
+    if ((formData.mealSlots || []).some(slot => !slot.name.trim())) {
+      toast.error('Every meal slot needs a name');
+      return;
+    }
+
     setSaving(true);
     try {
-      const result = await updatePreferences(formData);
+      const householdSize = clampHouseholdSize(formData.householdSize);
+      setFormData(prev => ({ ...prev, householdSize: String(householdSize) }));
+      const result = await updatePreferences({ ...formData, householdSize });
       if (result.success) {
         setHasChanges(false);
         toast.success('Settings saved successfully!');
@@ -72,7 +114,9 @@ const Settings = () => {
 
   const tabs = [
     { id: 'profile', name: 'Profile', icon: FiUser },
-    { id: 'notifications', name: 'Notifications', icon: FiBell }
+    { id: 'notifications', name: 'Notifications', icon: FiBell },
+    { id: 'planning', name: 'Meal Planning', icon: FiCalendar },
+    { id: 'household', name: 'Household', icon: FiHome }
   ];
 
   if (!user) {
@@ -329,6 +373,151 @@ const Settings = () => {
                   </div>
                 </div>
               )}
+
+              {/* Meal Planning Tab */}
+              {activeTab === 'planning' && (
+                <div className="space-y-8">
+                  <div>
+                    <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center">
+                      <SafeIcon icon={FiCalendar} className="mr-3 text-primary-500" />
+                      Meal Planning
+                    </h2>
+                  </div>
+
+                  <div className="space-y-6">
+                    <div className="p-6 bg-gradient-to-r from-green-50 to-emerald-50 rounded-xl border border-green-200">
+                      <label htmlFor="household-size" className="font-semibold text-gray-900 flex items-center">
+                        <SafeIcon icon={FiUsers} className="mr-2 text-green-600" />
+                        Household Size
+                      </label>
+                      <p className="text-sm text-gray-600 mt-1 mb-4">
+                        Default number of servings for newly planned meals. Shopping quantities are scaled to match.
+                      </p>
+                      <input
+                        id="household-size"
+                        type="number"
+                        min="1"
+                        max="20"
+                        value={formData.householdSize ?? ''}
+                        onChange={(e) => handleInputChange('householdSize', e.target.value)}
+                        onBlur={() => handleInputChange('householdSize', String(clampHouseholdSize(formData.householdSize)))}
+                        className="w-32 px-4 py-3 input-modern rounded-xl font-medium"
+                      />
+                    </div>
+
+                    <div className="p-6 bg-gradient-to-r from-purple-50 to-pink-50 rounded-xl border border-purple-200">
+                      <label htmlFor="week-starts-on" className="font-semibold text-gray-900 flex items-center">
+                        <SafeIcon icon={FiCalendar} className="mr-2 text-purple-600" />
+                        Week Starts On
+                      </label>
+                      <p className="text-sm text-gray-600 mt-1 mb-4">
+                        First day of the week in the Scheduler, month view, Dashboard and weekly totals.
+                      </p>
+                      <select
+                        id="week-starts-on"
+                        value={formData.weekStartsOn}
+                        onChange={(e) => handleInputChange('weekStartsOn', parseInt(e.target.value, 10))}
+                        className="w-48 px-4 py-3 input-modern rounded-xl font-medium"
+                      >
+                        {WEEK_START_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <MealSlotSettings
+                      slots={formData.mealSlots}
+                      onChange={(mealSlots) => setFormData(prev => ({
+                        ...prev,
+                        mealSlots,
+                        // New slots start with a time so they don't all export at noon
+                        mealTimes: withDefaultSlotTimes(mealSlots, prev.mealTimes)
+                      }))}
+                    />
+
+                    <div className="p-6 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl border border-blue-200">
+                      <h3 className="font-semibold text-gray-900 flex items-center">
+                        <SafeIcon icon={FiClock} className="mr-2 text-blue-600" />
+                        Meal Times
+                      </h3>
+                      <p className="text-sm text-gray-600 mt-1 mb-4">
+                        When each meal starts in calendar (.ics) exports.
+                      </p>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        {getMealSlots(formData.mealSlots).map(mealType => (
+                          <div key={mealType.id}>
+                            <label htmlFor={`meal-time-${mealType.id}`} className="block text-sm font-semibold text-gray-700 mb-2">
+                              {mealType.name}
+                            </label>
+                            <input
+                              id={`meal-time-${mealType.id}`}
+                              type="time"
+                              value={slotTimes[mealType.id]}
+                              onChange={(e) => handleInputChange('mealTimes', { ...formData.mealTimes, [mealType.id]: e.target.value })}
+                              className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="p-6 bg-gradient-to-r from-orange-50 to-red-50 rounded-xl border border-orange-200">
+                      <h3 className="font-semibold text-gray-900 flex items-center">
+                        <SafeIcon icon={FiTarget} className="mr-2 text-orange-600" />
+                        Daily Nutrition Targets
+                      </h3>
+                      <p className="text-sm text-gray-600 mt-1 mb-4">
+                        Optional. Day totals in the Scheduler and Dashboard are compared against these. Leave blank for no target.
+                      </p>
+                      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                        {NUTRIENTS.map(nutrient => (
+                          <div key={nutrient.id}>
+                            <label htmlFor={`nutrition-target-${nutrient.id}`} className="block text-sm font-semibold text-gray-700 mb-2">
+                              {nutrient.name} ({nutrient.unit})
+                            </label>
+                            <input
+                              id={`nutrition-target-${nutrient.id}`}
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={formData.nutritionTargets?.[nutrient.id] ?? ''}
+                              onChange={(e) => handleInputChange('nutritionTargets', { ...formData.nutritionTargets, [nutrient.id]: e.target.value })}
+                              className="w-full px-4 py-3 input-modern rounded-xl font-medium"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+
+                    <GroceryBudgetSettings
+                      weeklyBudget={formData.weeklyBudget}
+                      currency={formData.currency}
+                      preferredStore={formData.preferredStore}
+                      prices={formData.ingredientPrices}
+                      onChange={handleInputChange}
+                    />
+
+                    <VarietyRulesSettings
+                      rules={formData.varietyRules}
+                      onChange={handleInputChange}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {/* Household Tab */}
+              {activeTab === 'household' && (
+                <div className="space-y-8">
+                  <div>
+                    <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center">
+                      <SafeIcon icon={FiHome} className="mr-3 text-primary-500" />
+                      Household
+                    </h2>
+                  </div>
+
+                  <HouseholdSettings />
+                </div>
+              )}
             </div>
           </motion.div>
         </div>
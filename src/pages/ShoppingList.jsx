@@ -1,15 +1,29 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useSearchParams } from 'react-router-dom';
+import { format, addDays } from 'date-fns';
 import { useMealPlan } from '../contexts/MealPlanContext';
 import { useGamification } from '../contexts/GamificationContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useHousehold } from '../contexts/HouseholdContext';
+import { useSettings } from '../contexts/SettingsContext';
+import { parseIngredientAmount } from '../lib/ingredients';
+import { GROCERY_CATEGORIES, categorizeItem } from '../lib/groceryCategories';
+import { getPricing, getShoppingItemCost, getWeekCost, upsertPrice, getIngredientPrices, formatCost } from '../lib/groceryCost';
+import { toLocalDate, getWeekStart } from '../lib/dates';
+import { EMPTY_SHOPPING_LIST, getShoppingListChanges, hasShoppingListChanges, applyShoppingListChanges } from '../lib/shoppingListSync';
 import Layout from '../components/Layout';
+import IngredientPriceForm from '../components/IngredientPriceForm';
+import BudgetMeter from '../components/BudgetMeter';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import confetti from 'canvas-confetti';
 import toast from 'react-hot-toast';
+import { v4 as uuidv4 } from 'uuid';
 
-const { FiShoppingCart, FiCheck, FiPlus, FiTrash2, FiDownload, FiShare2, FiZap, FiStar, FiAward, FiGrid, FiList } = FiIcons;
+const { FiShoppingCart, FiCheck, FiPlus, FiTrash2, FiDownload, FiShare2, FiZap, FiStar, FiAward, FiGrid, FiList, FiCalendar, FiX, FiTag } = FiIcons;
+
+const DATE_PARAM_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 const ShoppingList = () => {
   const [customItems, setCustomItems] = useState([]);
@@ -17,14 +31,24 @@ const ShoppingList = () => {
   const [checkedItems, setCheckedItems] = useState(new Set());
   const [wasCompleted, setWasCompleted] = useState(false);
   const [viewMode, setViewMode] = useState('categories'); // 'categories' or 'list'
+  const [pricingItemKey, setPricingItemKey] = useState(null);
 
   // ✅ FIX: Add refs to prevent duplicate notifications
   const lastXPAwardRef = useRef(null);
   const completionProcessedRef = useRef(false);
 
-  const { getAllIngredients } = useMealPlan();
+  const { getAllIngredients, getMealsForDay } = useMealPlan();
+  const { preferences, updatePreferences } = useSettings();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { addXP, addShoppingProgressXP, isActionOnCooldown, getCooldownTimeRemaining, formatCooldownTime } = useGamification();
   const { user } = useAuth();
+  const { household, loadSharedShoppingList, saveSharedShoppingList, subscribeToSharedShoppingList } = useHousehold();
+  // Last list version seen from the household; local edits are sent as changes against it
+  const [sharedBase, setSharedBase] = useState(null);
+  const sharedBaseRef = useRef(null);
+  sharedBaseRef.current = sharedBase;
+  const localListRef = useRef(EMPTY_SHOPPING_LIST);
+  localListRef.current = { customItems, checkedItems: Array.from(checkedItems) };
 
   // ✅ PERSISTENCE: Load saved data on mount and when user changes
   useEffect(() => {
@@ -133,8 +157,73 @@ const ShoppingList = () => {
     }
   }, [wasCompleted, user?.id]);
 
+  // 👪 HOUSEHOLD: Every member shops from the same custom items and checkmarks.
+  // A newer shared version replaces the local list, keeping local edits not yet saved.
+  const mergeSharedList = (sharedList) => {
+    const base = sharedBaseRef.current;
+    const merged = base
+      ? applyShoppingListChanges(sharedList, getShoppingListChanges(base, localListRef.current))
+      : sharedList;
+    sharedBaseRef.current = sharedList;
+    setSharedBase(sharedList);
+    setCustomItems(merged.customItems);
+    setCheckedItems(new Set(merged.checkedItems));
+  };
+
+  useEffect(() => {
+    setSharedBase(null);
+    sharedBaseRef.current = null;
+    if (!household) return;
+
+    let cancelled = false;
+    const loadSharedList = async () => {
+      const sharedList = await loadSharedShoppingList();
+      if (cancelled) return;
+
+      if (sharedList) {
+        mergeSharedList(sharedList);
+      } else if (!sharedBaseRef.current) {
+        // No shared list yet: this member's list becomes its first version
+        sharedBaseRef.current = EMPTY_SHOPPING_LIST;
+        setSharedBase(EMPTY_SHOPPING_LIST);
+      }
+    };
+
+    loadSharedList();
+    const unsubscribe = subscribeToSharedShoppingList((sharedList) => {
+      if (!cancelled) mergeSharedList(sharedList);
+    });
+    // Catches up on anything missed while the tab was in the background
+    window.addEventListener('focus', loadSharedList);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      window.removeEventListener('focus', loadSharedList);
+    };
+  }, [household?.id]);
+
+  useEffect(() => {
+    if (!household || !sharedBase) return;
+
+    const changes = getShoppingListChanges(sharedBase, { customItems, checkedItems: Array.from(checkedItems) });
+    if (!hasShoppingListChanges(changes)) return;
+
+    const timer = setTimeout(async () => {
+      const result = await saveSharedShoppingList(changes);
+      if (result.success) mergeSharedList(result.list);
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [customItems, checkedItems, sharedBase, household?.id]);
+
+  // 🗓️ ?from=yyyy-MM-dd&to=yyyy-MM-dd limits the list to a date range picked in the Scheduler
+  const rangeFrom = searchParams.get('from');
+  const rangeTo = searchParams.get('to');
+  const dateRange = DATE_PARAM_PATTERN.test(rangeFrom || '') && DATE_PARAM_PATTERN.test(rangeTo || '') && rangeFrom <= rangeTo
+    ? { start: rangeFrom, end: rangeTo }
+    : null;
+
   // ✅ ENHANCED: Additional filtering at component level for extra safety
-  const mealIngredients = getAllIngredients().filter(ingredient => {
+  const mealIngredients = getAllIngredients(dateRange).filter(ingredient => {
     if (!ingredient) return false;
     if (!ingredient.name || typeof ingredient.name !== 'string') return false;
     if (!ingredient.name.trim()) return false;
@@ -157,124 +246,22 @@ const ShoppingList = () => {
   });
 
   const allItems = [...mealIngredients, ...validCustomItems];
+
+  // 💲 COSTS: Estimated from saved prices, with this week's meals against the budget
+  const pricing = getPricing(preferences);
+  const itemCosts = allItems.map(item => getShoppingItemCost(item, pricing));
+  const listCost = itemCosts.reduce((sum, itemCost) => sum + (itemCost?.cost || 0), 0);
+  const pricedItemCount = itemCosts.filter(Boolean).length;
+  const weekStart = getWeekStart(new Date(), preferences?.weekStartsOn);
+  const weekCost = getWeekCost(
+    Array.from({ length: 7 }, (_, i) => getMealsForDay(addDays(weekStart, i))),
+    pricing
+  );
   const checkedCount = Array.from(checkedItems).length;
   const totalCount = allItems.length;
   const progress = totalCount > 0 ? (checkedCount / totalCount) * 100 : 0;
   const isCompleted = totalCount > 0 && checkedCount === totalCount;
 
-  // 🛒 GROCERY STORE CATEGORIES: Organized by typical store layout
-  const groceryCategories = {
-    produce: {
-      name: '🥕 Produce',
-      description: 'Fresh fruits and vegetables',
-      icon: '🥬',
-      color: 'from-green-100 to-emerald-100',
-      borderColor: 'border-green-300',
-      textColor: 'text-green-700',
-      keywords: [
-        // Vegetables
-        'tomato', 'onion', 'garlic', 'potato', 'carrot', 'celery', 'bell pepper', 'pepper', 'broccoli', 'cauliflower', 'spinach', 'lettuce', 'cabbage', 'cucumber', 'zucchini', 'mushroom', 'corn', 'peas', 'green bean', 'asparagus', 'kale', 'arugula', 'basil', 'cilantro', 'parsley', 'dill', 'mint', 'rosemary', 'thyme', 'oregano', 'sage', 'ginger', 'jalapeño', 'serrano', 'habanero', 'chili', 'avocado', 'lime', 'lemon',
-        // Fruits
-        'apple', 'banana', 'orange', 'grape', 'strawberry', 'blueberry', 'raspberry', 'blackberry', 'pineapple', 'mango', 'papaya', 'kiwi', 'peach', 'pear', 'plum', 'cherry', 'watermelon', 'cantaloupe', 'honeydew', 'coconut'
-      ]
-    },
-    meat: {
-      name: '🥩 Meat & Seafood',
-      description: 'Fresh meats, poultry, and seafood',
-      icon: '🍖',
-      color: 'from-red-100 to-pink-100',
-      borderColor: 'border-red-300',
-      textColor: 'text-red-700',
-      keywords: [
-        'chicken', 'beef', 'pork', 'lamb', 'turkey', 'duck', 'bacon', 'ham', 'sausage', 'ground beef', 'ground turkey', 'ground chicken', 'steak', 'roast', 'chop', 'breast', 'thigh', 'wing', 'drumstick', 'salmon', 'tuna', 'cod', 'halibut', 'tilapia', 'shrimp', 'crab', 'lobster', 'scallop', 'mussel', 'clam', 'oyster', 'fish', 'seafood', 'meat'
-      ]
-    },
-    dairy: {
-      name: '🥛 Dairy & Eggs',
-      description: 'Milk, cheese, yogurt, and eggs',
-      icon: '🧀',
-      color: 'from-blue-100 to-cyan-100',
-      borderColor: 'border-blue-300',
-      textColor: 'text-blue-700',
-      keywords: [
-        'milk', 'cheese', 'yogurt', 'butter', 'cream', 'sour cream', 'cottage cheese', 'ricotta', 'mozzarella', 'cheddar', 'parmesan', 'swiss', 'goat cheese', 'feta', 'brie', 'camembert', 'blue cheese', 'cream cheese', 'egg', 'heavy cream', 'half and half', 'buttermilk', 'ice cream', 'frozen yogurt'
-      ]
-    },
-    pantry: {
-      name: '🥫 Pantry & Canned',
-      description: 'Canned goods, condiments, and shelf-stable items',
-      icon: '🥫',
-      color: 'from-amber-100 to-yellow-100',
-      borderColor: 'border-amber-300',
-      textColor: 'text-amber-700',
-      keywords: [
-        'rice', 'pasta', 'noodle', 'quinoa', 'oats', 'flour', 'sugar', 'salt', 'pepper', 'olive oil', 'vegetable oil', 'coconut oil', 'vinegar', 'soy sauce', 'hot sauce', 'ketchup', 'mustard', 'mayonnaise', 'ranch', 'italian dressing', 'balsamic', 'honey', 'maple syrup', 'vanilla', 'cinnamon', 'paprika', 'cumin', 'chili powder', 'garlic powder', 'onion powder', 'black pepper', 'red pepper', 'bay leaf', 'canned tomato', 'tomato sauce', 'tomato paste', 'chicken broth', 'beef broth', 'vegetable broth', 'coconut milk', 'canned beans', 'black beans', 'kidney beans', 'chickpeas', 'lentils', 'peanut butter', 'jelly', 'jam', 'cereal', 'crackers', 'bread', 'tortilla', 'pita', 'bagel', 'english muffin'
-      ]
-    },
-    frozen: {
-      name: '🧊 Frozen Foods',
-      description: 'Frozen vegetables, meals, and desserts',
-      icon: '❄️',
-      color: 'from-cyan-100 to-blue-100',
-      borderColor: 'border-cyan-300',
-      textColor: 'text-cyan-700',
-      keywords: [
-        'frozen', 'ice cream', 'frozen yogurt', 'frozen vegetable', 'frozen fruit', 'frozen meal', 'frozen pizza', 'frozen chicken', 'frozen fish', 'frozen shrimp', 'frozen berries', 'frozen peas', 'frozen corn', 'frozen broccoli', 'frozen spinach', 'ice', 'popsicle', 'frozen waffle', 'frozen bagel', 'frozen bread'
-      ]
-    },
-    beverages: {
-      name: '🥤 Beverages',
-      description: 'Drinks, juices, and beverages',
-      icon: '🍹',
-      color: 'from-purple-100 to-pink-100',
-      borderColor: 'border-purple-300',
-      textColor: 'text-purple-700',
-      keywords: [
-        'water', 'juice', 'soda', 'coffee', 'tea', 'beer', 'wine', 'energy drink', 'sports drink', 'coconut water', 'almond milk', 'soy milk', 'oat milk', 'orange juice', 'apple juice', 'cranberry juice', 'grape juice', 'lemonade', 'sparkling water', 'tonic water', 'club soda', 'kombucha'
-      ]
-    },
-    snacks: {
-      name: '🍿 Snacks & Sweets',
-      description: 'Chips, cookies, candy, and treats',
-      icon: '🍪',
-      color: 'from-orange-100 to-red-100',
-      borderColor: 'border-orange-300',
-      textColor: 'text-orange-700',
-      keywords: [
-        'chips', 'cookie', 'candy', 'chocolate', 'nuts', 'almonds', 'peanuts', 'cashews', 'walnuts', 'pecans', 'pistachios', 'trail mix', 'granola', 'granola bar', 'protein bar', 'crackers', 'pretzels', 'popcorn', 'gum', 'mints'
-      ]
-    },
-    other: {
-      name: '🛍️ Other Items',
-      description: 'Household and miscellaneous items',
-      icon: '📦',
-      color: 'from-gray-100 to-slate-100',
-      borderColor: 'border-gray-300',
-      textColor: 'text-gray-700',
-      keywords: []
-    }
-  };
-
-  // 🏷️ CATEGORIZE ITEMS: Smart categorization based on keywords
-  const categorizeItem = (itemName) => {
-    if (!itemName || typeof itemName !== 'string') return 'other';
-    const name = itemName.toLowerCase().trim();
-
-    for (const [categoryId, category] of Object.entries(groceryCategories)) {
-      if (categoryId === 'other') continue; // Skip 'other' category for now
-      
-      const matchesKeyword = category.keywords.some(keyword => 
-        name.includes(keyword) || keyword.includes(name)
-      );
-      
-      if (matchesKeyword) {
-        return categoryId;
-      }
-    }
-    
-    return 'other'; // Default category
-  };
-
   // 📊 GROUP ITEMS BY CATEGORY - ✅ TRIPLE FILTERED: Only valid items
   const categorizedItems = () => {
     const categories = {};
@@ -292,7 +279,7 @@ const ShoppingList = () => {
       // Initialize category if it doesn't exist
       if (!categories[category]) {
         categories[category] = {
-          ...groceryCategories[category],
+          ...GROCERY_CATEGORIES[category],
           items: []
         };
       }
@@ -312,7 +299,7 @@ const ShoppingList = () => {
       // Initialize category if it doesn't exist
       if (!categories[category]) {
         categories[category] = {
-          ...groceryCategories[category],
+          ...GROCERY_CATEGORIES[category],
           items: []
         };
       }
@@ -473,7 +460,7 @@ const ShoppingList = () => {
         name: newItem.trim(),
         amount: '1 piece',
         isCustom: true,
-        id: Date.now().toString()
+        id: uuidv4()
       };
 
       setCustomItems(prev => [...prev, item]);
@@ -557,6 +544,48 @@ const ShoppingList = () => {
     }
   };
 
+  const handleSavePrice = async (entry) => {
+    const result = await updatePreferences({ ingredientPrices: upsertPrice(pricing.prices, entry) });
+    if (result.success) {
+      setPricingItemKey(null);
+    }
+  };
+
+  // Price tag on each row: the estimated cost, or a prompt to add a price
+  const renderPriceTag = (item, itemKey) => {
+    const itemCost = getShoppingItemCost(item, pricing);
+    return (
+      <button
+        onClick={() => setPricingItemKey(pricingItemKey === itemKey ? null : itemKey)}
+        className={`text-xs px-2 py-1 rounded-full font-semibold flex items-center space-x-1 ${
+          itemCost ? 'bg-emerald-50 text-emerald-700 hover:bg-emerald-100' : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+        }`}
+        title={itemCost?.partial ? 'Some amounts have no price in a matching unit' : 'Set the price for this item'}
+      >
+        <SafeIcon icon={FiTag} className="text-[10px]" />
+        <span>{itemCost ? `${formatCost(itemCost.cost, pricing.currency)}${itemCost.partial ? '+' : ''}` : 'Add price'}</span>
+      </button>
+    );
+  };
+
+  const renderPriceForm = (item, itemKey) => {
+    if (pricingItemKey !== itemKey) return null;
+    const existing = getIngredientPrices(item.name, pricing)[0];
+    return (
+      <div className="mt-3">
+        <IngredientPriceForm
+          ingredient={item.name}
+          initialPrice={existing}
+          defaultStore={pricing.store}
+          defaultUnit={parseIngredientAmount(String(item.amount || '').split(' + ')[0]).unit}
+          currency={pricing.currency}
+          onSave={handleSavePrice}
+          onCancel={() => setPricingItemKey(null)}
+        />
+      </div>
+    );
+  };
+
   const handleExportList = () => {
     const listText = allItems
       .map(item => `• ${item.name} - ${item.amount}`)
@@ -695,6 +724,52 @@ const ShoppingList = () => {
           </div>
         </motion.div>
 
+        {/* Date range picked in the month view */}
+        {dateRange && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-6 p-4 bg-primary-50 border border-primary-200 rounded-xl flex items-center justify-between"
+          >
+            <p className="text-sm text-primary-800 font-medium flex items-center">
+              <SafeIcon icon={FiCalendar} className="mr-2" />
+              Meals from {format(toLocalDate(dateRange.start), 'EEE, MMM d')} to {format(toLocalDate(dateRange.end), 'EEE, MMM d')}
+            </p>
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => setSearchParams({})}
+              className="ml-4 px-3 py-1.5 text-sm bg-white text-primary-700 rounded-lg font-semibold border border-primary-200 hover:bg-primary-50 whitespace-nowrap flex items-center space-x-1"
+            >
+              <SafeIcon icon={FiX} className="text-xs" />
+              <span>Whole plan</span>
+            </motion.button>
+          </motion.div>
+        )}
+
+        {/* Estimated cost and weekly budget */}
+        {allItems.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-6 glass rounded-2xl p-4 shadow-lg grid md:grid-cols-2 gap-4"
+          >
+            <div>
+              <p className="text-sm font-semibold text-gray-700">💲 Estimated cost of this list</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCost(listCost, pricing.currency)}</p>
+              <p className="text-xs text-gray-500">
+                {pricedItemCount} of {allItems.length} items priced · tap a price tag to add or update one
+              </p>
+            </div>
+            <BudgetMeter
+              total={weekCost.total}
+              budget={pricing.weeklyBudget}
+              currency={pricing.currency}
+              label={`This week's meals (${weekCost.pricedMeals} of ${weekCost.mealCount} priced)`}
+            />
+          </motion.div>
+        )}
+
         {/* Actions & View Toggle */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -862,9 +937,13 @@ const ShoppingList = () => {
                           >
                             {item.isChecked && <SafeIcon icon={FiCheck} className="text-sm" />}
                           </motion.button>
-                          <div className={`${item.isChecked ? 'line-through text-gray-500' : 'text-gray-900'} transition-all duration-200`}>
-                            <p className="font-semibold text-lg">{item.name}</p>
-                            <p className="text-sm text-gray-600 font-medium">{item.amount}</p>
+                          <div className="transition-all duration-200">
+                            <p className={`font-semibold text-lg ${item.isChecked ? 'line-through text-gray-500' : 'text-gray-900'}`}>{item.name}{item.optional && <span className="ml-2 text-xs font-medium text-gray-400">optional</span>}</p>
+                            <div className="flex items-center space-x-3">
+                              <p className={`text-sm font-medium ${item.isChecked ? 'line-through text-gray-500' : 'text-gray-600'}`}>{item.amount}</p>
+                              {renderPriceTag(item, item.key)}
+                            </div>
+                            {renderPriceForm(item, item.key)}
                           </div>
                         </div>
                         {item.isCustom && (
@@ -919,14 +998,16 @@ const ShoppingList = () => {
                             {isChecked && <SafeIcon icon={FiCheck} className="text-sm" />}
                           </motion.button>
                           <div className={`${isChecked ? 'line-through text-gray-500' : 'text-gray-900'} transition-all duration-200`}>
-                            <p className="font-semibold text-lg">{item.name}</p>
+                            <p className="font-semibold text-lg">{item.name}{item.optional && <span className="ml-2 text-xs font-medium text-gray-400">optional</span>}</p>
                             <div className="flex items-center space-x-3">
                               <p className="text-sm text-gray-600 font-medium">{item.amount}</p>
                               {/* Category Badge */}
                               <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full font-semibold">
-                                {groceryCategories[categorizeItem(item.name)]?.name.replace(/🥕|🥩|🥛|🥫|🧊|🥤|🍿|🛍️/g, '').trim() || 'Other'}
+                                {GROCERY_CATEGORIES[categorizeItem(item.name)]?.name.replace(/🥕|🥩|🥛|🥫|🧊|🥤|🍿|🛍️/g, '').trim() || 'Other'}
                               </span>
+                              {renderPriceTag(item, itemKey)}
                             </div>
+                            {renderPriceForm(item, itemKey)}
                           </div>
                         </div>
                         {item.isCustom && (
@@ -0,0 +1,4 @@
+-- Household size: how many servings a newly planned meal defaults to
+alter table public.user_preferences_mp2024
+  add column if not exists household_size integer not null default 2
+    check (household_size between 1 and 20);
@@ -0,0 +1,37 @@
+-- Meal plan sync: one row per day and slot of a user's plan. Cleared slots are kept as
+-- deleted rows so other devices learn about the removal.
+create table if not exists public.meal_plan_slots_mp2024 (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  plan_date date not null,
+  slot text not null,
+  meal jsonb,
+  deleted boolean not null default false,
+  updated_at timestamptz not null default now(),
+  unique (user_id, plan_date, slot)
+);
+
+-- updated_at is the server's version of a slot; clients never set it
+create or replace function public.set_updated_at_mp2024()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists meal_plan_slots_set_updated_at on public.meal_plan_slots_mp2024;
+create trigger meal_plan_slots_set_updated_at
+  before insert or update on public.meal_plan_slots_mp2024
+  for each row execute function public.set_updated_at_mp2024();
+
+alter table public.meal_plan_slots_mp2024 enable row level security;
+
+drop policy if exists "Users manage their own meal plan" on public.meal_plan_slots_mp2024;
+create policy "Users manage their own meal plan" on public.meal_plan_slots_mp2024
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+alter publication supabase_realtime add table public.meal_plan_slots_mp2024;
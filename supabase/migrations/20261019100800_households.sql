@@ -0,0 +1,160 @@
+-- Households: members share the owner's meal plan and one shopping list
+create table if not exists public.households_mp2024 (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (char_length(name) between 1 and 100),
+  owner_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+-- status is 'invited' until the invitee accepts, then 'active'
+create table if not exists public.household_members_mp2024 (
+  household_id uuid not null references public.households_mp2024 (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  username text,
+  role text not null default 'member' check (role in ('owner', 'member')),
+  status text not null default 'invited' check (status in ('invited', 'active')),
+  invited_by text,
+  created_at timestamptz not null default now(),
+  primary key (household_id, user_id)
+);
+
+create table if not exists public.household_shopping_lists_mp2024 (
+  household_id uuid primary key references public.households_mp2024 (id) on delete cascade,
+  custom_items jsonb not null default '[]'::jsonb,
+  checked_items jsonb not null default '[]'::jsonb,
+  updated_by text,
+  updated_at timestamptz not null default now()
+);
+
+-- Saves only succeed against the updated_at they read, so the server stamps every write
+drop trigger if exists household_shopping_lists_set_updated_at on public.household_shopping_lists_mp2024;
+create trigger household_shopping_lists_set_updated_at
+  before insert or update on public.household_shopping_lists_mp2024
+  for each row execute function public.set_updated_at_mp2024();
+
+-- Membership checks run as the table owner so the policies below don't recurse into
+-- household_members_mp2024's own policies
+create or replace function public.is_household_member_mp2024(target_household uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.household_members_mp2024
+    where household_id = target_household
+      and user_id = auth.uid()
+      and status = 'active'
+  );
+$$;
+
+create or replace function public.is_household_owner_mp2024(target_household uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.households_mp2024
+    where id = target_household
+      and owner_id = auth.uid()
+  );
+$$;
+
+-- Whether the current user is an active member of a household owned by plan_owner
+create or replace function public.shares_plan_with_mp2024(plan_owner uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.households_mp2024 h
+    join public.household_members_mp2024 m on m.household_id = h.id
+    where h.owner_id = plan_owner
+      and m.user_id = auth.uid()
+      and m.status = 'active'
+  );
+$$;
+
+alter table public.households_mp2024 enable row level security;
+alter table public.household_members_mp2024 enable row level security;
+alter table public.household_shopping_lists_mp2024 enable row level security;
+
+-- Households: visible to the owner, members and invitees; changed only by the owner
+drop policy if exists "Members and invitees can view a household" on public.households_mp2024;
+create policy "Members and invitees can view a household" on public.households_mp2024
+  for select
+  using (
+    owner_id = auth.uid()
+    or exists (
+      select 1 from public.household_members_mp2024 m
+      where m.household_id = households_mp2024.id and m.user_id = auth.uid()
+    )
+  );
+
+drop policy if exists "Users can create their own household" on public.households_mp2024;
+create policy "Users can create their own household" on public.households_mp2024
+  for insert
+  with check (owner_id = auth.uid());
+
+drop policy if exists "Owners can update their household" on public.households_mp2024;
+create policy "Owners can update their household" on public.households_mp2024
+  for update
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+drop policy if exists "Owners can delete their household" on public.households_mp2024;
+create policy "Owners can delete their household" on public.households_mp2024
+  for delete
+  using (owner_id = auth.uid());
+
+-- Members: users see their own rows and their household's roster. Owners invite and
+-- remove; invitees accept (without promoting themselves) or decline, and members leave.
+drop policy if exists "Members can view their household" on public.household_members_mp2024;
+create policy "Members can view their household" on public.household_members_mp2024
+  for select
+  using (
+    user_id = auth.uid()
+    or public.is_household_member_mp2024(household_id)
+    or public.is_household_owner_mp2024(household_id)
+  );
+
+drop policy if exists "Owners can add members" on public.household_members_mp2024;
+create policy "Owners can add members" on public.household_members_mp2024
+  for insert
+  with check (public.is_household_owner_mp2024(household_id));
+
+drop policy if exists "Members can accept their invitation" on public.household_members_mp2024;
+create policy "Members can accept their invitation" on public.household_members_mp2024
+  for update
+  using (user_id = auth.uid())
+  with check (
+    user_id = auth.uid()
+    and (role = 'member' or public.is_household_owner_mp2024(household_id))
+  );
+
+drop policy if exists "Members can leave and owners can remove" on public.household_members_mp2024;
+create policy "Members can leave and owners can remove" on public.household_members_mp2024
+  for delete
+  using (user_id = auth.uid() or public.is_household_owner_mp2024(household_id));
+
+-- Shopping list: read and written by every active member
+drop policy if exists "Members share the shopping list" on public.household_shopping_lists_mp2024;
+create policy "Members share the shopping list" on public.household_shopping_lists_mp2024
+  for all
+  using (public.is_household_member_mp2024(household_id))
+  with check (public.is_household_member_mp2024(household_id));
+
+-- Meal plan: active members read and write the owner's plan
+drop policy if exists "Household members share the owner's meal plan" on public.meal_plan_slots_mp2024;
+create policy "Household members share the owner's meal plan" on public.meal_plan_slots_mp2024
+  for all
+  using (public.shares_plan_with_mp2024(user_id))
+  with check (public.shares_plan_with_mp2024(user_id));
+
+alter publication supabase_realtime add table public.household_shopping_lists_mp2024;
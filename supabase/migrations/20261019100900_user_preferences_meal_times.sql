@@ -0,0 +1,3 @@
+-- Meal times: the time of day each meal slot is exported at, as { slotId: 'HH:MM' }
+alter table public.user_preferences_mp2024
+  add column if not exists meal_times jsonb;
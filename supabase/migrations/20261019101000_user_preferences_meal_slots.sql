@@ -0,0 +1,3 @@
+-- Meal slots: the user's slots ({ id, name, icon, order, maxPerDay, ... }); null uses the defaults
+alter table public.user_preferences_mp2024
+  add column if not exists meal_slots jsonb;
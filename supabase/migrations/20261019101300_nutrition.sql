@@ -0,0 +1,7 @@
+-- Nutrition: daily targets per user and per-serving values entered on a recipe.
+-- Recipes without values are estimated from their ingredients.
+alter table public.user_preferences_mp2024
+  add column if not exists nutrition_targets jsonb not null default '{}'::jsonb;
+
+alter table public.user_recipes_mp2024
+  add column if not exists nutrition jsonb;
@@ -0,0 +1,6 @@
+-- Grocery costs: weekly budget, currency, preferred store and the user's own ingredient prices
+alter table public.user_preferences_mp2024
+  add column if not exists weekly_budget numeric(10, 2) check (weekly_budget > 0),
+  add column if not exists currency text not null default 'USD',
+  add column if not exists preferred_store text,
+  add column if not exists ingredient_prices jsonb not null default '[]'::jsonb;
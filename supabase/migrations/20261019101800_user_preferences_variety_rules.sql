@@ -0,0 +1,3 @@
+-- Variety rules: which repetition checks the Scheduler runs and their limits; null uses the defaults
+alter table public.user_preferences_mp2024
+  add column if not exists variety_rules jsonb;
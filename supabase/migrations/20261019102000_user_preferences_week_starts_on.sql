@@ -0,0 +1,4 @@
+-- Week start: the weekday (0 = Sunday) plan weeks begin on
+alter table public.user_preferences_mp2024
+  add column if not exists week_starts_on smallint not null default 0
+    check (week_starts_on between 0 and 6);